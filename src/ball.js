@@ -2,38 +2,118 @@
  * Ball entity with dynamic properties for BounceFlow
  */
 
-import * as Matter from 'matter-js';
+import Matter from 'matter-js';
 import { lerpColor, clamp } from './utils.js';
+import { createPropertyCurve, createPresetCurve } from './propertyCurve.js';
+
+// Allowed range for each property (values are clamped to these)
+const PROPERTY_RANGES = {
+    elasticity: { min: 0.2, max: 1.0 },
+    mass: { min: 0.5, max: 5.0 },
+    friction: { min: 0, max: 0.9 },
+    size: { min: 0.4, max: 2.0 }
+};
+
+// Ranges the classic 'wave' / 'pulse' patterns oscillate within
+const PRESET_RANGES = {
+    wave: {
+        elasticity: { min: 0.2, max: 0.8 },
+        mass: { min: 0.5, max: 5.0 },
+        friction: { min: 0.1, max: 0.9 },
+        size: { min: 0.5, max: 1.5 }
+    },
+    pulse: {
+        elasticity: { min: 0.3, max: 0.8 },
+        mass: { min: 1.0, max: 5.0 },
+        friction: { min: 0.1, max: 0.9 },
+        size: { min: 1.0, max: 1.6 }
+    }
+};
+
+// Fastest the ball's radius can follow its size curve (px per ms) - growing
+// gradually lets Matter push it out of surfaces instead of through them
+const RADIUS_CHANGE_RATE = 0.03;
+
+// Identity ring colours for multi-ball levels (the fill still shows elasticity)
+export const BALL_COLORS = ['#FFFFFF', '#FFE66D', '#FF8CC3', '#95E1D3'];
+
+/**
+ * Draw the stripe and dot that show which way a ball is turned
+ */
+export function drawSpinMarking(ctx, x, y, radius, angle) {
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(angle);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.lineWidth = radius * 0.2;
+    ctx.beginPath();
+    ctx.moveTo(-radius * 0.7, 0);
+    ctx.lineTo(radius * 0.7, 0);
+    ctx.stroke();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    ctx.beginPath();
+    ctx.arc(0, -radius * 0.5, radius * 0.15, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+}
 
 export class Ball {
-    constructor(x, y, radius = 20, physicsWorld) {
-        this.radius = radius;
+    constructor(x, y, radius = 20, physicsWorld, options = {}) {
+        this.baseRadius = radius;
+        this.radius = radius; // Live radius - follows the size curve once released
         this.physicsWorld = physicsWorld;
 
-        // Create physics body (start as static - frozen until released)
+        // Multi-ball identity: index in the level's balls, ring colour, release delay (ms)
+        this.index = options.index || 0;
+        this.accentColor = options.color || null;
+        this.releaseDelay = options.releaseDelay || 0;
+        this.startPosition = { x, y };
+
+        // Create physics body, then freeze it until released. Freezing a dynamic
+        // body lets Matter remember its mass and inertia for activate() - a body
+        // created static has none to restore and would collide with NaN inertia.
         this.body = Matter.Bodies.circle(x, y, radius, {
             restitution: 0.95,
             friction: 0,
-            frictionAir: 0,
+            frictionAir: options.airDrag || 0, // Level air drag (see physicsSettings.js)
             density: 0.001,
-            isStatic: true, // Start frozen
             label: 'ball'
         });
+        Matter.Body.setStatic(this.body, true);
 
         Matter.World.add(physicsWorld, this.body);
 
         // Property system
         this.baseElasticity = 0.9;
         this.currentElasticity = 0.9;
-        this.elasticityPhase = 0;
-        this.cycleSpeed = 0.001; // Radians per frame
+        this.cycleSpeed = 0.001; // Radians per ms
         this.propertyPattern = 'static'; // 'static', 'wave', 'pulse'
 
+        // Mass - multiplier on the base density (light 0.5 → heavy 5.0)
+        this.baseDensity = 0.001;
+        this.baseMass = 1.0;
+        this.currentMass = 1.0;
+
+        // Friction - grip against surfaces (slippery 0.0 → sticky 0.9)
+        this.baseFriction = 0;
+        this.currentFriction = 0;
+
+        // Size - multiplier on the level's ball radius (small 0.4 → big 2.0)
+        this.baseSize = 1.0;
+        this.currentSize = 1.0;
+
+        // Time-varying curves per property (null = stays at base value)
+        this.curves = { elasticity: null, mass: null, friction: null, size: null };
+        this.propertyTime = 0; // ms since release, drives all curves
+
         // Visual properties
         this.color = '#FF6B6B';
         this.trailPoints = [];
         this.maxTrailLength = 20;
 
+        // Portal end the ball just came out of (see passThroughPortals)
+        this.portalExit = null;
+
         // State
         this.isActive = false;
     }
@@ -41,24 +121,81 @@ export class Ball {
     setPropertyPattern(pattern, cycleSpeed = 0.001) {
         this.propertyPattern = pattern;
         this.cycleSpeed = cycleSpeed;
+        this.setPropertyCurve('elasticity', createPresetCurve(pattern, cycleSpeed, PRESET_RANGES[pattern]?.elasticity));
+    }
+
+    setMassPattern(pattern = 'static', cycleSpeed = 0.001) {
+        this.setPropertyCurve('mass', createPresetCurve(pattern, cycleSpeed, PRESET_RANGES[pattern]?.mass));
+    }
+
+    setFrictionPattern(pattern = 'static', cycleSpeed = 0.001) {
+        this.setPropertyCurve('friction', createPresetCurve(pattern, cycleSpeed, PRESET_RANGES[pattern]?.friction));
+    }
+
+    setSizePattern(pattern = 'static', cycleSpeed = 0.001) {
+        this.setPropertyCurve('size', createPresetCurve(pattern, cycleSpeed, PRESET_RANGES[pattern]?.size));
+    }
+
+    /**
+     * Set every property pattern and curve from a level's ball definition
+     * (see getLevelBalls) - the game and the solver both build balls this way
+     */
+    setProperties(ballData) {
+        this.setPropertyPattern(ballData.propertyPattern, ballData.cycleSpeed);
+        this.setMassPattern(ballData.massPattern || 'static', ballData.massCycleSpeed || 0);
+        this.setFrictionPattern(ballData.frictionPattern || 'static', ballData.frictionCycleSpeed || 0);
+        this.setSizePattern(ballData.sizePattern || 'static', ballData.sizeCycleSpeed || 0);
+
+        // Keyframed curves override the classic wave/pulse patterns
+        ['elasticity', 'mass', 'friction', 'size'].forEach(property => {
+            const curve = ballData[`${property}Curve`];
+            if (curve) {
+                this.setPropertyCurve(property, curve);
+            }
+        });
+    }
+
+    /**
+     * Drive a property ('elasticity', 'mass', 'friction', 'size') from a PropertyCurve
+     * or a curve definition object. Pass null to keep the base value.
+     */
+    setPropertyCurve(property, curve) {
+        if (!(property in PROPERTY_RANGES)) {
+            throw new Error(`Unknown ball property: ${property}`);
+        }
+        this.curves[property] = createPropertyCurve(curve);
+    }
+
+    isPropertyDynamic(property) {
+        return this.curves[property] !== null;
     }
 
     activate() {
         this.isActive = true;
         // Make ball dynamic (unfreeze it)
         Matter.Body.setStatic(this.body, false);
+        // setStatic restores the density from before the freeze, re-apply current mass
+        this.applyMass();
     }
 
     reset(x, y) {
+        // Back to full size while still dynamic (scaling a static body breaks its mass)
+        this.setRadius(this.baseRadius);
+
         // Freeze ball again
         Matter.Body.setStatic(this.body, true);
         Matter.Body.setPosition(this.body, { x, y });
         Matter.Body.setVelocity(this.body, { x: 0, y: 0 });
         Matter.Body.setAngularVelocity(this.body, 0);
+        Matter.Body.setAngle(this.body, 0);
         this.isActive = false;
-        this.elasticityPhase = 0;
+        this.propertyTime = 0;
         this.currentElasticity = this.baseElasticity;
+        this.currentMass = this.baseMass;
+        this.currentFriction = this.baseFriction;
+        this.currentSize = this.baseSize;
         this.trailPoints = [];
+        this.portalExit = null;
         this.updateColor();
     }
 
@@ -68,24 +205,25 @@ export class Ball {
         // Ball corruption is detected one level up in Game.update(), which
         // routes through stateController.recover() — see src/game/index.js.
 
-        // Update property based on pattern
-        if (this.propertyPattern === 'wave') {
-            this.elasticityPhase += this.cycleSpeed * deltaTime;
-            // Sine wave: oscillates between 0.2 and 0.8
-            this.currentElasticity = 0.5 + Math.sin(this.elasticityPhase) * 0.3;
-        } else if (this.propertyPattern === 'pulse') {
-            this.elasticityPhase += this.cycleSpeed * deltaTime;
-            // Pulse pattern: sudden spikes
-            const pulseValue = Math.max(0, Math.sin(this.elasticityPhase));
-            this.currentElasticity = 0.3 + pulseValue * 0.5;
-        }
-        // 'static' pattern doesn't change
+        // Update properties from their curves ('static' properties don't change)
+        this.propertyTime += deltaTime;
+        const { elasticity, mass, friction, size } = this.curves;
+        if (elasticity) this.currentElasticity = elasticity.evaluate(this.propertyTime);
+        if (mass) this.currentMass = mass.evaluate(this.propertyTime);
+        if (friction) this.currentFriction = friction.evaluate(this.propertyTime);
+        if (size) this.currentSize = size.evaluate(this.propertyTime);
 
-        // Clamp elasticity
-        this.currentElasticity = clamp(this.currentElasticity, 0.2, 1.0);
+        // Clamp to the supported ranges
+        this.currentElasticity = clamp(this.currentElasticity, PROPERTY_RANGES.elasticity.min, PROPERTY_RANGES.elasticity.max);
+        this.currentMass = clamp(this.currentMass, PROPERTY_RANGES.mass.min, PROPERTY_RANGES.mass.max);
+        this.currentFriction = clamp(this.currentFriction, PROPERTY_RANGES.friction.min, PROPERTY_RANGES.friction.max);
+        this.currentSize = clamp(this.currentSize, PROPERTY_RANGES.size.min, PROPERTY_RANGES.size.max);
 
         // Update physics body
         Matter.Body.set(this.body, 'restitution', this.currentElasticity);
+        Matter.Body.set(this.body, 'friction', this.currentFriction);
+        this.applyMass();
+        this.applySize(deltaTime);
 
         // Update visual feedback
         this.updateColor();
@@ -93,7 +231,7 @@ export class Ball {
 
         // Safety cap to prevent physics instability (very high limit)
         const maxVelocity = 100;
-        const velocity = this.body.velocity;
+        const velocity = Matter.Body.getVelocity(this.body);
         const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
         if (speed > maxVelocity) {
             console.warn(`Ball velocity too high (${speed.toFixed(1)}), capping to ${maxVelocity}`);
@@ -105,6 +243,34 @@ export class Ball {
         }
     }
 
+    applyMass() {
+        // Wind and repulsors read the weight (see forceZones.js)
+        this.body.plugin.weight = this.currentMass;
+        // Static bodies have infinite mass - only touch the density once released
+        if (this.body.isStatic) return;
+        Matter.Body.setDensity(this.body, this.baseDensity * this.currentMass);
+    }
+
+    /**
+     * Grow or shrink towards the current size, at most RADIUS_CHANGE_RATE px per ms
+     */
+    applySize(deltaTime) {
+        const target = this.baseRadius * this.currentSize;
+        const maxChange = RADIUS_CHANGE_RATE * deltaTime;
+        this.setRadius(this.radius + clamp(target - this.radius, -maxChange, maxChange));
+    }
+
+    /**
+     * Rescale the body to a new radius. Matter keeps the density, so a bigger
+     * ball is heavier; velocity and spin carry on unchanged.
+     */
+    setRadius(radius) {
+        if (radius === this.radius) return;
+        const scale = radius / this.radius;
+        Matter.Body.scale(this.body, scale, scale);
+        this.radius = radius;
+    }
+
     updateColor() {
         // Interpolate color based on elasticity
         // Low elasticity (0.2) = red, High elasticity (1.0) = cyan
@@ -131,6 +297,21 @@ export class Ball {
         return (this.currentElasticity - 0.2) / 0.8;
     }
 
+    getFrictionRatio() {
+        // Return 0-1 ratio for UI display
+        return this.currentFriction / 0.9;
+    }
+
+    getMassRatio() {
+        // Return 0-1 ratio for UI display
+        return (this.currentMass - 0.5) / 4.5;
+    }
+
+    getSizeRatio() {
+        // Return 0-1 ratio for UI display
+        return (this.currentSize - 0.4) / 1.6;
+    }
+
     render(ctx) {
         const pos = this.body.position;
 
@@ -161,7 +342,9 @@ export class Ball {
         }
 
         // Draw glow - simplified without gradient for better performance
-        ctx.fillStyle = this.color + '40'; // Add alpha hex (25% opacity)
+        // Heavier ball = stronger glow (25% at normal mass, up to 50%)
+        const glowAlpha = Math.min(0x80, Math.round(0x40 * Math.sqrt(this.currentMass)));
+        ctx.fillStyle = this.color + glowAlpha.toString(16).padStart(2, '0');
         ctx.beginPath();
         ctx.arc(pos.x, pos.y, this.radius * 1.5, 0, Math.PI * 2);
         ctx.fill();
@@ -172,11 +355,16 @@ export class Ball {
         ctx.arc(pos.x, pos.y, this.radius, 0, Math.PI * 2);
         ctx.fill();
 
-        // Draw subtle outline
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-        ctx.lineWidth = 2;
+        // Draw outline - identity ring on multi-ball levels, otherwise subtle
+        ctx.strokeStyle = this.accentColor || 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = this.accentColor ? 3 : 2;
         ctx.stroke();
 
+        // Draw a marking that turns with the ball's spin once it's in play
+        if (this.isActive) {
+            drawSpinMarking(ctx, pos.x, pos.y, this.radius, this.body.angle);
+        }
+
         // Draw simple eyes for character
         if (!this.isActive) {
             ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for the ball's release and size curve
+ */
+
+import { describe, it, expect } from 'vitest';
+import Matter from 'matter-js';
+import { Ball } from './ball.js';
+
+function createBall() {
+    const engine = Matter.Engine.create();
+    const ball = new Ball(400, 100, 20, engine.world);
+    ball.setSizePattern('static');
+    return ball;
+}
+
+describe('Ball release', () => {
+    it('should get its mass, inertia and bounce back when released', () => {
+        const ball = createBall();
+        ball.activate();
+
+        expect(ball.body.mass).toBeGreaterThan(0);
+        expect(Number.isFinite(ball.body.inertia)).toBe(true);
+        expect(ball.body.restitution).toBeCloseTo(0.95);
+    });
+});
+
+describe('Ball size', () => {
+    it('should grow gradually towards its size curve', () => {
+        const ball = createBall();
+        ball.setPropertyCurve('size', { keyframes: [{ t: 0, value: 1.5 }], period: 1000 });
+        ball.activate();
+
+        ball.update(1000 / 60);
+        expect(ball.radius).toBeGreaterThan(20);
+        expect(ball.radius).toBeLessThan(30); // Not in one jump
+
+        for (let i = 0; i < 60; i++) ball.update(1000 / 60);
+        expect(ball.radius).toBeCloseTo(30);
+        expect(ball.body.circleRadius).toBeCloseTo(30);
+    });
+
+    it('should keep its density and velocity when rescaled', () => {
+        const ball = createBall();
+        ball.activate();
+        Matter.Body.setVelocity(ball.body, { x: 3, y: -2 });
+        const density = ball.body.density;
+        const mass = ball.body.mass;
+
+        ball.setRadius(40);
+        expect(ball.body.density).toBeCloseTo(density);
+        expect(ball.body.mass).toBeCloseTo(mass * 4); // Twice the radius, four times the area
+        expect(Matter.Body.getVelocity(ball.body).x).toBeCloseTo(3);
+    });
+
+    it('should go back to its base radius on reset', () => {
+        const ball = createBall();
+        ball.setPropertyCurve('size', { keyframes: [{ t: 0, value: 0.5 }], period: 1000 });
+        ball.activate();
+        for (let i = 0; i < 60; i++) ball.update(1000 / 60);
+        expect(ball.radius).toBeCloseTo(10);
+
+        ball.reset(400, 100);
+        expect(ball.radius).toBe(20);
+        expect(ball.body.circleRadius).toBeCloseTo(20);
+
+        ball.activate();
+        expect(ball.body.mass).toBeCloseTo(Math.PI * 400 * 0.001, 1); // Full-size mass again
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Force-field zones for BounceFlow
+ *
+ * Levels can list `forceZones` that push the ball on top of normal gravity.
+ * Strengths are accelerations in the same units as world gravity (0.5).
+ * Wells and gravity zones pull like gravity, alike for light and heavy balls;
+ * wind and repulsors push, so they move a ball of normal weight (mass 1) by
+ * their strength and a ball of weight m by 1/m of it - a heavy ball cuts
+ * through wind that blows a light one away.
+ *
+ * - wind: rectangle (centred on x, y) blowing towards `direction` degrees
+ *   { type: 'wind', x: 400, y: 300, width: 200, height: 150, direction: 0, strength: 0.3 }
+ * - well: pulls towards its centre, fading out to nothing at `radius`
+ *   { type: 'well', x: 500, y: 250, radius: 150, strength: 0.8 }
+ * - repulsor: like a well, but pushes away
+ *   { type: 'repulsor', x: 500, y: 250, radius: 120, strength: 0.8 }
+ * - gravity: rectangle where gravity is replaced (negative floats upwards)
+ *   { type: 'gravity', x: 400, y: 200, width: 300, height: 200, gravity: 0.15 }
+ *
+ * PhysicsManager and the solver both call applyForceZones() before every
+ * physics step, so hints see the same forces as real play.
+ */
+
+import Matter from 'matter-js';
+import { degToRad } from './utils.js';
+
+export const ZONE_TYPES = ['wind', 'well', 'repulsor', 'gravity'];
+
+export class ForceZone {
+    constructor({ type, x, y, width = 0, height = 0, radius = 0, direction = 0, strength = 0, gravity = 0 }) {
+        if (!ZONE_TYPES.includes(type)) {
+            throw new Error(`Unknown force zone type: ${type}`);
+        }
+        if (this.isRadialType(type) ? !(radius > 0) : !(width > 0 && height > 0)) {
+            throw new Error(`Force zone '${type}' needs a positive size`);
+        }
+
+        this.type = type;
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+        this.radius = radius;
+        this.direction = direction;
+        this.strength = strength;
+        this.gravity = gravity;
+    }
+
+    isRadialType(type = this.type) {
+        return type === 'well' || type === 'repulsor';
+    }
+
+    contains(point) {
+        if (this.isRadialType()) {
+            return Math.hypot(point.x - this.x, point.y - this.y) <= this.radius;
+        }
+        return Math.abs(point.x - this.x) <= this.width / 2 &&
+            Math.abs(point.y - this.y) <= this.height / 2;
+    }
+
+    /**
+     * Extra acceleration (gravity units) at a point, given the world gravity
+     * and the ball's weight (its mass property, 1 = normal)
+     */
+    getAcceleration(point, worldGravity, weight = 1) {
+        if (!this.contains(point)) return { x: 0, y: 0 };
+
+        if (this.type === 'wind') {
+            const angle = degToRad(this.direction);
+            const push = this.strength / weight;
+            return { x: Math.cos(angle) * push, y: Math.sin(angle) * push };
+        }
+
+        if (this.type === 'gravity') {
+            // Cancel world gravity and put the zone's in its place
+            return { x: -worldGravity.x, y: this.gravity - worldGravity.y };
+        }
+
+        const dx = this.x - point.x;
+        const dy = this.y - point.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance === 0) return { x: 0, y: 0 };
+
+        // Linear falloff avoids the infinite pull of a true 1/r² well
+        const falloff = this.strength * (1 - distance / this.radius);
+        const pull = this.type === 'repulsor' ? -falloff / weight : falloff;
+        return { x: (dx / distance) * pull, y: (dy / distance) * pull };
+    }
+}
+
+/**
+ * Build a zone from a level definition
+ */
+export function createForceZone(definition) {
+    if (definition instanceof ForceZone) return definition;
+    return new ForceZone(definition);
+}
+
+/**
+ * Push a body with every zone it is in. Call before Matter.Engine.update -
+ * Matter clears forces after each step. A ball's weight comes from
+ * body.plugin.weight (set by Ball.applyMass, 1 if missing).
+ */
+export function applyForceZones(body, zones, gravity) {
+    if (zones.length === 0 || body.isStatic) return;
+
+    const weight = body.plugin.weight ?? 1;
+    let ax = 0;
+    let ay = 0;
+    zones.forEach(zone => {
+        const acceleration = zone.getAcceleration(body.position, gravity, weight);
+        ax += acceleration.x;
+        ay += acceleration.y;
+    });
+
+    if (ax === 0 && ay === 0) return;
+
+    // Same conversion Matter uses for gravity: force = mass * g * scale
+    Matter.Body.applyForce(body, body.position, {
+        x: body.mass * ax * gravity.scale,
+        y: body.mass * ay * gravity.scale
+    });
+}
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for force-field zones
+ */
+
+import { describe, it, expect } from 'vitest';
+import Matter from 'matter-js';
+import { ForceZone, createForceZone, applyForceZones } from './forceZones.js';
+
+const gravity = { x: 0, y: 0.5, scale: 0.001 };
+
+describe('ForceZone', () => {
+    it('should blow wind only inside its rectangle', () => {
+        const wind = new ForceZone({ type: 'wind', x: 100, y: 100, width: 100, height: 50, direction: 0, strength: 0.3 });
+        const inside = wind.getAcceleration({ x: 140, y: 110 }, gravity);
+        expect(inside.x).toBeCloseTo(0.3);
+        expect(inside.y).toBeCloseTo(0);
+        expect(wind.getAcceleration({ x: 160, y: 100 }, gravity)).toEqual({ x: 0, y: 0 });
+    });
+
+    it('should pull towards a well and fade out at its radius', () => {
+        const well = new ForceZone({ type: 'well', x: 0, y: 0, radius: 100, strength: 1 });
+        expect(well.getAcceleration({ x: 50, y: 0 }, gravity).x).toBeCloseTo(-0.5);
+        expect(well.getAcceleration({ x: 100, y: 0 }, gravity).x).toBeCloseTo(0);
+    });
+
+    it('should push away from a repulsor', () => {
+        const repulsor = new ForceZone({ type: 'repulsor', x: 0, y: 0, radius: 100, strength: 1 });
+        expect(repulsor.getAcceleration({ x: 0, y: 50 }, gravity).y).toBeCloseTo(0.5);
+    });
+
+    it('should push light balls further than heavy ones, but pull them alike', () => {
+        const wind = new ForceZone({ type: 'wind', x: 0, y: 0, width: 100, height: 100, direction: 0, strength: 0.4 });
+        expect(wind.getAcceleration({ x: 0, y: 0 }, gravity, 0.5).x).toBeCloseTo(0.8);
+        expect(wind.getAcceleration({ x: 0, y: 0 }, gravity, 4).x).toBeCloseTo(0.1);
+
+        const repulsor = new ForceZone({ type: 'repulsor', x: 0, y: 0, radius: 100, strength: 1 });
+        expect(repulsor.getAcceleration({ x: 0, y: 50 }, gravity, 2).y).toBeCloseTo(0.25);
+
+        const well = new ForceZone({ type: 'well', x: 0, y: 0, radius: 100, strength: 1 });
+        expect(well.getAcceleration({ x: 50, y: 0 }, gravity, 4).x).toBeCloseTo(-0.5);
+    });
+
+    it('should replace world gravity inside a gravity zone', () => {
+        const lowGravity = new ForceZone({ type: 'gravity', x: 0, y: 0, width: 100, height: 100, gravity: 0.1 });
+        expect(lowGravity.getAcceleration({ x: 0, y: 0 }, gravity).y).toBeCloseTo(-0.4);
+    });
+
+    it('should reject unknown types and zones without size', () => {
+        expect(() => createForceZone({ type: 'tornado', x: 0, y: 0 })).toThrow();
+        expect(() => createForceZone({ type: 'well', x: 0, y: 0 })).toThrow();
+        expect(() => createForceZone({ type: 'wind', x: 0, y: 0, width: 100 })).toThrow();
+    });
+});
+
+describe('applyForceZones', () => {
+    it('should turn a low-gravity zone into slower falling', () => {
+        const fall = zones => {
+            const engine = Matter.Engine.create();
+            const ball = Matter.Bodies.circle(100, 100, 20, { frictionAir: 0 });
+            Matter.World.add(engine.world, ball);
+            for (let i = 0; i < 30; i++) {
+                applyForceZones(ball, zones, engine.world.gravity);
+                Matter.Engine.update(engine, 1000 / 60);
+            }
+            return ball.position.y - 100;
+        };
+
+        const normal = fall([]);
+        const floaty = fall([createForceZone({ type: 'gravity', x: 100, y: 300, width: 400, height: 600, gravity: 0.25 })]);
+        expect(floaty).toBeGreaterThan(0);
+        expect(floaty).toBeLessThan(normal * 0.6);
+    });
+
+    it('should blow a light ball further than a heavy one', () => {
+        const drift = weight => {
+            const engine = Matter.Engine.create();
+            engine.gravity.y = 0;
+            const ball = Matter.Bodies.circle(100, 100, 20, { frictionAir: 0 });
+            ball.plugin.weight = weight;
+            Matter.World.add(engine.world, ball);
+            const wind = [createForceZone({ type: 'wind', x: 100, y: 100, width: 600, height: 600, direction: 0, strength: 0.3 })];
+            for (let i = 0; i < 30; i++) {
+                applyForceZones(ball, wind, engine.world.gravity);
+                Matter.Engine.update(engine, 1000 / 60);
+            }
+            return ball.position.x - 100;
+        };
+
+        expect(drift(0.5)).toBeCloseTo(drift(1) * 2);
+        expect(drift(5)).toBeCloseTo(drift(1) / 5);
+    });
+});
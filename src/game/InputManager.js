@@ -5,7 +5,9 @@
  * - Handle mouse events (down, move, up, right-click)
  * - Handle touch events for mobile devices
  * - Track keyboard state with acceleration for held keys
- * - Forward input events to game entities (surfaces)
+ * - Forward input events to game entities (surfaces, movable portals)
+ * - Fire pinball flippers from taps/clicks on empty space while the ball is in play
+ *   (left half of the canvas = left flippers)
  *
  * Public API:
  * - handleMouseDown(e): Process mouse button press
@@ -30,6 +32,8 @@ export class InputManager {
         this.isMouseDown = false;
         this.isRightClick = false;
         this.touches = new Map();
+        this.flipperTouches = new Map(); // Touch id → flipper side it holds up
+        this.flipperClickSide = null;
 
         // Keyboard state
         this.heldKeys = new Set();
@@ -45,13 +49,26 @@ export class InputManager {
         this.isRightClick = e.button === 2;
         this.mousePos = { x, y };
 
-        // Check surface interactions
-        for (const surface of this.game.surfaces) {
-            if (surface.handleMouseDown(x, y, this.isRightClick)) {
+        // Check surface interactions, then portals
+        for (const entity of [...this.game.surfaces, ...this.game.portals]) {
+            if (entity.handleMouseDown(x, y, this.isRightClick)) {
                 this.game.canvas.classList.add('dragging');
-                break;
+                return;
             }
         }
+
+        this.flipperClickSide = this.fireFlipperAt(x);
+    }
+
+    /**
+     * Fire the flippers on the side of the canvas that was tapped. Returns
+     * the side, or null if there was nothing to fire.
+     */
+    fireFlipperAt(x) {
+        if (this.game.flippers.length === 0 || this.game.currentState !== 'PLAYING') return null;
+        const side = x < this.game.canvas.width / 2 ? 'left' : 'right';
+        this.game.setFlippers(side, true);
+        return side;
     }
 
     handleMouseMove(e) {
@@ -66,6 +83,12 @@ export class InputManager {
         this.isMouseDown = false;
         this.game.canvas.classList.remove('dragging');
         this.game.surfaces.forEach(surface => surface.handleMouseUp());
+        this.game.portals.forEach(portal => portal.handleMouseUp());
+
+        if (this.flipperClickSide) {
+            this.game.setFlippers(this.flipperClickSide, false);
+            this.flipperClickSide = null;
+        }
     }
 
     handleTouchStart(e) {
@@ -78,11 +101,11 @@ export class InputManager {
 
             this.touches.set(touch.identifier, { x, y });
 
-            // Check surface interactions
-            for (const surface of this.game.surfaces) {
-                if (surface.handleTouchStart(x, y)) {
-                    break;
-                }
+            // Check surface interactions, then portals, then flippers
+            const grabbed = [...this.game.surfaces, ...this.game.portals].some(entity => entity.handleTouchStart(x, y));
+            const side = grabbed ? null : this.fireFlipperAt(x);
+            if (side) {
+                this.flipperTouches.set(touch.identifier, side);
             }
         }
     }
@@ -99,6 +122,7 @@ export class InputManager {
             this.mousePos = { x, y };
 
             this.game.surfaces.forEach(surface => surface.handleTouchMove(x, y));
+            this.game.portals.forEach(portal => portal.handleTouchMove(x, y));
         }
     }
 
@@ -107,9 +131,19 @@ export class InputManager {
 
         for (const touch of e.changedTouches) {
             this.touches.delete(touch.identifier);
+
+            const side = this.flipperTouches.get(touch.identifier);
+            if (side) {
+                this.flipperTouches.delete(touch.identifier);
+                // Another finger may still hold the same side up
+                if (![...this.flipperTouches.values()].includes(side)) {
+                    this.game.setFlippers(side, false);
+                }
+            }
         }
 
         this.game.surfaces.forEach(surface => surface.handleTouchEnd());
+        this.game.portals.forEach(portal => portal.handleTouchEnd());
     }
 
     processHeldKeys() {
@@ -2,7 +2,8 @@
  * LevelManager - Manages level loading, progression, and state
  *
  * Responsibilities:
- * - Load level data and create game entities (ball, surfaces, targets, bird)
+ * - Load level data and create game entities (balls, surfaces, targets, force zones,
+ *   portals, hazards, switches, bumpers, flippers, bird)
  * - Clear/cleanup level entities and physics bodies
  * - Handle level progression (next level, game complete)
  * - Reset solver and replay state between levels
@@ -22,12 +23,19 @@
  * - Resets all game state (attempts, time, scoring, solver, replay)
  * - Creates bird obstacle with random spawn interval (5-10s)
  */
-import * as Matter from 'matter-js';
-import { Ball } from '../ball.js';
+import Matter from 'matter-js';
+import { Ball, BALL_COLORS } from '../ball.js';
 import { Surface } from '../surface.js';
 import { Target } from '../target.js';
 import { Bird } from '../bird.js';
-import { getLevel, getTotalLevels } from '../levels.js';
+import { getLevel, getTotalLevels, getLevelBalls } from '../levels.js';
+import { createForceZone } from '../forceZones.js';
+import { createPortalPair } from '../portal.js';
+import { createHazard, findHazardHit } from '../hazards.js';
+import { createSwitch, createSwitchBody } from '../switches.js';
+import { createBumper, createBumperBody, createFlipper, createFlipperBody } from '../pinball.js';
+import { getPhysicsSettings } from '../physicsSettings.js';
+import { hasSwingingHook } from '../hook.js';
 
 export class LevelManager {
     constructor(game) {
@@ -67,17 +75,9 @@ export class LevelManager {
         this.game.ui.replayButton.style.display = 'none';
 
         // Reset solver state
-        this.game.solver.running = false;
-        this.game.solver.attempts = [];
-        this.game.solver.bestConfig = null;
-        this.game.solver.bestDistance = Infinity;
-        this.game.solver.currentAttempt = 0;
-        this.game.solver.foundSolution = false;
-        this.game.solver.temperature = 1.0;
-        this.game.solver.errorVectors = [];
-        this.game.solver.mode = 'explore';
-        this.game.solver.userConfig = null;
+        this.game.solver.reset();
         this.game.showHints = false;
+        this.game.hintTier = 0;
         this.game.ui.hintButton.textContent = 'Show Hint (?)';
         this.game.ui.hintButton.disabled = false;
         this.game.ui.refineButton.textContent = 'Refine My Setup';
@@ -88,23 +88,41 @@ export class LevelManager {
         this.game.ui.levelName.textContent = level.name;
         this.game.ui.hintText.textContent = level.hint;
 
-        // Create ball
-        this.game.ball = new Ball(level.ballStart.x, level.ballStart.y, 20, this.game.physics.world);
-        this.game.ball.setPropertyPattern(level.propertyPattern, level.cycleSpeed);
-
-        // Disable solver hints for dynamic elasticity levels (World 2+)
-        // The solver doesn't account for changing elasticity, so hints would be inaccurate
-        if (level.propertyPattern !== 'static') {
-            this.game.ui.hintButton.disabled = true;
-            this.game.ui.hintButton.title = 'Hints not available for dynamic levels - feel the rhythm!';
-            this.game.ui.refineButton.disabled = true;
-            this.game.ui.refineButton.title = 'Hints not available for dynamic levels - feel the rhythm!';
-        } else {
-            this.game.ui.hintButton.disabled = false;
-            this.game.ui.hintButton.title = 'Show solver hints (? key)';
-            this.game.ui.refineButton.disabled = false;
-            this.game.ui.refineButton.title = 'Refine your current setup';
-        }
+        // Level physics (gravity, walls) - the solver reads the same settings
+        const physicsSettings = getPhysicsSettings(level);
+        this.game.physics.applySettings(physicsSettings);
+
+        // Create balls (most levels have one, released straight from the hook)
+        const ballDefinitions = getLevelBalls(level);
+        this.game.balls = ballDefinitions.map(ballData => {
+            const ball = new Ball(
+                ballData.x,
+                ballData.y,
+                physicsSettings.ballRadius,
+                this.game.physics.world,
+                {
+                    airDrag: physicsSettings.airDrag,
+                    index: ballData.index,
+                    releaseDelay: ballData.delay,
+                    color: ballDefinitions.length > 1
+                        ? ballData.color || BALL_COLORS[ballData.index % BALL_COLORS.length]
+                        : ballData.color
+                }
+            );
+            ball.setProperties(ballData);
+            return ball;
+        });
+        this.game.ball = this.game.balls[0]; // Primary ball drives the main HUD bars
+
+        // Only show the weight, grip and size bars when the level actually changes them
+        this.game.ui.massIndicator.style.display = this.game.ball.isPropertyDynamic('mass') ? 'block' : 'none';
+        this.game.ui.frictionIndicator.style.display = this.game.ball.isPropertyDynamic('friction') ? 'block' : 'none';
+        this.game.ui.sizeIndicator.style.display = this.game.ball.isPropertyDynamic('size') ? 'block' : 'none';
+        this.game.ui.setBallIndicators(this.game.balls);
+
+        // The solver simulates the same property curves and hook swing, so every level gets hints
+        this.game.ui.hintButton.title = 'Show solver hints (? key)';
+        this.game.ui.refineButton.title = 'Refine your current setup';
 
         // Create surfaces
         level.surfaces.forEach(surfaceData => {
@@ -114,11 +132,57 @@ export class LevelManager {
                 surfaceData.width,
                 surfaceData.angle,
                 surfaceData.locked,
-                this.game.physics.world
+                this.game.physics.world,
+                {
+                    shape: surfaceData.shape,
+                    radius: surfaceData.radius,
+                    sweep: surfaceData.sweep,
+                    vertices: surfaceData.vertices,
+                    material: surfaceData.material,
+                    conveyorSpeed: surfaceData.conveyorSpeed,
+                    motion: surfaceData.motion,
+                    oneWay: surfaceData.oneWay,
+                    breakAfter: surfaceData.breakAfter,
+                    breakSpeed: surfaceData.breakSpeed,
+                    hazard: surfaceData.hazard,
+                    hidden: surfaceData.hidden,
+                    waitForSwitch: surfaceData.waitForSwitch
+                }
             );
             this.game.surfaces.push(surface);
         });
 
+        // Create force zones (applied by PhysicsManager every step)
+        this.game.forceZones = (level.forceZones || []).map(createForceZone);
+        this.game.physics.setForceZones(this.game.forceZones);
+
+        // Create portal pairs (both ends in one flat list)
+        this.game.portals = (level.portals || []).flatMap((portalData, index) => createPortalPair(portalData, index));
+
+        // Create hazard regions (checked by Game after every physics step)
+        this.game.hazards = (level.hazards || []).map(createHazard);
+        this.game.pendingHazard = null;
+
+        // Create switches (pressed through the PhysicsManager collision callback)
+        this.game.switches = (level.switches || []).map(createSwitch);
+        this.game.switches.forEach(sw => {
+            sw.body = createSwitchBody(sw);
+            Matter.World.add(this.game.physics.world, sw.body);
+        });
+
+        // Create pinball bumpers (kick through the collision callback) and
+        // flippers (swung by Game.updateFlippers)
+        this.game.bumpers = (level.bumpers || []).map(createBumper);
+        this.game.flippers = (level.flippers || []).map(createFlipper);
+        this.game.bumpers.forEach(bumper => {
+            bumper.body = createBumperBody(bumper);
+            Matter.World.add(this.game.physics.world, bumper.body);
+        });
+        this.game.flippers.forEach(flipper => {
+            flipper.body = createFlipperBody(flipper);
+            Matter.World.add(this.game.physics.world, flipper.body);
+        });
+
         // Create targets with randomization
         level.targets.forEach(targetData => {
             const targetRadius = 25;
@@ -142,7 +206,9 @@ export class LevelManager {
                 randomX = targetData.x + xOffset;
                 randomY = targetData.y + baseYOffset + physicsCorrection;
 
-                validPosition = true;
+                // Never randomize a star into a hazard or a bumper
+                validPosition = !findHazardHit({ x: randomX, y: randomY }, targetRadius, this.game.hazards) &&
+                    this.game.bumpers.every(bumper => Math.hypot(randomX - bumper.x, randomY - bumper.y) > bumper.radius + targetRadius);
                 for (const existingTarget of this.game.targets) {
                     const dx = randomX - existingTarget.x;
                     const dy = randomY - existingTarget.y;
@@ -162,7 +228,13 @@ export class LevelManager {
                 randomY = targetData.y;
             }
 
-            const target = new Target(randomX, randomY);
+            // Ball-specific stars wear their ball's ring colour
+            const requiredBall = targetData.ball !== undefined ? this.game.balls[targetData.ball] : null;
+            const target = new Target(randomX, randomY, targetRadius, {
+                ballIndex: requiredBall ? requiredBall.index : null,
+                ballColor: requiredBall ? requiredBall.accentColor : null,
+                hidden: targetData.hidden
+            });
             this.game.targets.push(target);
         });
 
@@ -176,18 +248,21 @@ export class LevelManager {
         this.game.attempts = 0;
         this.game.levelStartTime = 0;
         this.game.levelTime = 0;
-        this.game.usedSolver = false;
+        this.game.hintTierUsed = 0;
         this.game.currentScore = 0;
         this.game.hookReleasing = false;
         this.game.hookReleaseProgress = 0;
         this.game.hookSwayOffset = 0;
+        this.game.hookSwings = hasSwingingHook(level);
+        this.game.hookTime = 0;
     }
 
     clearLevel() {
-        if (this.game.ball) {
-            Matter.World.remove(this.game.physics.world, this.game.ball.body);
-            this.game.ball = null;
-        }
+        this.game.balls.forEach(ball => {
+            Matter.World.remove(this.game.physics.world, ball.body);
+        });
+        this.game.balls = [];
+        this.game.ball = null;
 
         this.game.surfaces.forEach(surface => {
             Matter.World.remove(this.game.physics.world, surface.body);
@@ -196,15 +271,35 @@ export class LevelManager {
         this.game.selectedSurfaceIndex = -1;
 
         this.game.targets = [];
+
+        this.game.forceZones = [];
+        this.game.physics.setForceZones([]);
+        this.game.portals = [];
+        this.game.hazards = [];
+
+        this.game.switches.forEach(sw => {
+            Matter.World.remove(this.game.physics.world, sw.body);
+        });
+        this.game.switches = [];
+
+        [...this.game.bumpers, ...this.game.flippers].forEach(part => {
+            Matter.World.remove(this.game.physics.world, part.body);
+        });
+        this.game.bumpers = [];
+        this.game.flippers = [];
     }
 
     nextLevel() {
         if (this.game.currentLevel < getTotalLevels()) {
             this.game.currentLevel++;
 
-            // Show world transition screen after completing Level 15
+            // Show world transition screens after completing Levels 15, 25 and 27
             if (this.game.currentLevel === 16) {
-                this.showWorldTransition();
+                this.showWorldTransition(this.game.ui.worldTransitionOverlay);
+            } else if (this.game.currentLevel === 26) {
+                this.showWorldTransition(this.game.ui.sizeWorldOverlay);
+            } else if (this.game.currentLevel === 28) {
+                this.showWorldTransition(this.game.ui.weightWorldOverlay);
             } else {
                 this.loadLevel(this.game.currentLevel);
             }
@@ -213,12 +308,12 @@ export class LevelManager {
         }
     }
 
-    showWorldTransition() {
+    showWorldTransition(overlay) {
         // Hide victory overlay
         this.game.ui.victoryOverlay.classList.add('hidden');
 
         // Show world transition overlay
-        this.game.ui.worldTransitionOverlay.classList.remove('hidden');
+        overlay.classList.remove('hidden');
     }
 
     showGameComplete() {
@@ -4,28 +4,42 @@
  * Responsibilities:
  * - Initialize and configure Matter.js engine and world
  * - Create and manage boundary walls
- * - Handle physics simulation updates with fixed timestep
+ * - Handle physics simulation updates with fixed timestep, split into substeps
+ *   for fast balls so they can't tunnel through surfaces (see physicsStep.js)
+ * - Apply level force zones (wind, wells, gravity areas) to moving bodies
  * - Manage collision detection callbacks
  * - Handle canvas resize events
  *
  * Public API:
  * - constructor(canvas): Initialize physics with canvas dimensions
- * - update(deltaTime): Update physics simulation (fixed 60Hz timestep)
+ * - update(deltaTime, beforeSubstep): Update physics simulation (fixed 60Hz
+ *   frame); beforeSubstep(stepMs) runs before every substep
+ * - setForceZones(zones): Set the ForceZones applied before each step
+ * - applySettings(settings): Use a level's physics settings (see physicsSettings.js)
  * - onCollision(callback): Register collision event callback
+ * - onCollisionActive(callback): Register callback for ongoing contacts
  * - resize(width, height): Recreate walls for new canvas dimensions
  *
  * Properties:
  * - engine: Matter.js Engine instance
  * - world: Matter.js World instance
  * - walls: Array of boundary wall bodies
+ * - forceZones: Array of ForceZone instances for the current level
+ * - settings: Current physics settings (gravity, wall bounce, ...)
  */
-import * as Matter from 'matter-js';
+import Matter from 'matter-js';
+import { applyForceZones } from '../forceZones.js';
+import { DEFAULT_PHYSICS, applyWorldPhysics, createWalls } from '../physicsSettings.js';
+import { stepEngine } from '../physicsStep.js';
 
 export class PhysicsManager {
     constructor(canvas) {
         this.canvas = canvas;
+        this.settings = DEFAULT_PHYSICS;
         this.setupPhysics();
         this.collisionCallbacks = [];
+        this.collisionActiveCallbacks = [];
+        this.forceZones = [];
     }
 
     setupPhysics() {
@@ -38,19 +52,10 @@ export class PhysicsManager {
         this.world = this.engine.world;
 
         // Configure gravity (scale for better gameplay)
-        this.world.gravity.y = 0.5;
-
-        // Disable air resistance
-        this.world.gravity.scale = 0.001;
+        applyWorldPhysics(this.world, this.settings);
 
         // Create walls
-        const wallOptions = { isStatic: true, friction: 0, restitution: 0.99 };
-        this.walls = [
-            Matter.Bodies.rectangle(this.canvas.width / 2, -25, this.canvas.width, 50, wallOptions), // Top
-            Matter.Bodies.rectangle(this.canvas.width / 2, this.canvas.height + 25, this.canvas.width, 50, wallOptions), // Bottom
-            Matter.Bodies.rectangle(-25, this.canvas.height / 2, 50, this.canvas.height, wallOptions), // Left
-            Matter.Bodies.rectangle(this.canvas.width + 25, this.canvas.height / 2, 50, this.canvas.height, wallOptions) // Right
-        ];
+        this.walls = createWalls(this.canvas.width, this.canvas.height, this.settings);
 
         Matter.World.add(this.world, this.walls);
 
@@ -58,28 +63,52 @@ export class PhysicsManager {
         Matter.Events.on(this.engine, 'collisionStart', (event) => {
             this.collisionCallbacks.forEach(callback => callback(event.pairs));
         });
+        Matter.Events.on(this.engine, 'collisionActive', (event) => {
+            this.collisionActiveCallbacks.forEach(callback => callback(event.pairs));
+        });
     }
 
-    update(deltaTime) {
-        // Update physics with fixed timestep (16.67ms = 60Hz)
-        const fixedTimeStep = 1000 / 60;
-        Matter.Engine.update(this.engine, fixedTimeStep);
+    update(deltaTime, beforeSubstep = () => {}) {
+        // Update physics with fixed timestep (16.67ms = 60Hz), in substeps when a ball is fast
+        const bodies = Matter.Composite.allBodies(this.world);
+
+        stepEngine(this.engine, bodies, stepMs => {
+            beforeSubstep(stepMs);
+
+            // Zone forces are cleared by Matter after every step, so reapply each time
+            if (this.forceZones.length > 0) {
+                Matter.Composite.allBodies(this.world).forEach(body => {
+                    applyForceZones(body, this.forceZones, this.world.gravity);
+                });
+            }
+        });
+    }
+
+    setForceZones(zones) {
+        this.forceZones = zones;
     }
 
     onCollision(callback) {
         this.collisionCallbacks.push(callback);
     }
 
+    onCollisionActive(callback) {
+        this.collisionActiveCallbacks.push(callback);
+    }
+
+    /**
+     * Switch to a level's physics settings (gravity and wall bounce)
+     */
+    applySettings(settings) {
+        this.settings = settings;
+        applyWorldPhysics(this.world, settings);
+        this.resize(this.canvas.width, this.canvas.height);
+    }
+
     resize(width, height) {
         // Recreate walls with new dimensions
         Matter.World.remove(this.world, this.walls);
-        const wallOptions = { isStatic: true, friction: 0, restitution: 0.99 };
-        this.walls = [
-            Matter.Bodies.rectangle(width / 2, -25, width, 50, wallOptions),
-            Matter.Bodies.rectangle(width / 2, height + 25, width, 50, wallOptions),
-            Matter.Bodies.rectangle(-25, height / 2, 50, height, wallOptions),
-            Matter.Bodies.rectangle(width + 25, height / 2, 50, height, wallOptions)
-        ];
+        this.walls = createWalls(width, height, this.settings);
         Matter.World.add(this.world, this.walls);
     }
 }
@@ -2,16 +2,28 @@
  * RenderingSystem - Handles all game rendering including specialized visualizations
  *
  * Responsibilities:
- * - Render main game scene (gradient background, entities)
+ * - Render main game scene (gradient background, force zones, hazards, portals,
+ *   switches, bumpers, flippers, entities)
+ * - Render the fail animation when a ball hits a hazard
  * - Render hook/claw animation in MENU state
- * - Render solver hints with ghost surfaces and trajectories
+ * - Render solver hints with ghost surfaces and trajectories, and how far
+ *   each ghost can be moved (halo) or turned (wedge) and still work
  * - Render replay mode with force vectors and collision analysis
  * - Render UI indicators (angles, debug mode)
  *
  * Public API:
  * - render(): Main render method called each frame
- * - renderHook(): Draw robot claw holding ball
- * - renderHints(): Draw solver visualization (attempts, solution)
+ * - renderForceZones(): Draw wind, wells and gravity areas with animated particles
+ * - renderHazards(): Draw spike strips, lava pools and void pits
+ * - renderFailEffect(): Burst / sizzle / swallow animation after a hazard hit
+ * - renderSwitches(): Draw switches, linked to what they control while aiming
+ * - renderHook(ball, releasing): Draw robot claw holding a ball
+ * - renderHints(): Draw solver progress and the hint tier shown (attempts only
+ *   at the solution tier)
+ * - renderSurfaceNudge(showDirection): Highlight the surface to change, and
+ *   which way to move and turn it
+ * - renderTolerance(surface, tolerance): Halo and angle wedge around a ghost surface
+ * - renderReleaseTiming(phase): Show when to press Space on swinging-hook levels
  * - renderReplay(): Draw replay with force vectors and analysis
  * - drawForceVector(ctx, x, y, fx, fy, color, label): Draw force arrow
  * - drawVelocityVector(ctx, x, y, vx, vy, speed, isLarge): Draw velocity arrow
@@ -24,6 +36,35 @@
  * - Color-coded vectors: red=impact, green=normal force, yellow=velocity
  */
 import { getLevel } from '../levels.js';
+import { getHandlePoint, isFilledShape, traceShape } from '../surfaceShapes.js';
+import { drawSpinMarking } from '../ball.js';
+import { getHookSwing } from '../hook.js';
+import { describeRobustness } from '../robustness.js';
+import { degToRad } from '../utils.js';
+import { HINT_TIERS, NUDGE_DISTANCE, NUDGE_ROTATION, getHintTier, findHintSurface, getSurfaceNudge } from '../hints.js';
+
+// How close (fraction of a swing) the hook must be to the solver's release phase to say "now"
+const RELEASE_WINDOW = 0.02;
+
+const ZONE_COLORS = {
+    wind: '255, 255, 255',
+    well: '179, 136, 255',
+    repulsor: '255, 138, 101',
+    gravity: '128, 216, 255'
+};
+
+const FAIL_EFFECT_DURATION = 1000;
+const FAIL_MESSAGES = {
+    spikes: 'Popped!',
+    lava: 'Burnt!',
+    void: 'Lost in the void!'
+};
+
+// Stable 0-1 pseudo-random value per particle, so particles don't flicker
+function particleSeed(index, salt = 0) {
+    const value = Math.sin(index * 12.9898 + salt * 78.233) * 43758.5453;
+    return value - Math.floor(value);
+}
 
 export class RenderingSystem {
     constructor(game) {
@@ -53,9 +94,25 @@ export class RenderingSystem {
         this.ctx.fillStyle = this.cachedGradient;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
+        // Force zones sit behind everything else
+        this.renderForceZones();
+        this.renderHazards();
+
+        // Render portals
+        this.game.portals.forEach(portal => portal.render(this.ctx));
+
+        this.renderSwitches();
+
+        // Pinball parts (flippers follow the recording during replay)
+        this.game.bumpers.forEach(bumper => bumper.render(this.ctx));
+        this.game.flippers.forEach(flipper => flipper.render(this.ctx));
+
         // Render surfaces (show angles in replay mode or if toggled on)
         const isReplay = this.game.currentState === 'REPLAY';
         const displayAngles = isReplay || this.game.showAngles;
+        if (this.game.currentState === 'MENU') {
+            this.game.surfaces.forEach(surface => surface.renderMotionPreview(this.ctx));
+        }
         this.game.surfaces.forEach(surface => surface.render(this.ctx, displayAngles));
 
         // Render targets
@@ -85,17 +142,20 @@ export class RenderingSystem {
         if (this.game.currentState === 'REPLAY') {
             this.renderReplay();
         } else {
-            // Render ball normally
-            if (this.game.ball) {
-                this.game.ball.render(this.ctx);
-            }
-
-            // Render hook in MENU state or during release animation
-            if (this.game.currentState === 'MENU' || this.game.hookReleasing) {
-                this.renderHook();
-            }
+            // Render balls normally
+            this.game.balls.forEach(ball => ball.render(this.ctx));
+
+            // Every ball still waiting to drop hangs from its hook (only balls
+            // released straight away open their claw during the release animation)
+            this.game.balls.forEach(ball => {
+                if (!ball.isActive) {
+                    this.renderHook(ball, this.game.hookReleasing && ball.releaseDelay === 0);
+                }
+            });
         }
 
+        this.renderFailEffect();
+
         // Show debug mode indicator and coordinates
         if (this.game.debugMode) {
             this.ctx.fillStyle = 'rgba(255, 100, 100, 0.8)';
@@ -156,19 +216,294 @@ export class RenderingSystem {
         }
     }
 
-    renderHook() {
-        if (!this.game.ball) return;
+    renderHazards() {
+        const ctx = this.ctx;
+        const time = Date.now() / 1000;
+
+        this.game.hazards.forEach(hazard => {
+            const left = hazard.x - hazard.width / 2;
+            const top = hazard.y - hazard.height / 2;
+            const bottom = top + hazard.height;
+            ctx.save();
+
+            if (hazard.type === 'spikes') {
+                // Row of spikes standing on the bottom edge
+                const spikeWidth = Math.min(20, hazard.height);
+                const count = Math.max(1, Math.round(hazard.width / spikeWidth));
+                const step = hazard.width / count;
+                ctx.fillStyle = '#3A3A3A';
+                ctx.fillRect(left, bottom - 4, hazard.width, 4);
+                ctx.fillStyle = '#D8D8D8';
+                ctx.strokeStyle = '#7A7A7A';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                for (let i = 0; i < count; i++) {
+                    ctx.moveTo(left + i * step, bottom - 4);
+                    ctx.lineTo(left + (i + 0.5) * step, top);
+                    ctx.lineTo(left + (i + 1) * step, bottom - 4);
+                }
+                ctx.fill();
+                ctx.stroke();
+            } else if (hazard.type === 'lava') {
+                const lava = ctx.createLinearGradient(0, top, 0, bottom);
+                lava.addColorStop(0, '#FFB300');
+                lava.addColorStop(0.4, '#FF5722');
+                lava.addColorStop(1, '#B71C1C');
+                ctx.fillStyle = lava;
+                ctx.shadowColor = '#FF9800';
+                ctx.shadowBlur = 20;
+
+                // Wavy molten top edge
+                ctx.beginPath();
+                ctx.moveTo(left, bottom);
+                for (let x = 0; x <= hazard.width; x += 10) {
+                    ctx.lineTo(left + x, top + Math.sin(x / 25 + time * 3) * 3);
+                }
+                ctx.lineTo(left + hazard.width, bottom);
+                ctx.closePath();
+                ctx.fill();
+                ctx.shadowBlur = 0;
+
+                // Bubbles popping up
+                ctx.fillStyle = 'rgba(255, 236, 179, 0.7)';
+                const bubbles = Math.ceil(hazard.width / 60);
+                for (let i = 0; i < bubbles; i++) {
+                    const progress = (particleSeed(i, 3) + time * 0.5) % 1;
+                    const bx = left + particleSeed(i, 4) * hazard.width;
+                    const by = bottom - progress * hazard.height;
+                    ctx.beginPath();
+                    ctx.arc(bx, by, 2 + progress * 3, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            } else {
+                // Void: a dark pit with a faint purple rim
+                const pit = ctx.createRadialGradient(
+                    hazard.x, hazard.y, 0,
+                    hazard.x, hazard.y, Math.max(hazard.width, hazard.height) / 2
+                );
+                pit.addColorStop(0, 'rgba(0, 0, 0, 0.95)');
+                pit.addColorStop(1, 'rgba(40, 0, 70, 0.85)');
+                ctx.fillStyle = pit;
+                ctx.fillRect(left, top, hazard.width, hazard.height);
+                ctx.strokeStyle = 'rgba(179, 136, 255, 0.6)';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(left, top, hazard.width, hazard.height);
+
+                // Specks drifting into the middle
+                ctx.beginPath();
+                ctx.rect(left, top, hazard.width, hazard.height);
+                ctx.clip();
+                for (let i = 0; i < 16; i++) {
+                    const progress = (particleSeed(i, 5) + time * 0.3) % 1;
+                    const sx = left + particleSeed(i) * hazard.width;
+                    const sy = top + particleSeed(i, 1) * hazard.height;
+                    ctx.fillStyle = `rgba(179, 136, 255, ${0.6 * (1 - progress)})`;
+                    ctx.beginPath();
+                    ctx.arc(sx + (hazard.x - sx) * progress, sy + (hazard.y - sy) * progress, 1.5, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            }
+
+            ctx.restore();
+        });
+    }
+
+    renderSwitches() {
+        const ctx = this.ctx;
+
+        // While aiming, dotted lines show what each switch controls
+        if (this.game.currentState === 'MENU') {
+            ctx.save();
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([2, 6]);
+            this.game.switches.forEach(sw => {
+                sw.actions.forEach(action => {
+                    const linked = action.target !== undefined
+                        ? this.game.targets[action.target]
+                        : this.game.surfaces[action.surface] && this.game.surfaces[action.surface].pose;
+                    if (!linked) return;
+                    ctx.beginPath();
+                    ctx.moveTo(sw.x, sw.y);
+                    ctx.lineTo(linked.x, linked.y);
+                    ctx.stroke();
+                });
+            });
+            ctx.restore();
+        }
+
+        this.game.switches.forEach(sw => sw.render(ctx));
+    }
+
+    renderFailEffect() {
+        const effect = this.game.failEffect;
+        if (!effect) return;
+
+        const elapsed = Date.now() - effect.startTime;
+        if (elapsed > FAIL_EFFECT_DURATION) {
+            this.game.failEffect = null;
+            return;
+        }
+
+        const ctx = this.ctx;
+        const progress = elapsed / FAIL_EFFECT_DURATION;
+        const fade = 1 - progress;
+        ctx.save();
+
+        if (effect.type === 'spikes') {
+            // Burst of shreds flying out from the pop
+            ctx.strokeStyle = `rgba(255, 107, 107, ${fade})`;
+            ctx.lineWidth = 3;
+            ctx.lineCap = 'round';
+            for (let i = 0; i < 12; i++) {
+                const angle = (i / 12) * Math.PI * 2 + particleSeed(i) * 0.4;
+                const inner = 10 + progress * 50;
+                const outer = inner + 12 * fade;
+                ctx.beginPath();
+                ctx.moveTo(effect.x + Math.cos(angle) * inner, effect.y + Math.sin(angle) * inner);
+                ctx.lineTo(effect.x + Math.cos(angle) * outer, effect.y + Math.sin(angle) * outer);
+                ctx.stroke();
+            }
+        } else if (effect.type === 'lava') {
+            // Smoke puffs rising from where the ball melted
+            for (let i = 0; i < 8; i++) {
+                const drift = (particleSeed(i) - 0.5) * 40;
+                ctx.fillStyle = `rgba(90, 90, 90, ${0.5 * fade})`;
+                ctx.beginPath();
+                ctx.arc(
+                    effect.x + drift * progress,
+                    effect.y - progress * (40 + particleSeed(i, 1) * 40),
+                    6 + progress * 12,
+                    0, Math.PI * 2
+                );
+                ctx.fill();
+            }
+            ctx.fillStyle = `rgba(255, 152, 0, ${fade})`;
+            ctx.beginPath();
+            ctx.arc(effect.x, effect.y, 20 * fade, 0, Math.PI * 2);
+            ctx.fill();
+        } else {
+            // Ring collapsing into nothing
+            ctx.strokeStyle = `rgba(179, 136, 255, ${fade})`;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(effect.x, effect.y, 40 * fade, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        // Red flash over the whole scene plus a short message
+        ctx.fillStyle = `rgba(255, 60, 60, ${0.25 * fade})`;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.globalAlpha = fade;
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 32px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(FAIL_MESSAGES[effect.type], this.canvas.width / 2, this.canvas.height / 3);
+        ctx.textAlign = 'left';
+
+        ctx.restore();
+    }
+
+    renderForceZones() {
+        if (this.game.forceZones.length === 0) return;
+
+        const ctx = this.ctx;
+        const time = Date.now() / 1000;
+
+        this.game.forceZones.forEach(zone => {
+            const rgb = ZONE_COLORS[zone.type];
+            ctx.save();
+
+            if (zone.isRadialType()) {
+                // Soft glow fading towards the edge of the field
+                const glow = ctx.createRadialGradient(zone.x, zone.y, 0, zone.x, zone.y, zone.radius);
+                glow.addColorStop(0, `rgba(${rgb}, 0.25)`);
+                glow.addColorStop(1, `rgba(${rgb}, 0)`);
+                ctx.fillStyle = glow;
+                ctx.beginPath();
+                ctx.arc(zone.x, zone.y, zone.radius, 0, Math.PI * 2);
+                ctx.fill();
+
+                // Particles spiral in to a well, stream out of a repulsor
+                const inward = zone.type === 'well';
+                const speed = 0.2 + zone.strength * 0.3;
+                for (let i = 0; i < 24; i++) {
+                    const progress = (particleSeed(i) + time * speed) % 1;
+                    const distance = zone.radius * (inward ? 1 - progress : progress);
+                    const angle = particleSeed(i, 1) * Math.PI * 2 + (inward ? progress * 1.5 : 0);
+                    ctx.fillStyle = `rgba(${rgb}, ${0.8 * (1 - distance / zone.radius)})`;
+                    ctx.beginPath();
+                    ctx.arc(zone.x + Math.cos(angle) * distance, zone.y + Math.sin(angle) * distance, 2.5, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            } else {
+                const left = zone.x - zone.width / 2;
+                const top = zone.y - zone.height / 2;
+
+                ctx.fillStyle = `rgba(${rgb}, 0.08)`;
+                ctx.fillRect(left, top, zone.width, zone.height);
+                ctx.strokeStyle = `rgba(${rgb}, 0.3)`;
+                ctx.lineWidth = 1;
+                ctx.setLineDash([4, 6]);
+                ctx.strokeRect(left, top, zone.width, zone.height);
+                ctx.setLineDash([]);
+
+                ctx.beginPath();
+                ctx.rect(left, top, zone.width, zone.height);
+                ctx.clip();
+
+                // Wind streaks follow the wind; gravity motes drift the way things fall
+                let dirX, dirY, speed;
+                if (zone.type === 'wind') {
+                    const angle = zone.direction * Math.PI / 180;
+                    dirX = Math.cos(angle);
+                    dirY = Math.sin(angle);
+                    speed = 60 + zone.strength * 200;
+                } else {
+                    dirX = 0;
+                    dirY = Math.sign(zone.gravity) || -1;
+                    speed = 10 + Math.abs(zone.gravity) * 60;
+                }
+
+                const count = Math.min(40, Math.ceil((zone.width * zone.height) / 3000));
+                ctx.strokeStyle = `rgba(${rgb}, 0.6)`;
+                ctx.fillStyle = `rgba(${rgb}, 0.6)`;
+                ctx.lineWidth = 2;
+                ctx.lineCap = 'round';
+                for (let i = 0; i < count; i++) {
+                    const travel = time * speed * (0.7 + particleSeed(i, 2) * 0.6);
+                    const px = left + ((((particleSeed(i) * zone.width + dirX * travel) % zone.width) + zone.width) % zone.width);
+                    const py = top + ((((particleSeed(i, 1) * zone.height + dirY * travel) % zone.height) + zone.height) % zone.height);
+
+                    ctx.beginPath();
+                    if (zone.type === 'wind') {
+                        ctx.moveTo(px, py);
+                        ctx.lineTo(px - dirX * 14, py - dirY * 14);
+                        ctx.stroke();
+                    } else {
+                        ctx.arc(px, py, 2, 0, Math.PI * 2);
+                        ctx.fill();
+                    }
+                }
+            }
+
+            ctx.restore();
+        });
+    }
+
+    renderHook(ball = this.game.ball, releasing = this.game.hookReleasing) {
+        if (!ball) return;
 
         const ctx = this.ctx;
-        const ballPos = this.game.ball.body.position;
-        const ballRadius = this.game.ball.radius;
+        const ballPos = ball.body.position;
+        const ballRadius = ball.radius;
 
         // Calculate hook position with sway and release animation
         let hookX = ballPos.x + this.game.hookSwayOffset;
         let hookY = ballPos.y - ballRadius - 8;
 
         // During release, move hook upward
-        if (this.game.hookReleasing) {
+        if (releasing) {
             hookY -= this.game.hookReleaseProgress * 80;
         }
 
@@ -189,7 +524,7 @@ export class RenderingSystem {
         const clawRadius = 15; // Radius of the rounded claw
         const clawThickness = 8; // Thickness of the claw
         const closedDistance = ballRadius + 5; // Start close to ball sides
-        const openDistance = this.game.hookReleasing
+        const openDistance = releasing
             ? closedDistance + (this.game.hookReleaseProgress * 35) // Open further when releasing
             : closedDistance;
 
@@ -295,7 +630,7 @@ export class RenderingSystem {
         ctx.fill();
 
         // Add cute robot eye on the base
-        if (!this.game.hookReleasing || this.game.hookReleaseProgress < 0.5) {
+        if (!releasing || this.game.hookReleaseProgress < 0.5) {
             ctx.fillStyle = '#4ECDC4';
             ctx.beginPath();
             ctx.arc(hookX, hookY - 14, 4, 0, Math.PI * 2);
@@ -330,26 +665,49 @@ export class RenderingSystem {
         ctx.fillStyle = '#4ECDC4';
         ctx.font = 'bold 14px sans-serif';
 
+        const { starsOut, bestStars } = this.game.solver;
         if (this.game.solver.running) {
             const text = `🔬 Experimenting... (${this.game.solver.currentAttempt} tries)`;
             ctx.fillText(text, 20, this.canvas.height - 95);
         } else if (this.game.solver.bestConfig) {
             if (this.game.solver.foundSolution) {
+                // How much slack the solution leaves, once it's been measured
+                const { robustness } = this.game.solver;
+                const slack = robustness
+                    ? ` (${describeRobustness(robustness.successRate)}, ${Math.round(robustness.successRate * 100)}%)`
+                    : '';
                 ctx.fillStyle = '#4ECDC4';
-                ctx.fillText(`✅ Solution Found!`, 20, this.canvas.height - 95);
+                ctx.fillText(`✅ Solution Found!${slack}`, 20, this.canvas.height - 95);
+            } else if (bestStars > 0) {
+                // Partial progress - the rest can come from another drop
+                ctx.fillStyle = '#FFE66D';
+                ctx.fillText(`⭐ ${bestStars} of ${starsOut} stars (best try shown)`, 20, this.canvas.height - 95);
             } else {
                 ctx.fillStyle = '#FF6B6B';
                 ctx.fillText(`❌ No Solution (best try shown)`, 20, this.canvas.height - 95);
             }
         }
 
-        // Show attempts count
+        // Show attempts count, the best so far on multi-star levels and the hint tier
         if (this.game.solver.attempts.length > 0) {
             ctx.font = '12px sans-serif';
             ctx.fillStyle = 'white';
-            ctx.fillText(`Failed: ${this.game.solver.attempts.filter(a => !a.success).length}`, 20, this.canvas.height - 75);
+            const progress = starsOut > 1 ? ` · Best: ${bestStars} of ${starsOut} stars` : '';
+            const tier = this.game.showHints && !this.game.solver.running
+                ? `Hint ${this.game.hintTier} of ${HINT_TIERS.length} · `
+                : '';
+            ctx.fillText(`${tier}Failed: ${this.game.solver.attempts.filter(a => !a.success).length}${progress}`, 20, this.canvas.height - 75);
         }
 
+        // Gentler tiers only point at what to change
+        const showSolution = this.game.showHints && this.game.hintTier >= getHintTier('solution');
+        if (this.game.showHints && !showSolution && this.game.solver.bestConfig) {
+            this.renderSurfaceNudge(this.game.hintTier >= getHintTier('direction'));
+        }
+        // Layouts and trajectories tried give the placement away, so the search
+        // only shows its progress text below the solution tier
+        if (!showSolution) return;
+
         // Draw last 20 failed attempts as visible trajectories
         const failedAttempts = this.game.solver.attempts.filter(a => !a.success).slice(-20);
         failedAttempts.forEach((attempt, index) => {
@@ -359,7 +717,7 @@ export class RenderingSystem {
             ctx.beginPath();
 
             attempt.trajectory.forEach((point, i) => {
-                if (i === 0) {
+                if (i === 0 || point.teleported) {
                     ctx.moveTo(point.x, point.y);
                 } else {
                     ctx.lineTo(point.x, point.y);
@@ -377,24 +735,14 @@ export class RenderingSystem {
             currentAttempt.config.forEach((configSurface, index) => {
                 if (configSurface.locked) return;
 
-                const angleRad = (configSurface.angle * Math.PI) / 180;
-                const halfWidth = configSurface.width / 2;
-
-                const x1 = configSurface.x - Math.cos(angleRad) * halfWidth;
-                const y1 = configSurface.y - Math.sin(angleRad) * halfWidth;
-                const x2 = configSurface.x + Math.cos(angleRad) * halfWidth;
-                const y2 = configSurface.y + Math.sin(angleRad) * halfWidth;
-
-                // Draw testing surface
+                // Draw testing surface (filled shapes as an outline)
                 ctx.save();
                 ctx.strokeStyle = 'rgba(255, 200, 100, 0.4)';
-                ctx.lineWidth = 18;
+                ctx.lineWidth = isFilledShape(configSurface) ? 4 : 18;
                 ctx.setLineDash([5, 5]);
                 ctx.lineCap = 'round';
 
-                ctx.beginPath();
-                ctx.moveTo(x1, y1);
-                ctx.lineTo(x2, y2);
+                traceShape(ctx, configSurface, configSurface);
                 ctx.stroke();
 
                 ctx.restore();
@@ -407,7 +755,7 @@ export class RenderingSystem {
             ctx.beginPath();
 
             currentAttempt.trajectory.forEach((point, i) => {
-                if (i === 0) {
+                if (i === 0 || point.teleported) {
                     ctx.moveTo(point.x, point.y);
                 } else {
                     ctx.lineTo(point.x, point.y);
@@ -418,7 +766,7 @@ export class RenderingSystem {
         }
 
         // Draw best/successful configuration if found
-        if (this.game.solver.bestConfig && this.game.showHints) {
+        if (this.game.solver.bestConfig && showSolution) {
             const config = this.game.solver.bestConfig;
             const successfulAttempt = this.game.solver.attempts.find(a => a.success);
             const bestAttempt = successfulAttempt || this.game.solver.attempts.find(a => a.config === this.game.solver.bestConfig);
@@ -430,7 +778,7 @@ export class RenderingSystem {
                 ctx.beginPath();
 
                 successfulAttempt.trajectory.forEach((point, i) => {
-                    if (i === 0) {
+                    if (i === 0 || point.teleported) {
                         ctx.moveTo(point.x, point.y);
                     } else {
                         ctx.lineTo(point.x, point.y);
@@ -495,69 +843,256 @@ export class RenderingSystem {
                 const configSurface = Array.isArray(config) ? config[index] : config;
                 if (!configSurface) return;
 
-                const angleRad = (configSurface.angle * Math.PI) / 180;
-                const halfWidth = configSurface.width / 2;
-
-                const x1 = configSurface.x - Math.cos(angleRad) * halfWidth;
-                const y1 = configSurface.y - Math.sin(angleRad) * halfWidth;
-                const x2 = configSurface.x + Math.cos(angleRad) * halfWidth;
-                const y2 = configSurface.y + Math.sin(angleRad) * halfWidth;
+                const tolerance = this.game.solver.robustness &&
+                    this.game.solver.robustness.surfaces.find(surface => surface.index === index);
+                if (tolerance) {
+                    this.renderTolerance(configSurface, tolerance);
+                }
 
-                // Draw ghost surface with dashed line
+                // Draw ghost surface with dashed line (filled shapes as an outline)
                 ctx.save();
                 ctx.strokeStyle = '#4ECDC4';
-                ctx.lineWidth = 20;
+                ctx.lineWidth = isFilledShape(configSurface) ? 4 : 20;
                 ctx.globalAlpha = 0.5;
                 ctx.setLineDash([10, 10]);
                 ctx.lineCap = 'round';
 
-                ctx.beginPath();
-                ctx.moveTo(x1, y1);
-                ctx.lineTo(x2, y2);
+                traceShape(ctx, configSurface, configSurface);
                 ctx.stroke();
 
-                // Draw center point
+                // Draw center point (the drag handle)
+                const handle = getHandlePoint(configSurface, configSurface);
                 ctx.globalAlpha = 0.7;
                 ctx.fillStyle = '#4ECDC4';
                 ctx.beginPath();
-                ctx.arc(configSurface.x, configSurface.y, 6, 0, Math.PI * 2);
+                ctx.arc(handle.x, handle.y, 6, 0, Math.PI * 2);
                 ctx.fill();
 
                 // Draw angle label
                 ctx.globalAlpha = 0.9;
                 ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-                ctx.fillRect(configSurface.x - 30, configSurface.y - 35, 60, 22);
+                ctx.fillRect(handle.x - 30, handle.y - 35, 60, 22);
                 ctx.fillStyle = '#4ECDC4';
                 ctx.font = 'bold 12px sans-serif';
                 ctx.textAlign = 'center';
-                ctx.fillText(`${configSurface.angle.toFixed(0)}°`, configSurface.x, configSurface.y - 18);
+                ctx.fillText(`${configSurface.angle.toFixed(0)}°`, handle.x, handle.y - 18);
 
                 ctx.restore();
             });
 
             ctx.textAlign = 'left';
+
+            // When to press Space, on levels where the hook swings
+            if (this.game.solver.bestReleasePhase !== null && this.game.currentState === 'MENU') {
+                this.renderReleaseTiming(this.game.solver.bestReleasePhase);
+            }
         }
     }
 
+    /**
+     * Gentle hint tiers: outline the surface furthest from the solver's best
+     * configuration and, with `showDirection`, arrows for which way to move
+     * and turn it. Follows the surfaces as the player drags them.
+     */
+    renderSurfaceNudge(showDirection) {
+        const ctx = this.ctx;
+        const current = this.game.surfaces.map(surface => surface.toConfig());
+        const index = findHintSurface(current, this.game.solver.bestConfig);
+
+        ctx.save();
+        ctx.font = 'bold 14px sans-serif';
+        ctx.textAlign = 'center';
+
+        if (index < 0) {
+            // Nothing left to nudge
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+            ctx.fillRect(this.canvas.width / 2 - 130, 70, 260, 30);
+            ctx.fillStyle = '#4ECDC4';
+            ctx.fillText('Looks about right - try a drop!', this.canvas.width / 2, 90);
+            ctx.restore();
+            return;
+        }
+
+        const surface = this.game.surfaces[index];
+        const nudge = getSurfaceNudge(current[index], this.game.solver.bestConfig[index]);
+        const handle = getHandlePoint(surface, surface.pose);
+
+        // Pulsing outline around the surface to change
+        const pulse = 0.5 + 0.5 * Math.sin(Date.now() / 200);
+        ctx.strokeStyle = '#FFE66D';
+        ctx.globalAlpha = 0.4 + pulse * 0.4;
+        ctx.lineWidth = isFilledShape(surface) ? 6 : 30;
+        ctx.lineCap = 'round';
+        traceShape(ctx, surface, surface.pose);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+
+        const move = nudge.distance >= NUDGE_DISTANCE;
+        const turn = Math.abs(nudge.rotation) >= NUDGE_ROTATION;
+        let label = 'Change this one!';
+        if (showDirection) {
+            // Which way to move it (long moves are drawn capped)
+            if (move) {
+                const length = Math.min(nudge.distance, 80);
+                this.drawForceVector(ctx, handle.x, handle.y,
+                    nudge.dx / nudge.distance * length, nudge.dy / nudge.distance * length, '#FFE66D');
+            }
+
+            // Which way to turn it: an arc around the handle ending in an arrow head
+            if (turn) {
+                const direction = Math.sign(nudge.rotation);
+                const radius = 28;
+                const start = -Math.PI / 2;
+                const end = start + direction * Math.PI * 0.6;
+                ctx.strokeStyle = '#FF8A65';
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.arc(handle.x, handle.y, radius, start, end, direction < 0);
+                ctx.stroke();
+
+                const tipX = handle.x + Math.cos(end) * radius;
+                const tipY = handle.y + Math.sin(end) * radius;
+                const heading = end + direction * Math.PI / 2;
+                ctx.fillStyle = '#FF8A65';
+                ctx.beginPath();
+                ctx.moveTo(tipX + Math.cos(heading) * 8, tipY + Math.sin(heading) * 8);
+                ctx.lineTo(tipX + Math.cos(heading + Math.PI / 2) * 5, tipY + Math.sin(heading + Math.PI / 2) * 5);
+                ctx.lineTo(tipX + Math.cos(heading - Math.PI / 2) * 5, tipY + Math.sin(heading - Math.PI / 2) * 5);
+                ctx.closePath();
+                ctx.fill();
+            }
+
+            const turnText = nudge.rotation > 0 ? 'turn clockwise' : 'turn anticlockwise';
+            if (move && turn) label = `Move it and ${turnText}`;
+            else if (move) label = 'Move it this way';
+            else label = turnText.charAt(0).toUpperCase() + turnText.slice(1);
+        }
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(handle.x - 100, handle.y + 36, 200, 24);
+        ctx.fillStyle = '#FFE66D';
+        ctx.fillText(label, handle.x, handle.y + 53);
+        ctx.restore();
+    }
+
+    /**
+     * How forgiving a ghost surface is: a green halo as wide as it can be moved
+     * and still work (a red outline when it can't move at all), and an orange
+     * wedge for how far it can turn each way
+     */
+    renderTolerance(surface, { positionTolerance, angleTolerance }) {
+        const ctx = this.ctx;
+        const thickness = isFilledShape(surface) ? 0 : 20;
+        ctx.save();
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        traceShape(ctx, surface, surface);
+        if (positionTolerance > 0) {
+            ctx.strokeStyle = 'rgba(120, 230, 120, 0.25)';
+            ctx.lineWidth = thickness + positionTolerance * 2;
+        } else {
+            ctx.strokeStyle = 'rgba(255, 107, 107, 0.7)';
+            ctx.lineWidth = thickness + 4;
+            ctx.setLineDash([4, 4]);
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        if (angleTolerance) {
+            // Around the point the surface turns about
+            const isBar = !surface.shape || surface.shape === 'line';
+            const radius = isBar ? surface.width / 2 : surface.shape === 'arc' ? surface.radius + 20 : 40;
+            const angle = degToRad(surface.angle);
+            const from = degToRad(angleTolerance.min);
+            const to = degToRad(angleTolerance.max);
+            ctx.fillStyle = to - from > 0 ? 'rgba(255, 138, 101, 0.3)' : 'rgba(255, 107, 107, 0.5)';
+            // Bars turn about their middle, so both ends sweep a wedge
+            const ends = isBar ? [0, Math.PI] : [0];
+            ends.forEach(end => {
+                ctx.beginPath();
+                ctx.moveTo(surface.x, surface.y);
+                ctx.arc(surface.x, surface.y, radius, angle + end + from - 0.02, angle + end + to + 0.02);
+                ctx.closePath();
+                ctx.fill();
+            });
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Mark where the swinging hook should hold the ball (and which way it
+     * should be moving) when Space is pressed - lights up when it's time
+     */
+    renderReleaseTiming(phase) {
+        const ctx = this.ctx;
+        const ball = this.game.ball;
+        const swing = getHookSwing(phase);
+        const x = ball.startPosition.x + swing.offset;
+        const y = ball.startPosition.y;
+        const direction = Math.sign(swing.velocity) || 1;
+
+        // Phase distance, wrapping around the cycle
+        const phaseError = Math.abs(((this.game.getHookPhase() - phase) % 1 + 1.5) % 1 - 0.5);
+        const isNow = phaseError < RELEASE_WINDOW;
+        const color = isNow ? '#76FF03' : '#4ECDC4';
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        ctx.setLineDash(isNow ? [] : [6, 6]);
+        ctx.beginPath();
+        ctx.arc(x, y, ball.radius + 6, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Swing direction arrow
+        const arrowY = y + ball.radius + 14;
+        ctx.beginPath();
+        ctx.moveTo(x - direction * 12, arrowY);
+        ctx.lineTo(x + direction * 12, arrowY);
+        ctx.lineTo(x + direction * 6, arrowY - 5);
+        ctx.moveTo(x + direction * 12, arrowY);
+        ctx.lineTo(x + direction * 6, arrowY + 5);
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(x - 70, arrowY + 10, 140, 22);
+        ctx.fillStyle = color;
+        ctx.font = 'bold 12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(isNow ? 'Press Space now!' : 'Press Space here', x, arrowY + 26);
+        ctx.restore();
+    }
+
     renderReplay() {
         if (this.game.replayData.length === 0) return;
 
         const ctx = this.ctx;
         const currentIndex = Math.floor(this.game.replayIndex);
+        const ballCount = this.game.replayData[0].balls.length;
 
-        // Draw full path as a trail
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        for (let i = 0; i < this.game.replayData.length; i++) {
-            const point = this.game.replayData[i];
-            if (i === 0) {
-                ctx.moveTo(point.x, point.y);
-            } else {
-                ctx.lineTo(point.x, point.y);
-            }
+        // Draw each ball's full path as a trail (in its ring colour on multi-ball levels)
+        for (let b = 0; b < ballCount; b++) {
+            const ball = this.game.balls[b];
+            ctx.strokeStyle = ball && ball.accentColor ? ball.accentColor : 'rgba(255, 255, 255, 0.3)';
+            ctx.globalAlpha = ball && ball.accentColor ? 0.4 : 1;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            let started = false;
+            this.game.replayData.forEach(frame => {
+                const point = frame.balls[b];
+                if (!point.active) return; // Still on its hook
+                if (!started || point.teleported) {
+                    ctx.moveTo(point.x, point.y);
+                    started = true;
+                } else {
+                    ctx.lineTo(point.x, point.y);
+                }
+            });
+            ctx.stroke();
+            ctx.globalAlpha = 1;
         }
-        ctx.stroke();
 
         // Draw collision/impact points with force vectors
         this.game.collisionData.forEach((collision, index) => {
@@ -607,22 +1142,36 @@ export class RenderingSystem {
 
         // Draw velocity vectors at key points (every 10 frames)
         for (let i = 0; i < Math.min(currentIndex, this.game.replayData.length); i += 10) {
-            const point = this.game.replayData[i];
-            this.drawVelocityVector(ctx, point.x, point.y, point.vx, point.vy, point.speed);
+            this.game.replayData[i].balls.forEach(point => {
+                if (!point.active) return;
+                this.drawVelocityVector(ctx, point.x, point.y, point.vx, point.vy, point.speed);
+            });
         }
 
-        // Draw current position with larger vector
+        // Draw current positions with larger vectors
         if (currentIndex < this.game.replayData.length) {
-            const current = this.game.replayData[currentIndex];
+            this.game.replayData[currentIndex].balls.forEach((current, b) => {
+                const ball = this.game.balls[b];
 
-            // Draw ball at current position
-            ctx.fillStyle = '#FF6B6B';
-            ctx.beginPath();
-            ctx.arc(current.x, current.y, 20, 0, Math.PI * 2);
-            ctx.fill();
+                // Draw ball at current position
+                ctx.fillStyle = '#FF6B6B';
+                ctx.beginPath();
+                ctx.arc(current.x, current.y, current.radius, 0, Math.PI * 2);
+                ctx.fill();
+                if (ball && ball.accentColor) {
+                    ctx.strokeStyle = ball.accentColor;
+                    ctx.lineWidth = 3;
+                    ctx.stroke();
+                }
+                if (current.active) {
+                    drawSpinMarking(ctx, current.x, current.y, current.radius, current.angle);
+                }
 
-            // Draw velocity vector
-            this.drawVelocityVector(ctx, current.x, current.y, current.vx, current.vy, current.speed, true);
+                // Draw velocity vector
+                if (current.active) {
+                    this.drawVelocityVector(ctx, current.x, current.y, current.vx, current.vy, current.speed, true);
+                }
+            });
         }
 
         // If replay finished, loop or stop
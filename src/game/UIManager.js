@@ -5,11 +5,12 @@
  * - Initialize and cache references to DOM elements
  * - Set up button click handlers
  * - Set up keyboard shortcuts
- * - Update UI elements each frame (score, time, elasticity bar)
+ * - Update UI elements each frame (score, time, elasticity, weight and grip bars)
  *
  * Public API:
  * - constructor(game): Set up UI elements and event handlers
  * - updateUI(): Update dynamic UI elements (called each frame)
+ * - setBallIndicators(balls): Build HUD rows for the extra balls of a multi-ball level
  *
  * Keyboard Shortcuts:
  * - Space: Play/drop ball
@@ -21,6 +22,7 @@
  * - Tab: Select next surface
  * - WASD/Arrows: Move selected surface (Shift for 5x speed)
  * - Q/E or Arrows with Shift: Rotate selected surface
+ * - Z / M: Hold left / right pinball flippers while the ball is in play
  * - Escape: Close help
  *
  * DOM Elements:
@@ -28,9 +30,14 @@
  * - hintButton, refineButton, helpButton
  * - levelDisplay, levelName, hintText
  * - scoreTime, scoreAttempts, scorePoints
- * - elasticityFill (progress bar)
+ * - elasticityFill, massFill, frictionFill, sizeFill (progress bars)
+ * - massIndicator, frictionIndicator, sizeIndicator
+ * - elasticityLabel, ballIndicators (container for extra ball rows)
  * - helpOverlay, victoryOverlay
  */
+import { lerpColor } from '../utils.js';
+import { FLIPPER_KEYS } from '../pinball.js';
+
 export class UIManager {
     constructor(game) {
         this.game = game;
@@ -45,7 +52,16 @@ export class UIManager {
         this.levelDisplay = document.getElementById('level-display');
         this.levelName = document.getElementById('level-name');
         this.hintText = document.getElementById('hint-text');
+        this.elasticityLabel = document.getElementById('elasticity-label');
         this.elasticityFill = document.getElementById('elasticity-fill');
+        this.ballIndicators = document.getElementById('ball-indicators');
+        this.ballRows = [];
+        this.massIndicator = document.getElementById('mass-indicator');
+        this.massFill = document.getElementById('mass-fill');
+        this.frictionIndicator = document.getElementById('friction-indicator');
+        this.frictionFill = document.getElementById('friction-fill');
+        this.sizeIndicator = document.getElementById('size-indicator');
+        this.sizeFill = document.getElementById('size-fill');
         this.helpOverlay = document.getElementById('help-overlay');
         this.helpButton = document.getElementById('helpButton');
         this.hintButton = document.getElementById('hintButton');
@@ -59,6 +75,10 @@ export class UIManager {
         this.scorePoints = document.getElementById('score-points');
         this.worldTransitionOverlay = document.getElementById('world-transition-overlay');
         this.startWorld2Button = document.getElementById('start-world-2');
+        this.sizeWorldOverlay = document.getElementById('size-world-overlay');
+        this.startSizeWorldButton = document.getElementById('start-size-world');
+        this.weightWorldOverlay = document.getElementById('weight-world-overlay');
+        this.startWorld3Button = document.getElementById('start-world-3');
 
         this.setupEventHandlers();
     }
@@ -74,6 +94,8 @@ export class UIManager {
         this.helpButton.addEventListener('click', () => this.game.toggleHelp());
         this.closeHelpButton.addEventListener('click', () => this.game.hideHelp());
         this.startWorld2Button.addEventListener('click', () => this.game.startWorld2());
+        this.startSizeWorldButton.addEventListener('click', () => this.game.startSizeWorld());
+        this.startWorld3Button.addEventListener('click', () => this.game.startWorld3());
 
         // Click outside to close help
         this.helpOverlay.addEventListener('click', (e) => {
@@ -102,6 +124,15 @@ export class UIManager {
                 return;
             }
 
+            // Flippers stay up while the key is held
+            if (FLIPPER_KEYS[e.key]) {
+                if (!e.repeat) {
+                    this.game.setFlippers(FLIPPER_KEYS[e.key], true);
+                }
+                e.preventDefault();
+                return;
+            }
+
             const isMovementKey = ['w', 'W', 'a', 'A', 's', 'S', 'd', 'D', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'q', 'Q', 'e', 'E'].includes(e.key);
 
             if (isMovementKey) {
@@ -139,17 +170,91 @@ export class UIManager {
         });
 
         document.addEventListener('keyup', (e) => {
+            if (FLIPPER_KEYS[e.key]) {
+                this.game.setFlippers(FLIPPER_KEYS[e.key], false);
+            }
             if (this.game.input.heldKeys.has(e.key)) {
                 this.game.input.trackKeyUp(e.key);
             }
         });
     }
 
+    /**
+     * The main bars follow the first ball; every other ball gets its own row
+     * with the bars for the properties it actually changes
+     */
+    setBallIndicators(balls) {
+        this.ballIndicators.innerHTML = '';
+        this.ballRows = [];
+        this.elasticityLabel.textContent = balls.length > 1 ? 'Ball 1 · Elasticity' : 'Elasticity';
+
+        balls.slice(1).forEach(ball => {
+            const row = document.createElement('div');
+            row.className = 'property-row ball-row';
+
+            const label = document.createElement('div');
+            label.className = 'property-label';
+            const dot = document.createElement('span');
+            dot.className = 'ball-dot';
+            dot.style.background = ball.accentColor;
+            label.appendChild(dot);
+            label.appendChild(document.createTextNode(`Ball ${ball.index + 1}`));
+            row.appendChild(label);
+
+            const fills = {};
+            ['elasticity', 'mass', 'friction', 'size'].forEach(property => {
+                if (property !== 'elasticity' && !ball.isPropertyDynamic(property)) return;
+                const bar = document.createElement('div');
+                bar.className = 'property-bar';
+                const fill = document.createElement('div');
+                fill.className = `property-fill ${property}-fill`;
+                bar.appendChild(fill);
+                row.appendChild(bar);
+                fills[property] = fill;
+            });
+
+            this.ballIndicators.appendChild(row);
+            this.ballRows.push({ ball, fills });
+        });
+    }
+
     updateUI() {
+        this.ballRows.forEach(({ ball, fills }) => {
+            fills.elasticity.style.width = `${ball.getElasticityRatio() * 100}%`;
+            fills.elasticity.style.background = ball.color;
+            if (fills.mass) {
+                fills.mass.style.width = `${ball.getMassRatio() * 100}%`;
+                fills.mass.style.background = lerpColor('#95E1D3', '#4A1942', ball.getMassRatio());
+            }
+            if (fills.friction) {
+                fills.friction.style.width = `${ball.getFrictionRatio() * 100}%`;
+                fills.friction.style.background = lerpColor('#B3E5FC', '#FF8CC3', ball.getFrictionRatio());
+            }
+            if (fills.size) {
+                fills.size.style.width = `${ball.getSizeRatio() * 100}%`;
+                fills.size.style.background = lerpColor('#FFE66D', '#FF8A65', ball.getSizeRatio());
+            }
+        });
+
         if (this.game.ball) {
             const ratio = this.game.ball.getElasticityRatio();
             this.elasticityFill.style.width = `${ratio * 100}%`;
             this.elasticityFill.style.background = this.game.ball.color;
+
+            // Light = bright cyan, heavy = deep purple
+            const massRatio = this.game.ball.getMassRatio();
+            this.massFill.style.width = `${massRatio * 100}%`;
+            this.massFill.style.background = lerpColor('#95E1D3', '#4A1942', massRatio);
+
+            // Slippery = icy blue, sticky = pink
+            const frictionRatio = this.game.ball.getFrictionRatio();
+            this.frictionFill.style.width = `${frictionRatio * 100}%`;
+            this.frictionFill.style.background = lerpColor('#B3E5FC', '#FF8CC3', frictionRatio);
+
+            // Small = yellow, big = orange
+            const sizeRatio = this.game.ball.getSizeRatio();
+            this.sizeFill.style.width = `${sizeRatio * 100}%`;
+            this.sizeFill.style.background = lerpColor('#FFE66D', '#FF8A65', sizeRatio);
         }
 
         this.scoreAttempts.textContent = this.game.attempts;
@@ -161,9 +266,9 @@ export class UIManager {
             const liveScore = this.game.calculateLiveScore(currentTime);
             this.scorePoints.textContent = liveScore;
 
-            if (this.game.usedSolver) {
+            // Greyed out once a hint has cost points
+            if (this.game.hintTierUsed > 0) {
                 this.scorePoints.style.color = '#999';
-                this.scorePoints.textContent = 'N/A';
             } else {
                 this.scorePoints.style.color = '#333';
             }
@@ -5,7 +5,7 @@
  * This class acts as the central coordinator, delegating responsibilities to specialized managers:
  * - PhysicsManager: Matter.js engine, collision detection
  * - InputManager: Mouse, touch, keyboard input
- * - SolverSystem: AI level solver with simulated annealing
+ * - SolverSystem: AI level solver (pluggable optimizers, run in a Web Worker)
  * - RenderingSystem: All rendering including hook, hints, replay
  * - UIManager: DOM elements, buttons, keyboard shortcuts
  * - LevelManager: Level loading, progression, entity creation
@@ -16,7 +16,7 @@
  * - Coordinate between managers (e.g., input → physics → render)
  * - Handle game flow (play, restart, victory, replay)
  * - Track scoring and timing
- * - Manage game entities (ball, surfaces, targets, bird)
+ * - Manage game entities (balls, surfaces, targets, portals, bumpers, flippers, bird)
  *
  * Public API:
  * - start(): Begin game loop
@@ -35,7 +35,7 @@
  * delegated to specialized managers in the game/ directory.
  */
 
-import * as Matter from 'matter-js';
+import Matter from 'matter-js';
 import { Ball } from '../ball.js';
 import { Surface } from '../surface.js';
 import { Target } from '../target.js';
@@ -48,6 +48,17 @@ import { RenderingSystem } from './RenderingSystem.js';
 import { UIManager } from './UIManager.js';
 import { LevelManager } from './LevelManager.js';
 import { StateController } from './StateController.js';
+import { applyMaterialContact } from '../materials.js';
+import { passThroughPortals } from '../portal.js';
+import { applySurfaceContact } from '../surfaceRules.js';
+import { findHazardHit, getHazardContact } from '../hazards.js';
+import { runSwitchActions } from '../switches.js';
+import { getContactSurfaceAngle } from '../surfaceShapes.js';
+import { applyBumperContact } from '../pinball.js';
+import { applySpinContact } from '../spin.js';
+import { FIXED_TIME_STEP } from '../physicsStep.js';
+import { getHookPhase, getHookSwing } from '../hook.js';
+import { HINT_TIERS, getHintPenalty } from '../hints.js';
 
 export class Game {
     constructor(canvas) {
@@ -66,18 +77,21 @@ export class Game {
         this.attempts = 0;
         this.showAngles = false; // Toggle for showing surface angles
         this.showHints = false; // Toggle for showing solution hints
+        this.hintTier = 0; // Hint tier shown for the solver's latest result (see hints.js)
         this.debugMode = false; // Debug mode: show solver + replay together
 
         // Scoring system
         this.levelStartTime = 0;
         this.levelTime = 0; // Time in seconds
-        this.usedSolver = false; // Track if player used solver
+        this.hintTierUsed = 0; // Highest hint tier used this level (costs score)
         this.currentScore = 0;
 
         // Hook animation
         this.hookReleasing = false;
         this.hookReleaseProgress = 0;
         this.hookSwayOffset = 0;
+        this.hookSwings = false; // Set per level (see hook.js)
+        this.hookTime = 0; // ms the hook has swung - drives its phase
 
         // Solver system
         this.solver = new SolverSystem(this);
@@ -104,9 +118,19 @@ export class Game {
         this.setupPhysics();
 
         // Game entities
-        this.ball = null;
+        this.balls = []; // Every ball in the level (multi-ball levels have 2-3)
+        this.ball = null; // Primary ball (balls[0]) - main HUD bars follow it
         this.surfaces = [];
+        this.motionTime = 0; // ms since release, drives moving surfaces
         this.targets = [];
+        this.forceZones = [];
+        this.portals = []; // Both ends of every portal pair
+        this.hazards = []; // Spike, lava and void regions
+        this.switches = []; // Buttons and pressure targets that drive level logic
+        this.bumpers = []; // Pinball bumpers that kick the ball away
+        this.flippers = []; // Player-fired pinball flippers
+        this.pendingHazard = null; // Hazard surface hit during the last physics step
+        this.failEffect = null; // { x, y, type, startTime } while the fail animation plays
         this.selectedSurfaceIndex = -1; // For keyboard control
 
         // Input handling
@@ -135,8 +159,15 @@ export class Game {
         this.world = this.physics.world;
         this.walls = this.physics.walls;
 
-        // Register collision handler
-        this.physics.onCollision((pairs) => this.handleCollisions(pairs));
+        // Register collision handlers (record first, then let materials and spin act)
+        this.physics.onCollision((pairs) => {
+            this.handleCollisions(pairs);
+            this.applyMaterialContacts(pairs, true);
+            this.applySpinContacts(pairs);
+        });
+        this.physics.onCollisionActive((pairs) => this.applyMaterialContacts(pairs, false));
+        this.physics.onCollision((pairs) => this.handleSwitchContacts(pairs));
+        this.physics.onCollision((pairs) => this.handleBumperContacts(pairs));
     }
 
     loadLevel(levelId) {
@@ -201,27 +232,69 @@ export class Game {
         this.levelManager.loadLevel(16);
     }
 
+    startSizeWorld() {
+        // Hide world transition overlay
+        this.ui.sizeWorldOverlay.classList.add('hidden');
+
+        // Load Level 26
+        this.levelManager.loadLevel(26);
+    }
+
+    startWorld3() {
+        // Hide world transition overlay
+        this.ui.weightWorldOverlay.classList.add('hidden');
+
+        // Load Level 28
+        this.levelManager.loadLevel(28);
+    }
+
     toggleHints() {
-        // Don't start solver for dynamic elasticity levels (World 2+)
+        // Don't start the solver while it's busy (the buttons are disabled)
         if (this.ui.hintButton.disabled) {
             return;
         }
 
-        if (!this.solver.running) {
+        if (this.solver.running) {
+            // Stop the solver
+            this.stopSolver();
+        } else if (this.hasNextHint()) {
+            // Give a little more of the latest result away
+            this.revealHint(this.hintTier + 1);
+            this.updateSolverUI();
+        } else {
             // Reset to explore mode (in case refine was used before)
             this.solver.mode = 'explore';
             this.solver.userConfig = null;
             // Start the solver
             this.startSolver();
-        } else {
-            // Stop the solver
-            this.stopSolver();
         }
     }
 
+    /**
+     * Whether the solver's latest result has a further hint tier to show -
+     * it must have collected a star, and still be about the stars left
+     */
+    hasNextHint() {
+        const starsOut = this.targets.filter(target => !target.collected).length;
+        return this.hintTier > 0 &&
+            this.hintTier < HINT_TIERS.length &&
+            this.solver.starsOut === starsOut;
+    }
+
+    /**
+     * Show hint tier 1-3 for the solver's latest result. The level score pays
+     * for the highest tier used.
+     */
+    revealHint(tier) {
+        this.hintTier = tier;
+        this.hintTierUsed = Math.max(this.hintTierUsed, tier);
+        this.showHints = true;
+    }
+
     startSolver() {
-        // Mark that solver was used (affects scoring)
-        this.usedSolver = true;
+        // A new result starts again from the gentlest hint
+        this.hintTier = 0;
+        this.showHints = false;
 
         // Start solver with current mode and config
         this.solver.start(this.solver.mode, this.solver.userConfig);
@@ -236,52 +309,75 @@ export class Game {
     }
 
     updateSolverUI() {
+        // A result that collects a star starts at the first hint tier
+        const hasHint = this.solver.foundSolution || this.solver.bestStars > 0;
+        if (!this.solver.running && hasHint && this.hintTier === 0) {
+            this.revealHint(1);
+        }
+        const resultText = this.solver.foundSolution
+            ? (this.solver.fromCache ? 'Solution Found! (saved)' : `Solution Found! (${this.solver.currentAttempt} attempts)`)
+            : hasHint
+                ? `${this.solver.bestStars} of ${this.solver.starsOut} Stars (${this.solver.currentAttempt} attempts)`
+                : `No Solution (${this.solver.currentAttempt} attempts)`;
+
         if (this.solver.mode === 'refine') {
             if (this.solver.running) {
                 this.ui.hintButton.textContent = 'Solving...';
                 this.ui.refineButton.textContent = 'Refining...';
                 this.ui.refineButton.disabled = true;
                 this.ui.hintButton.disabled = true;
-            } else if (this.solver.foundSolution) {
-                this.ui.refineButton.textContent = `Solution Found! (${this.solver.currentAttempt} attempts)`;
-                this.ui.refineButton.disabled = false;
-                this.showHints = true;
             } else {
-                this.ui.refineButton.textContent = `No Solution (${this.solver.currentAttempt} attempts)`;
+                this.ui.refineButton.textContent = resultText;
                 this.ui.refineButton.disabled = false;
-                this.showHints = false;
+                this.ui.hintButton.textContent = this.getHintButtonText('Show Hint (?)');
+                this.ui.hintButton.disabled = false;
             }
         } else {
             if (this.solver.running) {
                 this.ui.hintButton.textContent = 'Solving...';
                 this.ui.hintButton.disabled = true;
                 this.ui.refineButton.disabled = true;
-            } else if (this.solver.foundSolution) {
-                this.ui.hintButton.textContent = `Solution Found! (${this.solver.currentAttempt} attempts)`;
-                this.ui.hintButton.disabled = false;
-                this.showHints = true;
             } else {
-                this.ui.hintButton.textContent = `No Solution (${this.solver.currentAttempt} attempts)`;
+                this.ui.hintButton.textContent = this.getHintButtonText(resultText);
                 this.ui.hintButton.disabled = false;
-                this.showHints = false;
             }
         }
     }
 
+    /**
+     * Hint button label: the next tier and what it costs, or `fallback` once
+     * there's nothing more to give away
+     */
+    getHintButtonText(fallback) {
+        if (!this.hasNextHint()) return fallback;
+        const next = HINT_TIERS[this.hintTier];
+        return `${next.label} (-${next.penalty})`;
+    }
+
+    /**
+     * Advance moving surfaces by one physics (sub)step. Motion only runs while
+     * the ball is in play and rewinds to the release pose while aiming, so it
+     * matches the solver.
+     */
+    updateSurfaceMotion(stepMs = FIXED_TIME_STEP) {
+        if (this.currentState === 'PLAYING') {
+            this.motionTime += stepMs;
+        } else if (this.currentState === 'MENU') {
+            this.motionTime = 0;
+        }
+
+        this.surfaces.forEach(surface => surface.setMotionTime(this.motionTime));
+    }
+
     startRefineSolver() {
-        // Don't start solver for dynamic elasticity levels (World 2+)
+        // Don't start the solver while it's busy (the buttons are disabled)
         if (this.ui.refineButton.disabled) {
             return;
         }
 
         // Capture user's current surface configuration
-        this.solver.userConfig = this.surfaces.map(s => ({
-            x: s.body.position.x,
-            y: s.body.position.y,
-            width: s.width,
-            angle: s.body.angle * (180 / Math.PI), // Convert to degrees
-            locked: s.locked
-        }));
+        // (anchor position - moving surfaces replay their motion from it)
+        this.solver.userConfig = this.surfaces.map(s => s.toConfig());
 
         // Set mode to refine
         this.solver.mode = 'refine';
@@ -304,19 +400,17 @@ export class Game {
             this.hookReleasing = true;
             this.hookReleaseProgress = 0;
 
-            // Calculate hook swing velocity to transfer to ball
-            const hasSwinging = this.currentLevel >= 4;
-            const swayVelocity = hasSwinging ? Math.cos(Date.now() / 800) * 12.5 : 0;
+            // The swing freezes while the claw opens, so the ball leaves at this phase
+            const releaseVelocity = this.hookSwings ? getHookSwing(this.getHookPhase()).velocity : 0;
 
             // Delay ball activation for hook animation
             setTimeout(() => {
                 try {
-                    this.ball.activate();
-
-                    // Transfer swing momentum to ball
-                    Matter.Body.setVelocity(this.ball.body, {
-                        x: swayVelocity * 0.15,
-                        y: 0
+                    // Staggered balls wait for their delay (see releaseWaitingBalls)
+                    this.balls.forEach(ball => {
+                        if (ball.releaseDelay === 0) {
+                            this.releaseBall(ball, releaseVelocity);
+                        }
                     });
 
                     // Use StateController for transition
@@ -338,6 +432,166 @@ export class Game {
         }
     }
 
+    /**
+     * Let go of a ball, transferring any hook swing momentum (px per frame)
+     */
+    releaseBall(ball, releaseVelocity = 0) {
+        ball.activate();
+        Matter.Body.setVelocity(ball.body, {
+            x: releaseVelocity,
+            y: 0
+        });
+    }
+
+    /**
+     * Current hook swing phase (0-1) - the solver's release timing refers to it
+     */
+    getHookPhase() {
+        return getHookPhase(this.hookTime);
+    }
+
+    /**
+     * Release staggered balls once their delay has passed (motionTime is the
+     * time since release)
+     */
+    releaseWaitingBalls() {
+        if (this.currentState !== 'PLAYING') return;
+
+        this.balls.forEach(ball => {
+            if (!ball.isActive && this.motionTime >= ball.releaseDelay) {
+                this.releaseBall(ball);
+            }
+        });
+    }
+
+    resetBalls() {
+        this.balls.forEach(ball => ball.reset(ball.startPosition.x, ball.startPosition.y));
+    }
+
+    /**
+     * Fail the attempt if a ball touched a hazard surface or is in a hazard region
+     */
+    checkHazards() {
+        let failure = this.pendingHazard;
+        this.pendingHazard = null;
+        if (this.currentState !== 'PLAYING') return;
+
+        if (!failure) {
+            for (const ball of this.balls) {
+                if (!ball.isActive) continue;
+                const hazard = findHazardHit(ball.body.position, ball.radius, this.hazards);
+                if (hazard) {
+                    failure = { ball, type: hazard.type };
+                    break;
+                }
+            }
+        }
+
+        if (failure) {
+            this.failAttempt(failure.ball, failure.type);
+        }
+    }
+
+    /**
+     * End the attempt: play the fail animation where the ball died and put
+     * every ball back on its hook. The release already counted the attempt,
+     * so the next one counts again.
+     */
+    failAttempt(ball, type) {
+        this.failEffect = {
+            x: ball.body.position.x,
+            y: ball.body.position.y,
+            type,
+            startTime: Date.now()
+        };
+
+        this.stateController.transitionTo('MENU');
+        this.resetBalls();
+        this.resetLevelState();
+    }
+
+    /**
+     * Undo everything an attempt changed in the level: broken and switched
+     * surfaces, switch presses and revealed (but uncollected) stars
+     */
+    resetLevelState() {
+        this.surfaces.forEach(surface => surface.restore());
+        this.switches.forEach(sw => sw.reset());
+        this.targets.forEach(target => target.resetHidden());
+        this.bumpers.forEach(bumper => bumper.reset());
+        this.flippers.forEach(flipper => flipper.reset());
+    }
+
+    /**
+     * Press any switch a ball just hit
+     */
+    handleSwitchContacts(pairs) {
+        if (this.switches.length === 0) return;
+
+        pairs.forEach(pair => {
+            const ball = this.balls.find(b => b.isActive && (pair.bodyA === b.body || pair.bodyB === b.body));
+            if (!ball) return;
+
+            const otherBody = pair.bodyA === ball.body ? pair.bodyB : pair.bodyA;
+            const sw = this.switches.find(s => s.body === otherBody);
+            if (sw) {
+                this.pressSwitch(sw, this.motionTime);
+            }
+        });
+    }
+
+    /**
+     * Press a switch and run its actions on this level at a motion time
+     */
+    pressSwitch(sw, timeMs) {
+        if (!sw.press()) return;
+
+        runSwitchActions(sw.actions, {
+            setSurfacePresent: (index, present) => this.surfaces[index].setPresent(present),
+            isSurfacePresent: index => this.surfaces[index].present,
+            startSurfaceMotion: index => this.surfaces[index].startMotion(timeMs),
+            revealTarget: index => this.targets[index].reveal()
+        });
+    }
+
+    /**
+     * Kick any ball that just hit a bumper
+     */
+    handleBumperContacts(pairs) {
+        if (this.bumpers.length === 0) return;
+
+        this.balls.forEach(ball => {
+            if (!ball.isActive) return;
+            pairs.forEach(pair => {
+                if (!applyBumperContact(pair, ball.body)) return;
+                const bumperBody = (pair.bodyA === ball.body ? pair.bodyB : pair.bodyA).parent;
+                const bumper = this.bumpers.find(b => b.body === bumperBody);
+                if (bumper) bumper.hit();
+            });
+        });
+    }
+
+    /**
+     * Hold up (or drop) every flipper on one side. Flippers only fire while
+     * the ball is in play.
+     */
+    setFlippers(side, active) {
+        if (active && this.currentState !== 'PLAYING') return;
+        this.flippers.forEach(flipper => {
+            if (flipper.side === side) flipper.setActive(active);
+        });
+    }
+
+    /**
+     * Swing flippers one physics (sub)step (they drop back to rest outside of play)
+     */
+    updateFlippers(stepMs = FIXED_TIME_STEP) {
+        this.flippers.forEach(flipper => {
+            if (this.currentState !== 'PLAYING') flipper.setActive(false);
+            flipper.step(stepMs / FIXED_TIME_STEP);
+        });
+    }
+
     restart() {
         // Reload the level to get new randomized target positions
         this.loadLevel(this.currentLevel);
@@ -347,14 +601,21 @@ export class Game {
         // Only works if ball is active
         if (this.currentState !== 'PLAYING') return;
 
-        const level = getLevel(this.currentLevel);
-        this.ball.reset(level.ballStart.x, level.ballStart.y);
-        this.ball.activate();
+        this.resetBalls();
+        this.resetLevelState();
+        this.balls.forEach(ball => {
+            if (ball.releaseDelay === 0) {
+                ball.activate();
+            }
+        });
         this.attempts++;
 
         // Continue recording - clear previous data
         this.replayData = [];
         this.collisionData = [];
+
+        // Moving surfaces restart their motion with the ball
+        this.motionTime = 0;
     }
 
     startReplay() {
@@ -371,21 +632,17 @@ export class Game {
         // StateController handles cleanup including victory timers
         this.stateController.transitionTo('REPLAY');
 
-        // Reset ball to start
-        const level = getLevel(this.currentLevel);
-        if (this.ball && level) {
-            this.ball.reset(level.ballStart.x, level.ballStart.y);
-        }
+        // Reset balls and surfaces to start
+        this.resetBalls();
+        this.resetLevelState();
     }
 
     stopReplay() {
         // StateController handles transition
         this.stateController.transitionTo('MENU');
 
-        const level = getLevel(this.currentLevel);
-        if (this.ball && level) {
-            this.ball.reset(level.ballStart.x, level.ballStart.y);
-        }
+        this.resetBalls();
+        this.resetLevelState();
     }
 
     nextLevel() {
@@ -415,14 +672,12 @@ export class Game {
     }
 
     calculateScore() {
-        // No score if solver was used
-        if (this.usedSolver) {
-            return 0;
-        }
-
         // Base score: 1000 points
         let score = 1000;
 
+        // Penalty for hints: the highest tier used (see hints.js)
+        score -= getHintPenalty(this.hintTierUsed);
+
         // Penalty for time: -10 points per second (max penalty 500)
         const timePenalty = Math.min(this.levelTime * 10, 500);
         score -= timePenalty;
@@ -436,8 +691,8 @@ export class Game {
     }
 
     showVictory() {
-        if (this.usedSolver) {
-            this.ui.victoryMessage.textContent = `Time: ${this.levelTime.toFixed(1)}s | Attempts: ${this.attempts} | Score: N/A (Used Hint)`;
+        if (this.hintTierUsed > 0) {
+            this.ui.victoryMessage.textContent = `Time: ${this.levelTime.toFixed(1)}s | Attempts: ${this.attempts} | Score: ${this.currentScore} (Hint -${getHintPenalty(this.hintTierUsed)})`;
         } else {
             this.ui.victoryMessage.textContent = `Time: ${this.levelTime.toFixed(1)}s | Attempts: ${this.attempts} | Score: ${this.currentScore}`;
         }
@@ -475,36 +730,83 @@ export class Game {
             if (this.currentState === 'REPLAY') {
                 // Replay mode - just advance through recorded data
                 this.replayIndex += this.replaySpeed;
-                return;
-            }
 
-            // Safety check: verify ball is in valid state before physics update
-            if (this.ball && this.ball.isActive) {
-                const pos = this.ball.body.position;
-                const vel = this.ball.body.velocity;
-                if (!isFinite(pos.x) || !isFinite(pos.y) || !isFinite(vel.x) || !isFinite(vel.y)) {
-                    console.error('⚠️ Detected corrupted ball state - recovering');
-                    this.stateController.recover();
-                    return;
+                // Move surfaces along with the recorded ball
+                const frame = this.replayData[Math.floor(this.replayIndex)];
+                if (frame) {
+                    this.surfaces.forEach((surface, i) => {
+                        surface.setMotionTime(frame.motionTime);
+                        // Re-break surfaces at the moment they broke
+                        if (frame.brokenSurfaces.includes(i)) surface.shatter();
+                    });
+                    // Re-press switches up to the recorded count
+                    this.switches.forEach((sw, i) => {
+                        while (sw.pressCount < frame.switchPresses[i]) {
+                            this.pressSwitch(sw, frame.motionTime);
+                        }
+                    });
+                    // Flippers follow the recording; bumpers flash when they kicked
+                    this.flippers.forEach((flipper, i) => {
+                        flipper.active = frame.flippers[i].active;
+                        flipper.setAngle(frame.flippers[i].angle);
+                    });
+                    this.bumpers.forEach((bumper, i) => {
+                        while (bumper.hitCount < frame.bumperHits[i]) bumper.hit();
+                    });
                 }
+                return;
             }
 
-            // Update physics with fixed timestep (16.67ms = 60Hz)
-            this.physics.update(deltaTime);
+            // Safety check: verify balls are in valid state before physics update
+            const corrupted = this.balls.some(ball => {
+                if (!ball.isActive) return false;
+                const pos = ball.body.position;
+                const vel = Matter.Body.getVelocity(ball.body);
+                return !isFinite(pos.x) || !isFinite(pos.y) || !isFinite(vel.x) || !isFinite(vel.y);
+            });
+            if (corrupted) {
+                console.error('⚠️ Detected corrupted ball state - recovering');
+                this.stateController.recover();
+                return;
+            }
 
-            // Record ball state if recording
-            if (this.isRecording && this.ball && this.ball.isActive) {
-                const velocity = this.ball.body.velocity;
-                const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+            // Update physics with fixed timestep (16.67ms = 60Hz, split for fast balls).
+            // Kinematic surfaces and flippers move before every substep sees them.
+            this.physics.update(deltaTime, stepMs => {
+                this.updateSurfaceMotion(stepMs);
+                this.updateFlippers(stepMs);
+                this.releaseWaitingBalls();
+            });
+            const teleported = this.passBallsThroughPortals();
+            this.checkHazards();
+
+            // Record every ball's state if recording (one frame per physics step)
+            if (this.isRecording && this.balls.some(ball => ball.isActive)) {
+                const frame = this.balls.map(ball => {
+                    const velocity = Matter.Body.getVelocity(ball.body);
+                    return {
+                        x: ball.body.position.x,
+                        y: ball.body.position.y,
+                        vx: velocity.x,
+                        vy: velocity.y,
+                        speed: Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y),
+                        radius: ball.radius,
+                        angle: ball.body.angle,
+                        angularVelocity: Matter.Body.getAngularVelocity(ball.body),
+                        active: ball.isActive,
+                        teleported: teleported.has(ball)
+                    };
+                });
 
                 // Double-check validity before recording
-                if (isFinite(velocity.x) && isFinite(velocity.y)) {
+                if (frame.every(ball => isFinite(ball.vx) && isFinite(ball.vy))) {
                     this.replayData.push({
-                        x: this.ball.body.position.x,
-                        y: this.ball.body.position.y,
-                        vx: velocity.x,
-                        vy: velocity.y,
-                        speed: speed,
+                        balls: frame,
+                        motionTime: this.motionTime,
+                        brokenSurfaces: this.surfaces.flatMap((surface, i) => (surface.broken ? [i] : [])),
+                        switchPresses: this.switches.map(sw => sw.pressCount),
+                        flippers: this.flippers.map(flipper => ({ angle: flipper.angle, active: flipper.active })),
+                        bumperHits: this.bumpers.map(bumper => bumper.hitCount),
                         timestamp: Date.now()
                     });
                 }
@@ -518,39 +820,41 @@ export class Game {
                 }
             }
 
-            // Update hook sway (idle animation)
-            if (this.currentState === 'MENU' && this.currentLevel >= 4) {
-                this.hookSwayOffset = Math.sin(Date.now() / 800) * 10;
-
-                // Move ball with the hook sway
-                if (this.ball) {
-                    const level = getLevel(this.currentLevel);
-                    const swayX = level.ballStart.x + this.hookSwayOffset;
-                    Matter.Body.setPosition(this.ball.body, {
-                        x: swayX,
-                        y: level.ballStart.y
-                    });
+            // Update hook sway (idle animation, held while the claw opens)
+            if (this.currentState === 'MENU' && this.hookSwings) {
+                if (!this.hookReleasing) {
+                    this.hookTime += deltaTime;
                 }
+                this.hookSwayOffset = getHookSwing(this.getHookPhase()).offset;
+
+                // Move balls with the hook sway
+                this.balls.forEach(ball => {
+                    Matter.Body.setPosition(ball.body, {
+                        x: ball.startPosition.x + this.hookSwayOffset,
+                        y: ball.startPosition.y
+                    });
+                });
             } else if (this.currentState === 'MENU') {
                 // Keep ball and hook static for early levels
                 this.hookSwayOffset = 0;
             }
 
-            // Update entities
-            if (this.ball) {
-                this.ball.update(deltaTime);
-            }
+            // Update entities - property curves advance one physics step per
+            // frame, like the physics and the solver's simulation, not by frame time
+            this.balls.forEach(ball => ball.update(FIXED_TIME_STEP));
 
+            // Any ball can collect a star unless the star belongs to one ball
             this.targets.forEach(target => {
                 target.update(deltaTime);
-                if (this.ball) {
-                    target.checkCollection(this.ball);
-                }
+                this.balls.forEach(ball => target.checkCollection(ball));
             });
 
             this.surfaces.forEach(surface => {
                 surface.handleMouseMove(this.input.mousePos.x, this.input.mousePos.y);
             });
+            this.portals.forEach(portal => {
+                portal.handleMouseMove(this.input.mousePos.x, this.input.mousePos.y);
+            });
 
             // Update bird obstacle
             if (this.bird && this.currentState === 'PLAYING') {
@@ -565,7 +869,7 @@ export class Game {
 
                 this.bird.update(deltaTime);
 
-                if (this.ball && this.ball.isActive && this.bird.checkCollision(this.ball)) {
+                if (this.balls.some(ball => ball.isActive && this.bird.checkCollision(ball))) {
                     this.restart();
                 }
             }
@@ -597,22 +901,35 @@ export class Game {
     }
 
     handleCollisions(pairs) {
-        if (!this.isRecording || !this.ball) return;
-
         pairs.forEach(pair => {
-            // Check if ball collided with a surface
-            const ballBody = this.ball.body;
-            const isBallCollision = pair.bodyA === ballBody || pair.bodyB === ballBody;
+            // Check if a ball collided with a surface
+            const ball = this.balls.find(b => pair.bodyA === b.body || pair.bodyB === b.body);
+            if (!ball) return;
 
-            if (!isBallCollision) return;
+            const ballBody = ball.body;
 
-            // Find which body is the surface
-            const otherBody = pair.bodyA === ballBody ? pair.bodyB : pair.bodyA;
+            // Find which body is the surface (arcs are compound - pairs hold their parts)
+            const otherBody = (pair.bodyA === ballBody ? pair.bodyB : pair.bodyA).parent;
 
             // Find the surface object
             const surface = this.surfaces.find(s => s.body === otherBody);
             if (!surface) return; // Only record surface collisions, not walls
 
+            // Breakable and one-way rules (must run before Matter resolves the contact)
+            const contact = applySurfaceContact(pair, ballBody);
+            if (contact === 'smash' || contact === 'crumble') {
+                surface.shatter();
+            }
+            if (contact === 'pass') return;
+
+            // Hazard surfaces fail the attempt once the physics step is over
+            const hazard = getHazardContact(pair, ballBody);
+            if (hazard && !this.pendingHazard) {
+                this.pendingHazard = { ball, type: hazard };
+            }
+
+            if (!this.isRecording) return;
+
             // Get collision point
             const collision = pair.collision;
             const contactPoint = collision.supports[0] || { x: ballBody.position.x, y: ballBody.position.y };
@@ -621,7 +938,7 @@ export class Game {
             const normal = collision.normal;
 
             // Get velocities before and after
-            const velocityBefore = { x: ballBody.velocity.x, y: ballBody.velocity.y };
+            const velocityBefore = Matter.Body.getVelocity(ballBody);
 
             // Calculate impact force magnitude (approximation based on velocity change)
             const impactSpeed = Math.sqrt(velocityBefore.x * velocityBefore.x + velocityBefore.y * velocityBefore.y);
@@ -635,12 +952,45 @@ export class Game {
                 velocityBeforeX: velocityBefore.x,
                 velocityBeforeY: velocityBefore.y,
                 impactSpeed: impactSpeed,
-                surfaceAngle: surface.body.angle * (180 / Math.PI), // Convert to degrees
+                surfaceAngle: getContactSurfaceAngle(surface.body, normal), // Degrees
+                material: surface.material,
+                ballIndex: ball.index,
                 timestamp: Date.now()
             });
         });
     }
 
+    /**
+     * Teleport any active ball sitting in a portal. Returns the set of balls
+     * that jumped this step (replay breaks their trail there).
+     */
+    passBallsThroughPortals() {
+        const teleported = new Set();
+        if (this.portals.length === 0) return teleported;
+
+        this.balls.forEach(ball => {
+            if (ball.isActive && passThroughPortals(ball.body, this.portals, ball)) {
+                ball.trailPoints = [];
+                teleported.add(ball);
+            }
+        });
+        return teleported;
+    }
+
+    applyMaterialContacts(pairs, isStart) {
+        this.balls.forEach(ball => {
+            if (!ball.isActive) return;
+            pairs.forEach(pair => applyMaterialContact(pair, ball.body, isStart));
+        });
+    }
+
+    applySpinContacts(pairs) {
+        this.balls.forEach(ball => {
+            if (!ball.isActive) return;
+            pairs.forEach(pair => applySpinContact(pair, ball.body));
+        });
+    }
+
     processHeldKeys() {
         this.input.processHeldKeys();
     }
@@ -650,11 +1000,8 @@ export class Game {
     }
 
     calculateLiveScore(currentTime) {
-        if (this.usedSolver) {
-            return 'N/A';
-        }
-
         let score = 1000;
+        score -= getHintPenalty(this.hintTierUsed);
         const timePenalty = Math.min(currentTime * 10, 500);
         score -= timePenalty;
         const attemptPenalty = (this.attempts - 1) * 100;
@@ -0,0 +1,80 @@
+/**
+ * Hazards for BounceFlow - touching one fails the attempt
+ *
+ * Regions are rectangles centred on x, y, listed in a level's `hazards`:
+ *   { type: 'lava', x: 400, y: 580, width: 300, height: 40 }
+ * - spikes: a row of spikes along the bottom of the rectangle
+ * - lava: a glowing pool
+ * - void: a dark pit that swallows the ball
+ *
+ * Surfaces can be hazards too: { x: 400, y: 300, width: 200, angle: 0, locked: true, hazard: 'spikes' }
+ * (the body gets plugin.hazard so contacts can be recognised).
+ *
+ * The live game and the solver both use findHazardHit() for regions and
+ * getHazardContact() for surfaces, so a hint never runs through a hazard.
+ */
+
+export const HAZARD_TYPES = ['spikes', 'lava', 'void'];
+
+export class Hazard {
+    constructor({ type, x, y, width, height }) {
+        if (!HAZARD_TYPES.includes(type)) {
+            throw new Error(`Unknown hazard type: ${type}`);
+        }
+        if (!(width > 0 && height > 0)) {
+            throw new Error(`Hazard '${type}' needs a positive size`);
+        }
+
+        this.type = type;
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * True if a ball of the given radius overlaps the region
+     */
+    touches(point, radius = 0) {
+        // Distance from the ball centre to the nearest point of the rectangle
+        const dx = Math.max(Math.abs(point.x - this.x) - this.width / 2, 0);
+        const dy = Math.max(Math.abs(point.y - this.y) - this.height / 2, 0);
+        return dx * dx + dy * dy <= radius * radius;
+    }
+}
+
+/**
+ * Build a hazard region from a level definition
+ */
+export function createHazard(definition) {
+    if (definition instanceof Hazard) return definition;
+    return new Hazard(definition);
+}
+
+/**
+ * First hazard region a ball touches, or null
+ */
+export function findHazardHit(position, radius, hazards) {
+    return hazards.find(hazard => hazard.touches(position, radius)) || null;
+}
+
+/**
+ * Mark a surface body as a hazard (or clear it with a falsy type)
+ */
+export function setHazardSurface(body, type) {
+    if (type && !HAZARD_TYPES.includes(type)) {
+        throw new Error(`Unknown hazard type: ${type}`);
+    }
+    body.plugin.hazard = type || null;
+}
+
+/**
+ * Hazard type of the body the ball touched in a collision pair, or null
+ */
+export function getHazardContact(pair, ballBody) {
+    const isBallCollision = pair.bodyA === ballBody || pair.bodyB === ballBody;
+    if (!isBallCollision || pair.isSensor) return null;
+
+    const otherBody = (pair.bodyA === ballBody ? pair.bodyB : pair.bodyA).parent; // Compound-safe
+    return otherBody.plugin.hazard || null;
+}
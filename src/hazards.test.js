@@ -0,0 +1,47 @@
+/**
+ * Unit tests for hazards
+ */
+
+import { describe, it, expect } from 'vitest';
+import Matter from 'matter-js';
+import { createHazard, findHazardHit, setHazardSurface, getHazardContact } from './hazards.js';
+
+describe('Hazard regions', () => {
+    it('should reject unknown types and empty sizes', () => {
+        expect(() => createHazard({ type: 'acid', x: 0, y: 0, width: 10, height: 10 })).toThrow();
+        expect(() => createHazard({ type: 'lava', x: 0, y: 0, width: 0, height: 10 })).toThrow();
+    });
+
+    it('should count a ball touching the edge as a hit', () => {
+        const lava = createHazard({ type: 'lava', x: 400, y: 580, width: 200, height: 40 });
+        // Ball centre 15px above the top edge with a 20px radius
+        expect(lava.touches({ x: 400, y: 545 }, 20)).toBe(true);
+        expect(lava.touches({ x: 400, y: 530 }, 20)).toBe(false);
+        // Near the corner the distance is diagonal
+        expect(lava.touches({ x: 515, y: 545 }, 20)).toBe(false);
+    });
+
+    it('should find the first hazard hit', () => {
+        const hazards = [
+            createHazard({ type: 'spikes', x: 100, y: 100, width: 50, height: 20 }),
+            createHazard({ type: 'void', x: 300, y: 100, width: 50, height: 50 })
+        ];
+        expect(findHazardHit({ x: 300, y: 120 }, 20, hazards).type).toBe('void');
+        expect(findHazardHit({ x: 200, y: 300 }, 20, hazards)).toBe(null);
+    });
+});
+
+describe('Hazard surfaces', () => {
+    it('should report the hazard of the surface the ball hit', () => {
+        const surface = Matter.Bodies.rectangle(400, 300, 200, 20, { isStatic: true });
+        const ball = Matter.Bodies.circle(400, 275, 20);
+        const pair = { bodyA: surface, bodyB: ball, isSensor: false };
+
+        setHazardSurface(surface, 'spikes');
+        expect(getHazardContact(pair, ball)).toBe('spikes');
+
+        setHazardSurface(surface, null);
+        expect(getHazardContact(pair, ball)).toBe(null);
+        expect(() => setHazardSurface(surface, 'acid')).toThrow();
+    });
+});
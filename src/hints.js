@@ -0,0 +1,94 @@
+/**
+ * Tiered hints for BounceFlow
+ *
+ * Each press of the hint button gives a little more away, and costs a little
+ * more of the level score:
+ * 1. surface   - highlight the surface that most needs to change
+ * 2. direction - arrows for which way to move it and which way to turn it
+ * 3. solution  - the full placement (ghost surfaces, trajectory, timing)
+ * A level's score loses the penalty of the highest tier used, once.
+ *
+ * Nudges compare the player's surfaces with the solver's best configuration
+ * as they are now, so they follow the player as surfaces are dragged.
+ */
+
+export const HINT_TIERS = [
+    { name: 'surface', label: 'Which Surface?', penalty: 100 },
+    { name: 'direction', label: 'Which Way?', penalty: 250 },
+    { name: 'solution', label: 'Show Solution', penalty: 500 }
+];
+
+// A surface this close to its solution pose (px, degrees) needs no nudge
+export const NUDGE_DISTANCE = 15;
+export const NUDGE_ROTATION = 5;
+
+// px of movement one degree of rotation counts as when picking a surface
+const ROTATION_WEIGHT = 2;
+
+/**
+ * Tier (1-3) by name, 0 for none
+ */
+export function getHintTier(name) {
+    return HINT_TIERS.findIndex(tier => tier.name === name) + 1;
+}
+
+/**
+ * Score lost for using hints up to `tier` (0 = no hints)
+ */
+export function getHintPenalty(tier) {
+    return tier > 0 ? HINT_TIERS[Math.min(tier, HINT_TIERS.length) - 1].penalty : 0;
+}
+
+/**
+ * Degrees after which a shape looks the same again: circles never change,
+ * plain bars repeat every half turn, anything with a direction (one-way,
+ * conveyor) or corners needs a full turn
+ */
+function getRotationPeriod(data) {
+    const shape = data.shape || 'line';
+    if (shape === 'circle') return 0;
+    if (shape === 'line' && !data.oneWay && !data.conveyorSpeed) return 180;
+    return 360;
+}
+
+/**
+ * How a surface should change to reach its solution pose:
+ * { dx, dy, distance } to move its anchor, and `rotation`, the shortest signed
+ * turn in degrees (positive = clockwise on screen)
+ */
+export function getSurfaceNudge(current, solution) {
+    const dx = solution.x - current.x;
+    const dy = solution.y - current.y;
+    const period = getRotationPeriod(current);
+    let rotation = 0;
+    if (period > 0) {
+        rotation = ((solution.angle - current.angle) % period + period) % period;
+        if (rotation > period / 2) rotation -= period;
+    }
+    return { dx, dy, distance: Math.hypot(dx, dy), rotation };
+}
+
+/**
+ * Index of the movable surface furthest from its solution pose, or -1 when
+ * every surface is close enough already
+ */
+export function findHintSurface(currentConfig, solutionConfig) {
+    let bestIndex = -1;
+    let bestChange = 0;
+
+    currentConfig.forEach((current, index) => {
+        const solution = solutionConfig[index];
+        if (current.locked || !solution) return;
+
+        const nudge = getSurfaceNudge(current, solution);
+        if (nudge.distance < NUDGE_DISTANCE && Math.abs(nudge.rotation) < NUDGE_ROTATION) return;
+
+        const change = nudge.distance + Math.abs(nudge.rotation) * ROTATION_WEIGHT;
+        if (change > bestChange) {
+            bestChange = change;
+            bestIndex = index;
+        }
+    });
+
+    return bestIndex;
+}
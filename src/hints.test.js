@@ -0,0 +1,69 @@
+/**
+ * Unit tests for tiered hints
+ */
+
+import { describe, it, expect } from 'vitest';
+import { HINT_TIERS, getHintTier, getHintPenalty, getSurfaceNudge, findHintSurface } from './hints.js';
+
+describe('getHintPenalty', () => {
+    it('should cost nothing without hints', () => {
+        expect(getHintPenalty(0)).toBe(0);
+    });
+
+    it('should cost more for each tier, all less than the whole score', () => {
+        const penalties = HINT_TIERS.map((tier, i) => getHintPenalty(i + 1));
+        expect(penalties).toEqual([...penalties].sort((a, b) => a - b));
+        expect(new Set(penalties).size).toBe(HINT_TIERS.length);
+        expect(Math.max(...penalties)).toBeLessThan(1000);
+    });
+
+    it('should number tiers from the gentlest', () => {
+        expect(getHintTier('surface')).toBe(1);
+        expect(getHintTier('direction')).toBe(2);
+        expect(getHintTier('solution')).toBe(3);
+    });
+});
+
+describe('getSurfaceNudge', () => {
+    it('should give the move and the shortest turn', () => {
+        const nudge = getSurfaceNudge({ x: 100, y: 100, angle: 10, shape: 'polygon' }, { x: 130, y: 60, angle: -20 });
+        expect(nudge.dx).toBe(30);
+        expect(nudge.dy).toBe(-40);
+        expect(nudge.distance).toBe(50);
+        expect(nudge.rotation).toBe(-30);
+    });
+
+    it('should treat a bar turned half way round as the same bar', () => {
+        expect(getSurfaceNudge({ x: 0, y: 0, angle: 170 }, { x: 0, y: 0, angle: -5 }).rotation).toBe(5);
+    });
+
+    it('should never turn a round post', () => {
+        expect(getSurfaceNudge({ x: 0, y: 0, angle: 0, shape: 'circle' }, { x: 0, y: 0, angle: 90 }).rotation).toBe(0);
+    });
+});
+
+describe('findHintSurface', () => {
+    const solution = [
+        { x: 100, y: 100, angle: 0 },
+        { x: 300, y: 300, angle: 30 },
+        { x: 500, y: 500, angle: 0, locked: true }
+    ];
+
+    it('should pick the movable surface furthest from its solution pose', () => {
+        const current = [
+            { x: 110, y: 100, angle: 0 },
+            { x: 300, y: 300, angle: -30 },
+            { x: 0, y: 0, angle: 0, locked: true }
+        ];
+        expect(findHintSurface(current, solution)).toBe(1);
+    });
+
+    it('should give -1 once every surface is close enough', () => {
+        const current = [
+            { x: 105, y: 100, angle: 2 },
+            { x: 300, y: 310, angle: 30 },
+            { x: 0, y: 0, angle: 0, locked: true }
+        ];
+        expect(findHintSurface(current, solution)).toBe(-1);
+    });
+});
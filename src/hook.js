@@ -0,0 +1,59 @@
+/**
+ * Hook swing for BounceFlow
+ *
+ * From level 4 on the hook sways side to side while the player aims, and the
+ * ball drops with the swing's position and sideways speed - so when Space is
+ * pressed matters. The swing is a function of its phase (0-1 through one full
+ * side-to-side cycle), which the game advances with a hook clock and the
+ * solver searches over to say when to release.
+ *
+ * The swing freezes while the claw opens, so a press releases exactly the
+ * phase it was made at. Nobody can press between frames, so the solver only
+ * searches (and the cache only stores) phases snapped to whole frames.
+ */
+
+import { FIXED_TIME_STEP } from './physicsStep.js';
+
+// ms for one full swing (matches the original sin(t / 800) sway)
+export const HOOK_SWING_PERIOD = 800 * Math.PI * 2;
+// px either side of the ball's start position
+export const HOOK_SWING_AMPLITUDE = 10;
+// Sideways speed the ball leaves with at the middle of a swing (px per frame)
+const HOOK_RELEASE_SPEED = 12.5 * 0.15;
+// Frames in one full swing (about 300)
+export const HOOK_SWING_FRAMES = HOOK_SWING_PERIOD / FIXED_TIME_STEP;
+
+/**
+ * Whether a level's hook swings (early levels keep it still)
+ */
+export function hasSwingingHook(level) {
+    return level.id >= 4;
+}
+
+/**
+ * Swing phase (0-1) after `time` ms of swinging
+ */
+export function getHookPhase(time) {
+    return ((time % HOOK_SWING_PERIOD) + HOOK_SWING_PERIOD) % HOOK_SWING_PERIOD / HOOK_SWING_PERIOD;
+}
+
+/**
+ * Where the hook holds the ball and how fast it lets go at a phase:
+ * { offset: px from the start position, velocity: px per frame sideways }
+ */
+export function getHookSwing(phase) {
+    const angle = phase * Math.PI * 2;
+    return {
+        offset: Math.sin(angle) * HOOK_SWING_AMPLITUDE,
+        velocity: Math.cos(angle) * HOOK_RELEASE_SPEED
+    };
+}
+
+/**
+ * Nearest phase (0-1) that falls on a whole frame of the swing
+ */
+export function snapHookPhase(phase) {
+    const frame = Math.round((phase - Math.floor(phase)) * HOOK_SWING_FRAMES);
+    const snapped = frame / HOOK_SWING_FRAMES;
+    return snapped >= 1 ? 0 : snapped;
+}
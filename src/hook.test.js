@@ -0,0 +1,47 @@
+/**
+ * Unit tests for the hook swing
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    HOOK_SWING_PERIOD,
+    HOOK_SWING_AMPLITUDE,
+    HOOK_SWING_FRAMES,
+    hasSwingingHook,
+    getHookPhase,
+    getHookSwing,
+    snapHookPhase
+} from './hook.js';
+
+describe('hook swing', () => {
+    it('should only swing from level 4 on', () => {
+        expect(hasSwingingHook({ id: 3 })).toBe(false);
+        expect(hasSwingingHook({ id: 4 })).toBe(true);
+    });
+
+    it('should wrap the phase into 0-1', () => {
+        expect(getHookPhase(0)).toBe(0);
+        expect(getHookPhase(HOOK_SWING_PERIOD * 2.25)).toBeCloseTo(0.25);
+        expect(getHookPhase(-HOOK_SWING_PERIOD / 4)).toBeCloseTo(0.75);
+    });
+
+    it('should move fastest through the middle and stop at the ends', () => {
+        const middle = getHookSwing(0);
+        expect(middle.offset).toBeCloseTo(0);
+        expect(middle.velocity).toBeGreaterThan(0);
+
+        const end = getHookSwing(0.25);
+        expect(end.offset).toBeCloseTo(HOOK_SWING_AMPLITUDE);
+        expect(end.velocity).toBeCloseTo(0);
+
+        expect(getHookSwing(0.5).velocity).toBeCloseTo(-middle.velocity);
+    });
+
+    it('should snap phases to whole frames of the swing', () => {
+        const phase = snapHookPhase(0.25);
+        expect(phase * HOOK_SWING_FRAMES).toBeCloseTo(Math.round(phase * HOOK_SWING_FRAMES), 9);
+        expect(Math.abs(phase - 0.25)).toBeLessThanOrEqual(0.5 / HOOK_SWING_FRAMES);
+        expect(snapHookPhase(1.25)).toBe(phase);
+        expect(snapHookPhase(1 - 0.01 / HOOK_SWING_FRAMES)).toBe(0);
+    });
+});
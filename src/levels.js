@@ -1,5 +1,51 @@
 /**
  * Level definitions for BounceFlow prototype
+ *
+ * Optional fields:
+ * - massPattern: 'static' | 'wave' | 'pulse' - how the ball's weight changes (default 'static')
+ * - massCycleSpeed: radians per ms for the mass pattern (default 0)
+ * - frictionPattern: 'static' | 'wave' | 'pulse' - how the ball's grip changes (default 'static')
+ * - frictionCycleSpeed: radians per ms for the friction pattern (default 0)
+ * - sizePattern: 'static' | 'wave' | 'pulse' - how the ball grows and shrinks,
+ *   as a multiplier on its radius (default 'static')
+ * - sizeCycleSpeed: radians per ms for the size pattern (default 0)
+ * - elasticityCurve / massCurve / frictionCurve / sizeCurve: keyframed property curve,
+ *   overrides the matching pattern (see propertyCurve.js for the format)
+ * - forceZones: wind, gravity well/repulsor and altered-gravity areas
+ *   (see forceZones.js for the format)
+ * - physics: gravity strength/direction, air drag, ball radius and wall bounce
+ *   for this level (see physicsSettings.js for the format)
+ * - balls: release several balls instead of one, e.g.
+ *   [{ x: 150, y: 100 }, { x: 650, y: 100, delay: 1500, propertyPattern: 'wave', cycleSpeed: 0.002, color: '#FFE66D' }]
+ *   The first ball should sit at ballStart. `delay` is ms after release, and
+ *   each ball can override any of the level's pattern/curve fields
+ * - portals: linked teleporter pairs, optionally movable (see portal.js for the format)
+ * - hazards: spike, lava and void regions that fail the attempt (see hazards.js)
+ * - switches: buttons / pressure targets that open gates, start platforms or
+ *   reveal stars (see switches.js for the format)
+ * - bumpers / flippers: pinball bumpers that kick the ball and flippers the
+ *   player fires while it's in play (see pinball.js for the format)
+ * - solverOptimizer: 'annealing' | 'cmaes' | 'genetic' | 'grid' - how the hint
+ *   solver searches this level (default 'annealing'; see optimizers.js, and
+ *   solverBenchmark.js to compare them)
+ *
+ * Optional surface fields:
+ * - shape: 'line' | 'arc' | 'polygon' | 'circle' (default 'line'); arcs and
+ *   circles take a `radius` (arcs also a `sweep`), polygons take `vertices`
+ *   and none of them need a `width` (see surfaceShapes.js for the format)
+ * - material: 'standard' | 'rubber' | 'ice' | 'foam' | 'spring' | 'conveyor' (default 'standard')
+ * - conveyorSpeed: belt speed in px per frame for conveyors, negative reverses (default 4)
+ * - motion: moving surface - path, pendulum or spin (see surfaceMotion.js for the format)
+ * - breakAfter: crumbles after this many hits (1 = one-shot)
+ * - breakSpeed: smashes when hit harder than this (px per frame into the surface)
+ * - oneWay: true - the ball passes up through it and lands on top
+ * - hazard: 'spikes' | 'lava' | 'void' - touching the surface fails the attempt
+ * - hidden: true - starts out gone until a switch closes/toggles it in
+ * - waitForSwitch: true - motion holds still until a switch starts it
+ *
+ * Optional target fields:
+ * - ball: index into `balls` - only that ball can collect this star
+ * - hidden: true - can't be collected until a switch reveals it
  */
 
 export const LEVELS = [
@@ -112,9 +158,17 @@ export const LEVELS = [
             { x: 200, y: 250 },
             { x: 700, y: 200 }
         ],
+        bumpers: [
+            { x: 500, y: 160 },
+            { x: 690, y: 450, radius: 20 }
+        ],
+        flippers: [
+            { x: 230, y: 540, length: 90, side: 'left' },
+            { x: 570, y: 540, length: 90, side: 'right' }
+        ],
         propertyPattern: 'static',
         cycleSpeed: 0,
-        hint: "Navigate through the pinball machine!"
+        hint: "Navigate through the pinball machine! Z and M (or tap left/right) fire the flippers"
     },
     {
         id: 8,
@@ -272,7 +326,7 @@ export const LEVELS = [
         cycleSpeed: 0,
         hint: "Master the gauntlet - precision and patience required!"
     },
-    // WORLD 2: ELASTICITY - Levels 16-25
+    // WORLD 2: ELASTICITY - Levels 16-25 (stars sit low enough for the bounce to reach at 0.8 elasticity)
     {
         id: 16,
         name: "The Wave Begins",
@@ -281,7 +335,7 @@ export const LEVELS = [
             { x: 400, y: 450, width: 300, angle: 0, locked: false }
         ],
         targets: [
-            { x: 650, y: 200 }
+            { x: 650, y: 260 }
         ],
         propertyPattern: 'wave',
         cycleSpeed: 0.0008,
@@ -314,7 +368,7 @@ export const LEVELS = [
         ],
         targets: [
             { x: 350, y: 300 },
-            { x: 650, y: 200 }
+            { x: 650, y: 250 }
         ],
         propertyPattern: 'wave',
         cycleSpeed: 0.0012,
@@ -347,7 +401,7 @@ export const LEVELS = [
         ],
         targets: [
             { x: 500, y: 220 },
-            { x: 730, y: 180 }
+            { x: 730, y: 240 }
         ],
         propertyPattern: 'wave',
         cycleSpeed: 0.0011,
@@ -364,8 +418,8 @@ export const LEVELS = [
         ],
         targets: [
             { x: 350, y: 250 },
-            { x: 550, y: 180 },
-            { x: 700, y: 150 }
+            { x: 550, y: 220 },
+            { x: 700, y: 220 }
         ],
         propertyPattern: 'pulse',
         cycleSpeed: 0.0013,
@@ -424,7 +478,7 @@ export const LEVELS = [
         ],
         targets: [
             { x: 400, y: 240 },
-            { x: 700, y: 150 }
+            { x: 700, y: 220 }
         ],
         propertyPattern: 'pulse',
         cycleSpeed: 0.0015,
@@ -446,12 +500,84 @@ export const LEVELS = [
         targets: [
             { x: 120, y: 200 },
             { x: 350, y: 280 },
-            { x: 580, y: 180 },
+            { x: 450, y: 170 },
             { x: 720, y: 320 }
         ],
         propertyPattern: 'wave',
         cycleSpeed: 0.0016,
         hint: "The ultimate elasticity challenge - use everything you've learned!"
+    },
+    // BONUS WORLD: SIZE - Levels 26-27 (World 4 is kept for Friction)
+    {
+        id: 26,
+        name: "Squeeze Through",
+        ballStart: { x: 400, y: 80 },
+        surfaces: [
+            { x: 250, y: 300, width: 260, angle: 0, locked: true },
+            { x: 550, y: 300, width: 260, angle: 0, locked: true },
+            { x: 400, y: 480, width: 200, angle: -20, locked: false }
+        ],
+        targets: [
+            { x: 640, y: 420 }
+        ],
+        propertyPattern: 'static',
+        cycleSpeed: 0,
+        sizePattern: 'wave',
+        sizeCycleSpeed: 0.0015,
+        hint: "The ball grows after it's released, then shrinks - use your surface to send it the long way round so it reaches the gap small!"
+    },
+    {
+        id: 27,
+        name: "Grow to Stop",
+        ballStart: { x: 120, y: 100 },
+        surfaces: [
+            { x: 300, y: 330, width: 220, angle: 20, locked: true },
+            { x: 520, y: 430, width: 120, angle: 0, locked: true },
+            { x: 680, y: 430, width: 120, angle: 0, locked: true },
+            { x: 250, y: 480, width: 160, angle: 0, locked: false }
+        ],
+        targets: [
+            { x: 600, y: 360 },
+            { x: 150, y: 420 }
+        ],
+        propertyPattern: 'static',
+        cycleSpeed: 0,
+        sizeCurve: {
+            keyframes: [
+                { t: 0, value: 0.6 },
+                { t: 0.5, value: 1.5, easing: 'easeInOut' },
+                { t: 1, value: 0.6, easing: 'easeInOut' }
+            ],
+            period: 3000
+        },
+        hint: "A small ball drops through the gap between the ledges - a big one rolls across!"
+    },
+    // WORLD 3: WEIGHT - Levels 28+ (wind blows a light ball back, a heavy one pushes through)
+    {
+        id: 28,
+        name: "Heavy Enough",
+        ballStart: { x: 120, y: 100 },
+        surfaces: [
+            { x: 200, y: 300, width: 200, angle: 20, locked: false },
+            { x: 300, y: 480, width: 160, angle: 0, locked: false }
+        ],
+        targets: [
+            { x: 680, y: 420 }
+        ],
+        forceZones: [
+            { type: 'wind', x: 480, y: 300, width: 160, height: 600, direction: 180, strength: 1.5 }
+        ],
+        propertyPattern: 'static',
+        cycleSpeed: 0,
+        massCurve: {
+            keyframes: [
+                { t: 0, value: 0.5 },
+                { t: 0.5, value: 5, easing: 'easeInOut' },
+                { t: 1, value: 0.5, easing: 'easeInOut' }
+            ],
+            period: 4000
+        },
+        hint: "The wind blows a light ball back - take the long way round so it reaches the wind once it's heavy!"
     }
 ];
 
@@ -462,6 +588,31 @@ export function getLevel(levelId) {
     return LEVELS.find(level => level.id === levelId) || LEVELS[0];
 }
 
+// Ball property fields a `balls` entry inherits from its level
+const BALL_PROPERTY_FIELDS = [
+    'propertyPattern', 'cycleSpeed',
+    'massPattern', 'massCycleSpeed',
+    'frictionPattern', 'frictionCycleSpeed',
+    'sizePattern', 'sizeCycleSpeed',
+    'elasticityCurve', 'massCurve', 'frictionCurve', 'sizeCurve'
+];
+
+/**
+ * Get the balls a level releases, with level-wide properties filled in.
+ * Levels without `balls` release a single ball from ballStart.
+ */
+export function getLevelBalls(level) {
+    const balls = level.balls || [{ x: level.ballStart.x, y: level.ballStart.y }];
+
+    return balls.map((ball, index) => {
+        const inherited = {};
+        BALL_PROPERTY_FIELDS.forEach(field => {
+            if (level[field] !== undefined) inherited[field] = level[field];
+        });
+        return { ...inherited, delay: 0, ...ball, index };
+    });
+}
+
 /**
  * Get total number of levels
  */
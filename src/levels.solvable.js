@@ -0,0 +1,36 @@
+/**
+ * Level solvability check - searches every level for a way to collect all
+ * of its stars and fails for any level where none turns up
+ *
+ * Stars sit where the level puts them (no randomization) and stay collected
+ * between drops, as in play. The search is seeded per level, so a run always
+ * gives the same result. Too slow for the main suite: run it with
+ * `npm run test:levels`.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { LEVELS } from './levels.js';
+import { solveLevel } from './solver.js';
+import { createRandom } from './utils.js';
+
+// Budget per run, and runs per optimizer for each drop - short runs restarted
+// often get stuck less than one long one
+const MAX_ATTEMPTS = 300;
+const RESTARTS = 4;
+
+function solve(level) {
+    const result = solveLevel(level, {
+        optimizers: ['annealing', 'cmaes', 'genetic'],
+        maxAttempts: MAX_ATTEMPTS,
+        restarts: RESTARTS,
+        random: createRandom(level.id)
+    });
+    const collected = result.drops.flatMap(drop => drop.collectedTargets);
+    expect(result.solved, `stars collected: ${collected.length} of ${level.targets.length}`).toBe(true);
+}
+
+describe('every level is solvable', () => {
+    it.each(LEVELS.map(level => [level.id, level.name, level]))('level %i: %s', (id, name, level) => {
+        solve(level);
+    });
+});
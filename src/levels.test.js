@@ -3,7 +3,18 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { LEVELS, getLevel, getTotalLevels } from './levels.js';
+import Matter from 'matter-js';
+import { LEVELS, getLevel, getTotalLevels, getLevelBalls } from './levels.js';
+import { createPropertyCurve } from './propertyCurve.js';
+import { MATERIALS } from './materials.js';
+import { createSurfaceMotion } from './surfaceMotion.js';
+import { createForceZone } from './forceZones.js';
+import { getPhysicsSettings } from './physicsSettings.js';
+import { createPortalPair } from './portal.js';
+import { createHazard, HAZARD_TYPES } from './hazards.js';
+import { createSwitch, SWITCH_ACTIONS } from './switches.js';
+import { createShapeBody, validateShape } from './surfaceShapes.js';
+import { createBumper, createFlipper } from './pinball.js';
 
 describe('Level definitions', () => {
     it('should have at least one level', () => {
@@ -29,6 +40,135 @@ describe('Level definitions', () => {
         });
     });
 
+    it('should have valid optional mass patterns', () => {
+        LEVELS.forEach(level => {
+            if (level.massPattern === undefined) return;
+            expect(['static', 'wave', 'pulse']).toContain(level.massPattern);
+            expect(typeof level.massCycleSpeed).toBe('number');
+        });
+    });
+
+    it('should have valid optional friction patterns', () => {
+        LEVELS.forEach(level => {
+            if (level.frictionPattern === undefined) return;
+            expect(['static', 'wave', 'pulse']).toContain(level.frictionPattern);
+            expect(typeof level.frictionCycleSpeed).toBe('number');
+        });
+    });
+
+    it('should have valid optional size patterns', () => {
+        LEVELS.forEach(level => {
+            if (level.sizePattern === undefined) return;
+            expect(['static', 'wave', 'pulse']).toContain(level.sizePattern);
+            expect(typeof level.sizeCycleSpeed).toBe('number');
+        });
+    });
+
+    it('should have valid optional property curves', () => {
+        LEVELS.forEach(level => {
+            ['elasticityCurve', 'massCurve', 'frictionCurve', 'sizeCurve'].forEach(key => {
+                if (level[key] === undefined) return;
+                expect(() => createPropertyCurve(level[key])).not.toThrow();
+            });
+        });
+    });
+
+    it('should have valid optional multi-ball definitions', () => {
+        LEVELS.forEach(level => {
+            if (level.balls === undefined) return;
+            expect(level.balls.length).toBeGreaterThan(0);
+            expect(level.balls[0].x).toBe(level.ballStart.x);
+            expect(level.balls[0].y).toBe(level.ballStart.y);
+            level.balls.forEach(ball => {
+                expect(typeof ball.x).toBe('number');
+                expect(typeof ball.y).toBe('number');
+                expect(ball.delay ?? 0).toBeGreaterThanOrEqual(0);
+            });
+        });
+    });
+
+    it('should only tie stars to balls that exist', () => {
+        LEVELS.forEach(level => {
+            const ballCount = getLevelBalls(level).length;
+            level.targets.forEach(target => {
+                if (target.ball === undefined) return;
+                expect(Number.isInteger(target.ball)).toBe(true);
+                expect(target.ball).toBeGreaterThanOrEqual(0);
+                expect(target.ball).toBeLessThan(ballCount);
+            });
+        });
+    });
+
+    it('should have valid optional portal pairs', () => {
+        LEVELS.forEach(level => {
+            if (level.portals === undefined) return;
+            level.portals.forEach(portal => {
+                ['a', 'b'].forEach(end => {
+                    expect(typeof portal[end].x).toBe('number');
+                    expect(typeof portal[end].y).toBe('number');
+                });
+                expect(() => createPortalPair(portal)).not.toThrow();
+            });
+        });
+    });
+
+    it('should have valid optional physics settings', () => {
+        LEVELS.forEach(level => {
+            expect(() => getPhysicsSettings(level)).not.toThrow();
+        });
+    });
+
+    it('should have valid optional force zones', () => {
+        LEVELS.forEach(level => {
+            if (level.forceZones === undefined) return;
+            expect(Array.isArray(level.forceZones)).toBe(true);
+            level.forceZones.forEach(zone => {
+                expect(() => createForceZone(zone)).not.toThrow();
+            });
+        });
+    });
+
+    it('should have valid optional hazards', () => {
+        LEVELS.forEach(level => {
+            if (level.hazards === undefined) return;
+            expect(Array.isArray(level.hazards)).toBe(true);
+            level.hazards.forEach(hazard => {
+                expect(() => createHazard(hazard)).not.toThrow();
+            });
+        });
+    });
+
+    it('should have valid optional switches', () => {
+        LEVELS.forEach(level => {
+            if (level.switches === undefined) return;
+            expect(Array.isArray(level.switches)).toBe(true);
+            level.switches.forEach(sw => {
+                expect(() => createSwitch(sw)).not.toThrow();
+                sw.actions.forEach(action => {
+                    // Actions must point at a surface / star that exists
+                    const list = SWITCH_ACTIONS[action.type] === 'target' ? level.targets : level.surfaces;
+                    expect(list[action[SWITCH_ACTIONS[action.type]]]).toBeDefined();
+                });
+            });
+        });
+    });
+
+    it('should have valid optional bumpers and flippers', () => {
+        LEVELS.forEach(level => {
+            (level.bumpers || []).forEach(bumperData => {
+                const bumper = createBumper(bumperData);
+                // Bumpers must stand clear of every surface
+                const post = { shape: 'circle', x: bumper.x, y: bumper.y, angle: 0, radius: bumper.radius };
+                level.surfaces.forEach(surface => {
+                    expect(checkSurfaceOverlap(post, surface)).toBe(false);
+                });
+            });
+            (level.flippers || []).forEach(flipper => {
+                expect(() => createFlipper(flipper)).not.toThrow();
+            });
+        });
+    });
+
     it('should have valid ball start positions', () => {
         LEVELS.forEach(level => {
             expect(level.ballStart.x).toBeGreaterThan(0);
@@ -91,11 +231,35 @@ describe('Level definitions', () => {
             level.surfaces.forEach(surface => {
                 expect(surface).toHaveProperty('x');
                 expect(surface).toHaveProperty('y');
-                expect(surface).toHaveProperty('width');
                 expect(surface).toHaveProperty('angle');
                 expect(surface).toHaveProperty('locked');
-                expect(typeof surface.width).toBe('number');
-                expect(surface.width).toBeGreaterThan(0);
+                expect(() => validateShape(surface)).not.toThrow();
+                if ((surface.shape || 'line') === 'line') {
+                    expect(typeof surface.width).toBe('number');
+                    expect(surface.width).toBeGreaterThan(0);
+                }
+                if (surface.material !== undefined) {
+                    expect(Object.keys(MATERIALS)).toContain(surface.material);
+                }
+                if (surface.conveyorSpeed !== undefined) {
+                    expect(typeof surface.conveyorSpeed).toBe('number');
+                }
+                if (surface.motion !== undefined) {
+                    expect(() => createSurfaceMotion(surface.motion)).not.toThrow();
+                }
+                if (surface.breakAfter !== undefined) {
+                    expect(Number.isInteger(surface.breakAfter)).toBe(true);
+                    expect(surface.breakAfter).toBeGreaterThan(0);
+                }
+                if (surface.breakSpeed !== undefined) {
+                    expect(surface.breakSpeed).toBeGreaterThan(0);
+                }
+                if (surface.hazard !== undefined) {
+                    expect(HAZARD_TYPES).toContain(surface.hazard);
+                }
+                if (surface.oneWay !== undefined) {
+                    expect(typeof surface.oneWay).toBe('boolean');
+                }
             });
         });
     });
@@ -139,13 +303,33 @@ describe('Level helpers', () => {
     it('getTotalLevels should return correct count', () => {
         expect(getTotalLevels()).toBe(LEVELS.length);
     });
+
+    it('getLevelBalls should release one ball from ballStart by default', () => {
+        const balls = getLevelBalls({ ballStart: { x: 10, y: 20 }, propertyPattern: 'wave', cycleSpeed: 0.002 });
+        expect(balls).toEqual([{ x: 10, y: 20, delay: 0, index: 0, propertyPattern: 'wave', cycleSpeed: 0.002 }]);
+    });
+
+    it('getLevelBalls should let each ball override level properties', () => {
+        const balls = getLevelBalls({
+            ballStart: { x: 10, y: 20 },
+            propertyPattern: 'wave',
+            balls: [{ x: 10, y: 20 }, { x: 50, y: 20, delay: 500, propertyPattern: 'pulse' }]
+        });
+        expect(balls[0].propertyPattern).toBe('wave');
+        expect(balls[1]).toMatchObject({ index: 1, delay: 500, propertyPattern: 'pulse' });
+    });
 });
 
 /**
  * Check if two surfaces overlap
- * Uses oriented bounding box (OBB) collision detection
+ * Uses oriented bounding box (OBB) collision detection for bars, and the
+ * shapes' Matter bodies part by part for anything else
  */
 function checkSurfaceOverlap(s1, s2) {
+    if ((s1.shape || 'line') !== 'line' || (s2.shape || 'line') !== 'line') {
+        return checkShapeOverlap(s1, s2);
+    }
+
     const thickness = 20; // Surface thickness from surface.js
 
     // Get corners of both surfaces
@@ -175,6 +359,14 @@ function checkSurfaceOverlap(s1, s2) {
     return true;
 }
 
+function checkShapeOverlap(s1, s2) {
+    const body1 = createShapeBody(s1, s1);
+    const body2 = createShapeBody(s2, s2);
+    const parts1 = body1.parts.length > 1 ? body1.parts.slice(1) : body1.parts;
+    const parts2 = body2.parts.length > 1 ? body2.parts.slice(1) : body2.parts;
+    return parts1.some(a => parts2.some(b => Matter.Collision.collides(a, b) !== null));
+}
+
 /**
  * Get the four corners of a surface
  */
@@ -3,6 +3,7 @@
  */
 
 import { Game } from './game/index.js';
+import { parseLevelIds } from './solverBenchmark.js';
 
 // Initialize the game when DOM is loaded
 function init() {
@@ -48,6 +49,18 @@ function init() {
     console.log('- Right-click and drag to rotate surfaces');
     console.log('- Press R to restart level');
     console.log('- Press Space or click Play to start');
+
+    // ?benchmark[=cmaes,grid][&levels=16-25][&runs=3][&attempts=150] compares solver optimizers
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('benchmark')) {
+        const optimizers = params.get('benchmark');
+        game.solver.benchmark({
+            optimizers: optimizers ? optimizers.split(',') : undefined,
+            levelIds: params.has('levels') ? parseLevelIds(params.get('levels')) : null,
+            runs: params.has('runs') ? Number(params.get('runs')) : undefined,
+            maxAttempts: params.has('attempts') ? Number(params.get('attempts')) : undefined
+        });
+    }
 }
 
 // Wait for DOM to be ready
@@ -0,0 +1,128 @@
+/**
+ * Surface materials for BounceFlow
+ *
+ * Each material sets the physics of a surface's Matter body and how it looks.
+ * Matter.js combines a contact as max(restitution) and min(friction). Static
+ * bodies start out with restitution 0 and friction 1, which is why the
+ * 'standard' material lets the ball's own elasticity and grip decide.
+ * - 'rubber' and 'ice' raise the bounce floor; ice also forces a slippery contact
+ * - 'spring' bounces back harder than the ball came in (restitution > 1)
+ * - 'foam' overrides the combined restitution so it really absorbs energy
+ * - 'conveyor' pushes the ball along the surface while in contact
+ * - 'rubber' is the only one with `grip`, so the only one that spins the ball
+ *
+ * The live game and the solver both set bodies up with applyMaterial() and
+ * route collision pairs through applyMaterialContact(), so hints behave
+ * exactly like real play.
+ */
+
+import Matter from 'matter-js';
+
+export const MATERIALS = {
+    standard: {
+        name: 'Standard',
+        restitution: 0,
+        friction: 1,
+        color: '#2D2D2D'
+    },
+    rubber: {
+        name: 'Rubber',
+        restitution: 0.8,
+        friction: 0.9,
+        grip: 0.9, // Spins the ball on glancing bounces (see spin.js)
+        color: '#1F1F1F',
+        accent: '#555555'
+    },
+    ice: {
+        name: 'Ice',
+        restitution: 0.5,
+        friction: 0.05,
+        color: 'rgba(227, 242, 253, 0.75)',
+        accent: '#FFFFFF'
+    },
+    foam: {
+        name: 'Foam',
+        restitution: 0.2,
+        friction: 0.6,
+        absorbs: true, // Contact restitution is the foam's, not max(ball, foam)
+        color: '#FFF3B8',
+        accent: '#E6C84F'
+    },
+    spring: {
+        name: 'Spring',
+        restitution: 1.3,
+        friction: 0.5,
+        color: '#76FF03',
+        accent: '#2E7D32'
+    },
+    conveyor: {
+        name: 'Conveyor',
+        restitution: 0.5,
+        friction: 0.7,
+        conveyorSpeed: 4, // px per frame along the surface (negative = reverse)
+        conveyorGrip: 0.2, // Fraction of the speed difference applied per contact step
+        color: '#5D6D7E',
+        accent: '#FFE66D'
+    }
+};
+
+export const DEFAULT_MATERIAL = 'standard';
+
+/**
+ * Get material definition by name (falls back to standard)
+ */
+export function getMaterial(name) {
+    return MATERIALS[name] || MATERIALS[DEFAULT_MATERIAL];
+}
+
+/**
+ * Set up a surface body for its material ({ material, conveyorSpeed }).
+ * Must run after the body is created - Matter.js resets restitution and
+ * friction when it makes a body static.
+ */
+export function applyMaterial(body, surfaceData = {}) {
+    const materialName = MATERIALS[surfaceData.material] ? surfaceData.material : DEFAULT_MATERIAL;
+    const material = MATERIALS[materialName];
+
+    body.restitution = material.restitution;
+    body.friction = material.friction;
+    body.plugin.material = materialName;
+    body.plugin.grip = material.grip ?? 0;
+    body.plugin.conveyorSpeed = surfaceData.conveyorSpeed ?? material.conveyorSpeed ?? 0;
+}
+
+/**
+ * Apply material effects for a collision pair involving the ball.
+ * Call with isStart = true from 'collisionStart' (before Matter resolves the
+ * contact) and isStart = false from 'collisionActive' (while touching).
+ */
+export function applyMaterialContact(pair, ballBody, isStart = true) {
+    const isBallCollision = pair.bodyA === ballBody || pair.bodyB === ballBody;
+    // Sensor contacts (e.g. passing up through a one-way surface) don't touch
+    if (!isBallCollision || pair.isSensor) return;
+
+    const otherBody = (pair.bodyA === ballBody ? pair.bodyB : pair.bodyA).parent; // Compound-safe
+    const materialName = otherBody.plugin && otherBody.plugin.material;
+    if (!materialName) return;
+
+    const material = getMaterial(materialName);
+
+    // Foam soaks up the bounce regardless of how elastic the ball is
+    if (isStart && material.absorbs) {
+        pair.restitution = material.restitution;
+    }
+
+    // Conveyor drags the ball's tangential velocity towards the belt speed
+    if (material.conveyorGrip) {
+        const beltSpeed = otherBody.plugin.conveyorSpeed;
+        const tangent = { x: Math.cos(otherBody.angle), y: Math.sin(otherBody.angle) };
+        const velocity = Matter.Body.getVelocity(ballBody);
+        const tangentialSpeed = velocity.x * tangent.x + velocity.y * tangent.y;
+        const boost = (beltSpeed - tangentialSpeed) * material.conveyorGrip;
+
+        Matter.Body.setVelocity(ballBody, {
+            x: velocity.x + tangent.x * boost,
+            y: velocity.y + tangent.y * boost
+        });
+    }
+}
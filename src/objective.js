@@ -0,0 +1,56 @@
+/**
+ * Solver objective - how good one drop was, as a single score to minimise
+ *
+ * Getting close to the nearest star isn't enough on multi-star levels, so a
+ * drop is judged on every star still out when it started:
+ * - each star collected is worth STAR_VALUE px, so collecting one more star
+ *   always beats getting closer to the rest
+ * - collecting them in the level's order (the order `targets` lists them,
+ *   which is the order level hints describe) earns up to half a star more
+ * - what's left is how close the ball came to each star still out, on average
+ * - ending in a hazard costs HAZARD_PENALTY px
+ * A drop that collects every star scores 0.
+ */
+
+// Score (px of distance) one collected star is worth
+export const STAR_VALUE = 2000;
+
+// Extra distance (px) counted against drops that end in a hazard
+export const HAZARD_PENALTY = 1000;
+
+/**
+ * Indices of the stars a drop set out to collect, in the level's order
+ */
+export function getStarsOut(targets) {
+    return targets
+        .map((target, index) => (target.collected ? null : index))
+        .filter(index => index !== null);
+}
+
+/**
+ * How many of the stars collected follow the level's order, from the start
+ */
+export function countInOrder(collectedTargets, starsOut) {
+    let count = 0;
+    while (count < collectedTargets.length && collectedTargets[count] === starsOut[count]) count++;
+    return count;
+}
+
+/**
+ * Score a simulation result (see simulateConfiguration) against the stars
+ * out in `targets` when it started
+ */
+export function scoreDrop(result, targets) {
+    const starsOut = getStarsOut(targets);
+    const remaining = starsOut.filter(index => !result.collectedTargets.includes(index));
+    if (remaining.length === 0 && starsOut.length > 0) return result.hazardHit ? HAZARD_PENALTY : 0;
+
+    const collectedValue = STAR_VALUE * (starsOut.length - remaining.length);
+    const orderValue = (STAR_VALUE / 2) * countInOrder(result.collectedTargets, starsOut) / Math.max(starsOut.length, 1);
+    // Capped at half a star (about a screen) - stars the ball never could reach count as that far
+    const distances = remaining.map(index => Math.min(result.targetDistances[index], STAR_VALUE / 2));
+    const averageDistance = distances.reduce((sum, distance) => sum + distance, 0) / Math.max(distances.length, 1);
+
+    return STAR_VALUE * starsOut.length - collectedValue - orderValue + averageDistance +
+        (result.hazardHit ? HAZARD_PENALTY : 0);
+}
@@ -0,0 +1,47 @@
+/**
+ * Unit tests for the solver objective
+ */
+
+import { describe, it, expect } from 'vitest';
+import { scoreDrop, countInOrder, getStarsOut, HAZARD_PENALTY } from './objective.js';
+
+const targets = [{ collected: false }, { collected: false }, { collected: false }];
+
+function drop(collectedTargets, targetDistances, hazardHit = null) {
+    return { collectedTargets, targetDistances, hazardHit };
+}
+
+describe('scoreDrop', () => {
+    it('should score a drop that collects every star 0', () => {
+        expect(scoreDrop(drop([0, 1, 2], [0, 0, 0]), targets)).toBe(0);
+    });
+
+    it('should rank one more star above getting closer to the rest', () => {
+        const twoStarsFar = scoreDrop(drop([2, 1], [900, 0, 0]), targets);
+        const oneStarClose = scoreDrop(drop([0], [0, 1, 1]), targets);
+        expect(twoStarsFar).toBeLessThan(oneStarClose);
+    });
+
+    it('should reward collecting in the level\'s order', () => {
+        const inOrder = scoreDrop(drop([0, 1], [0, 0, 300]), targets);
+        const outOfOrder = scoreDrop(drop([1, 0], [0, 0, 300]), targets);
+        expect(inOrder).toBeLessThan(outOfOrder);
+        expect(countInOrder([0, 2], [0, 1, 2])).toBe(1);
+    });
+
+    it('should reward getting closer to the stars still out', () => {
+        expect(scoreDrop(drop([0], [0, 100, 100]), targets)).toBeLessThan(scoreDrop(drop([0], [0, 100, 400]), targets));
+    });
+
+    it('should only count stars out when the drop started', () => {
+        const partlyCollected = [{ collected: true }, { collected: false }, { collected: false }];
+        expect(getStarsOut(partlyCollected)).toEqual([1, 2]);
+        expect(scoreDrop(drop([1, 2], [0, 0, 0]), partlyCollected)).toBe(0);
+    });
+
+    it('should penalise hazards and never-reachable stars', () => {
+        const safe = scoreDrop(drop([], [200, Infinity, Infinity]), targets);
+        expect(Number.isFinite(safe)).toBe(true);
+        expect(scoreDrop(drop([], [200, Infinity, Infinity], 'lava'), targets)).toBe(safe + HAZARD_PENALTY);
+    });
+});
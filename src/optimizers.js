@@ -0,0 +1,619 @@
+/**
+ * Search strategies for the solver - how SolverRun picks the next layout to try
+ *
+ * Every strategy searches the same LayoutSpace: x, y and angle of each
+ * unlocked surface, plus the hook release phase where the hook swings. They
+ * share one interface, so SolverRun (solver.js) can drive any of them:
+ * - propose(): the next candidate { config, releasePhase } to simulate
+ * - report(candidate, score, result): feed back how it went - score is the
+ *   distance to minimise (0 once a star is collected), result the simulation
+ * - temperature: 1.0 → 0.0 as the search narrows (shown while it runs)
+ * - exhausted: true once the strategy has nothing left to try
+ *
+ * Strategies (OPTIMIZERS):
+ * - annealing: random moves that shrink as the search cools, nudged by where
+ *   failed runs ended up (the original solver)
+ * - cmaes: CMA-ES - samples from a Gaussian whose mean, spread and shape
+ *   follow the best samples of each generation
+ * - genetic: a population of layouts bred by tournament selection, uniform
+ *   crossover and Gaussian mutation, keeping the best two each generation
+ * - grid: a coarse sweep over every free value, as fine as the attempt
+ *   budget allows
+ *
+ * Compare them per level with the solver benchmark (see solverBenchmark.js).
+ */
+
+import { clamp } from './utils.js';
+import { hasSwingingHook, snapHookPhase } from './hook.js';
+import { getStarsOut } from './objective.js';
+
+export const DEFAULT_OPTIMIZER = 'annealing';
+
+// Angle limits (degrees) for searched surfaces
+const MAX_SURFACE_ANGLE = 80;
+
+/**
+ * Where the first surface should go to catch the ball and send it towards
+ * the stars: below the ball, closer when the stars are far away or above it,
+ * tilted towards them. `random` picks within each range (0.5 = middle).
+ */
+export function placeFirstSurface(level, targets, random = Math.random) {
+    const avgTargetX = targets.reduce((sum, t) => sum + t.x, 0) / targets.length;
+    const avgTargetY = targets.reduce((sum, t) => sum + t.y, 0) / targets.length;
+    const ballX = level.ballStart.x;
+    const ballY = level.ballStart.y;
+    const horizontalDistToTarget = Math.abs(avgTargetX - ballX);
+
+    let interceptDistance;
+    if (horizontalDistToTarget > 400) {
+        interceptDistance = 80 + random() * 60;
+    } else if (horizontalDistToTarget > 200) {
+        interceptDistance = 120 + random() * 80;
+    } else {
+        interceptDistance = 150 + random() * 100;
+    }
+
+    if (avgTargetY < ballY) {
+        interceptDistance *= 0.6;
+    }
+
+    const directionToTarget = avgTargetX - ballX;
+    const angle = directionToTarget > 0
+        ? 10 + random() * 60
+        : -70 + random() * 60;
+
+    return { x: ballX, y: ballY + interceptDistance, angle };
+}
+
+/**
+ * The values a search can change, as a flat vector:
+ * [x, y, angle] per unlocked surface, then the release phase if the hook swings
+ */
+export class LayoutSpace {
+    constructor(level, scene, { mode = 'explore', userConfig = null } = {}) {
+        this.level = level;
+        // Stars still out, in the level's order (collected ones need no aiming
+        // at) - or every star, once there's nothing left to collect
+        const starsOut = getStarsOut(scene.targets);
+        this.targetIndices = starsOut.length > 0 ? starsOut : scene.targets.map((target, index) => index);
+        this.targets = this.targetIndices.map(index => scene.targets[index]);
+        this.mode = mode;
+        this.baseConfig = (mode === 'refine' && userConfig) ? userConfig : level.surfaces;
+        this.freeSurfaces = this.baseConfig
+            .map((surface, index) => (surface.locked ? null : index))
+            .filter(index => index !== null);
+        this.searchesRelease = hasSwingingHook(level);
+        this.dimensions = this.freeSurfaces.length * 3 + (this.searchesRelease ? 1 : 0);
+
+        this.bounds = [];
+        this.freeSurfaces.forEach(index => {
+            // Exploring keeps the first surface's centre no more than 20px above
+            // where the ball starts, as annealing does
+            const minY = mode === 'explore' && index === 0 ? level.ballStart.y - 20 : 0;
+            this.bounds.push(
+                { min: 0, max: scene.width },
+                { min: minY, max: scene.height },
+                { min: -MAX_SURFACE_ANGLE, max: MAX_SURFACE_ANGLE }
+            );
+        });
+        if (this.searchesRelease) this.bounds.push({ min: 0, max: 1, wraps: true });
+    }
+
+    /**
+     * Vector to start searching from: the player's layout when refining,
+     * otherwise the level's with the first surface placed to catch the ball
+     */
+    getStart() {
+        const config = this.baseConfig.map((surface, index) => {
+            if (this.mode === 'explore' && index === 0 && !surface.locked) {
+                return { ...surface, ...placeFirstSurface(this.level, this.targets, () => 0.5) };
+            }
+            return surface;
+        });
+        return this.encode(config, 0);
+    }
+
+    encode(config, releasePhase) {
+        const vector = this.freeSurfaces.flatMap(index => [config[index].x, config[index].y, config[index].angle]);
+        if (this.searchesRelease) vector.push(releasePhase ?? 0);
+        return vector;
+    }
+
+    /**
+     * Candidate for a vector - values outside the space are clamped (the
+     * release phase wraps round, to a whole frame)
+     */
+    decode(vector) {
+        const values = vector.map((value, i) => {
+            const { min, max, wraps } = this.bounds[i];
+            return wraps ? snapHookPhase(value) : clamp(value, min, max);
+        });
+        const config = this.baseConfig.map(surface => ({ ...surface, locked: !!surface.locked }));
+        this.freeSurfaces.forEach((index, i) => {
+            // Keep every other field (shape, material, motion, ...) from the base surface
+            config[index] = {
+                ...config[index],
+                x: values[i * 3],
+                y: values[i * 3 + 1],
+                angle: values[i * 3 + 2],
+                locked: false
+            };
+        });
+        return { config, releasePhase: this.searchesRelease ? values[values.length - 1] : null };
+    }
+
+    /**
+     * Vector scaled so every value spans 0-1 - the other strategies search
+     * in these units so pixels and degrees weigh the same
+     */
+    toUnit(vector) {
+        return vector.map((value, i) => (value - this.bounds[i].min) / (this.bounds[i].max - this.bounds[i].min));
+    }
+
+    fromUnit(unit) {
+        return unit.map((value, i) => this.bounds[i].min + value * (this.bounds[i].max - this.bounds[i].min));
+    }
+}
+
+/**
+ * Simulated annealing - the original solver's search. Explore starts hot
+ * (wide moves) and cools linearly; refine stays cool around the player's
+ * layout. Failed runs leave error vectors (ball's end → next star still out)
+ * that nudge later layouts as the search cools.
+ */
+export class AnnealingOptimizer {
+    constructor(space, { maxAttempts, random = Math.random }) {
+        this.space = space;
+        this.random = random;
+        this.maxAttempts = maxAttempts;
+        this.attempts = 0;
+        this.temperature = space.mode === 'refine' ? 0.2 : 1.0;
+        this.errorVectors = [];
+        this.bestScore = Infinity;
+        this.bestReleasePhase = null;
+        this.exhausted = false;
+    }
+
+    propose() {
+        // Cool down linearly in explore mode
+        if (this.space.mode === 'explore') {
+            this.temperature = Math.max(0, 1.0 - (this.attempts / this.maxAttempts));
+        }
+        this.attempts++;
+
+        const config = this.generateRandomConfig();
+        const releasePhase = this.space.searchesRelease ? snapHookPhase(this.generateReleasePhase()) : null;
+        return { config, releasePhase };
+    }
+
+    report(candidate, score, result) {
+        if (score < this.bestScore) {
+            this.bestScore = score;
+            this.bestReleasePhase = candidate.releasePhase;
+        }
+
+        // Track error vector for learning - from where the ball ended up to
+        // the next star (in the level's order) it didn't collect
+        const { targets, targetIndices } = this.space;
+        const nextTarget = targets.find((target, i) => !result.collectedTargets.includes(targetIndices[i]));
+        if (!result.success && result.trajectory.length > 0 && nextTarget) {
+            const ballFinalPos = result.trajectory[result.trajectory.length - 1];
+            this.errorVectors.push({
+                dx: nextTarget.x - ballFinalPos.x,
+                dy: nextTarget.y - ballFinalPos.y,
+                magnitude: Math.hypot(nextTarget.x - ballFinalPos.x, nextTarget.y - ballFinalPos.y)
+            });
+        }
+    }
+
+    /**
+     * Hook phase to release at: anywhere while hot, increasingly close to the
+     * best release so far as the search cools
+     */
+    generateReleasePhase() {
+        if (this.bestReleasePhase === null || this.random() < this.temperature) {
+            return this.random();
+        }
+        const phase = this.bestReleasePhase + (this.random() - 0.5) * 0.2;
+        return phase - Math.floor(phase);
+    }
+
+    generateRandomConfig() {
+        const { level, mode, baseConfig } = this.space;
+
+        // Error bias from recent failures
+        let errorBiasX = 0, errorBiasY = 0;
+        if (this.errorVectors.length > 0) {
+            const recentErrors = this.errorVectors.slice(-10);
+            errorBiasX = recentErrors.reduce((sum, e) => sum + e.dx, 0) / recentErrors.length;
+            errorBiasY = recentErrors.reduce((sum, e) => sum + e.dy, 0) / recentErrors.length;
+            const biasStrength = 0.3 * (1 - this.temperature);
+            errorBiasX *= biasStrength;
+            errorBiasY *= biasStrength;
+        }
+
+        // Temperature-based variation
+        const posVariation = 30 + this.temperature * 170;
+        const angleVariation = 15 + this.temperature * 65;
+        const avgTargetX = this.space.targets.reduce((sum, t) => sum + t.x, 0) / this.space.targets.length;
+
+        return baseConfig.map((surface, index) => {
+            if (surface.locked) {
+                return { ...surface, locked: true };
+            }
+
+            let baseX, baseY, baseAngle;
+
+            if (mode === 'explore') {
+                if (index === 0) {
+                    // First surface: smart placement
+                    ({ x: baseX, y: baseY, angle: baseAngle } = placeFirstSurface(level, this.space.targets, this.random));
+                } else {
+                    baseX = surface.x;
+                    baseY = surface.y;
+                    const directionToTarget = avgTargetX - baseX;
+                    if (Math.abs(directionToTarget) < 50) {
+                        baseAngle = surface.angle;
+                    } else {
+                        baseAngle = directionToTarget > 0 ? 30 : -30;
+                    }
+                }
+            } else {
+                baseX = surface.x;
+                baseY = surface.y;
+                baseAngle = surface.angle;
+            }
+
+            // Apply variation
+            const xVar = (this.random() - 0.5) * posVariation * 2;
+            const yVar = (this.random() - 0.5) * posVariation * 2;
+            const angleVar = (this.random() - 0.5) * angleVariation * 2;
+
+            let finalX = baseX + xVar + errorBiasX;
+            let finalY = baseY + yVar + errorBiasY;
+            const finalAngle = baseAngle + angleVar;
+
+            // CONSTRAINT: First surface below ball
+            if (mode === 'explore' && index === 0) {
+                finalY = Math.max(level.ballStart.y - 20, finalY);
+            }
+
+            // Keep every other field (shape, material, motion, ...) from the base surface
+            return {
+                ...surface,
+                x: finalX,
+                y: finalY,
+                angle: finalAngle,
+                locked: false
+            };
+        });
+    }
+}
+
+/**
+ * CMA-ES (covariance matrix adaptation) in unit space. Each generation
+ * samples `lambda` layouts around the mean; the best half pull the mean
+ * along, stretch the covariance in directions that paid off, and grow or
+ * shrink the step size depending on how far the mean keeps travelling.
+ */
+export class CmaesOptimizer {
+    constructor(space, { maxAttempts, random = Math.random }) {
+        this.space = space;
+        this.random = random;
+        this.maxAttempts = maxAttempts;
+        const n = space.dimensions;
+        this.n = n;
+
+        this.mean = space.toUnit(space.getStart());
+        this.initialSigma = space.mode === 'refine' ? 0.05 : 0.25;
+        this.sigma = this.initialSigma;
+
+        // Standard strategy parameters (Hansen's defaults)
+        this.lambda = 4 + Math.floor(3 * Math.log(Math.max(n, 1)));
+        this.mu = Math.floor(this.lambda / 2);
+        const rawWeights = Array.from({ length: this.mu }, (_, i) => Math.log(this.mu + 0.5) - Math.log(i + 1));
+        const weightSum = rawWeights.reduce((sum, w) => sum + w, 0);
+        this.weights = rawWeights.map(w => w / weightSum);
+        this.mueff = 1 / this.weights.reduce((sum, w) => sum + w * w, 0);
+        this.cc = (4 + this.mueff / n) / (n + 4 + 2 * this.mueff / n);
+        this.cs = (this.mueff + 2) / (n + this.mueff + 5);
+        this.c1 = 2 / ((n + 1.3) ** 2 + this.mueff);
+        this.cmu = Math.min(1 - this.c1, 2 * (this.mueff - 2 + 1 / this.mueff) / ((n + 2) ** 2 + this.mueff));
+        this.damps = 1 + 2 * Math.max(0, Math.sqrt((this.mueff - 1) / (n + 1)) - 1) + this.cs;
+        this.chiN = Math.sqrt(n) * (1 - 1 / (4 * n) + 1 / (21 * n * n));
+
+        // Evolution paths and covariance C = B·diag(D²)·Bᵀ
+        this.pc = new Array(n).fill(0);
+        this.ps = new Array(n).fill(0);
+        this.C = identity(n);
+        this.B = identity(n);
+        this.D = new Array(n).fill(1);
+
+        this.attempts = 0;
+        this.generation = 0;
+        this.pending = []; // Samples of this generation not yet proposed
+        this.evaluated = []; // { step, score } of this generation
+        this.temperature = 1.0;
+        this.exhausted = false;
+    }
+
+    propose() {
+        if (this.pending.length === 0 && this.evaluated.length === 0) this.sampleGeneration();
+        this.attempts++;
+        const sample = this.pending.shift();
+        const candidate = this.space.decode(this.space.fromUnit(sample.point));
+        candidate.sample = sample;
+        return candidate;
+    }
+
+    report(candidate, score) {
+        this.evaluated.push({ step: candidate.sample.step, score });
+        if (this.evaluated.length === this.lambda) this.updateDistribution();
+    }
+
+    sampleGeneration() {
+        for (let k = 0; k < this.lambda; k++) {
+            const z = Array.from({ length: this.n }, () => randomNormal(this.random));
+            const step = multiply(this.B, z.map((value, i) => value * this.D[i])); // y ~ N(0, C)
+            const point = this.mean.map((m, i) => m + this.sigma * step[i]);
+            this.pending.push({ step, point });
+        }
+    }
+
+    updateDistribution() {
+        const { n, weights, mueff, cc, cs, c1, cmu } = this;
+        const ranked = [...this.evaluated].sort((a, b) => a.score - b.score).slice(0, this.mu);
+        this.evaluated = [];
+        this.generation++;
+
+        // Weighted mean step of the best samples moves the mean
+        const meanStep = new Array(n).fill(0);
+        ranked.forEach(({ step }, r) => step.forEach((value, i) => { meanStep[i] += weights[r] * value; }));
+        this.mean = this.mean.map((m, i) => m + this.sigma * meanStep[i]);
+
+        // Step-size path uses C^(-1/2)·meanStep = B·D⁻¹·Bᵀ·meanStep
+        const whitened = multiply(this.B, multiply(transpose(this.B), meanStep).map((value, i) => value / this.D[i]));
+        const psScale = Math.sqrt(cs * (2 - cs) * mueff);
+        this.ps = this.ps.map((value, i) => (1 - cs) * value + psScale * whitened[i]);
+        const psNorm = Math.hypot(...this.ps);
+        const hsig = psNorm / Math.sqrt(1 - (1 - cs) ** (2 * this.generation)) / this.chiN < 1.4 + 2 / (n + 1) ? 1 : 0;
+
+        const pcScale = Math.sqrt(cc * (2 - cc) * mueff);
+        this.pc = this.pc.map((value, i) => (1 - cc) * value + hsig * pcScale * meanStep[i]);
+
+        // Rank-one (evolution path) and rank-mu (best samples) covariance updates
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                const rankOne = this.pc[i] * this.pc[j] + (1 - hsig) * cc * (2 - cc) * this.C[i][j];
+                const rankMu = ranked.reduce((sum, { step }, r) => sum + weights[r] * step[i] * step[j], 0);
+                this.C[i][j] = (1 - c1 - cmu) * this.C[i][j] + c1 * rankOne + cmu * rankMu;
+            }
+        }
+
+        this.sigma *= Math.exp((cs / this.damps) * (psNorm / this.chiN - 1));
+        this.sigma = Math.min(this.sigma, 1); // A unit-space step beyond the whole space is no use
+
+        const { values, vectors } = symmetricEigen(this.C);
+        this.B = vectors;
+        this.D = values.map(value => Math.sqrt(Math.max(value, 1e-12)));
+        // Narrower of the budget left and the spread left
+        const spread = this.sigma * Math.max(...this.D) / this.initialSigma;
+        this.temperature = clamp(Math.min(spread, 1 - this.attempts / this.maxAttempts), 0, 1);
+    }
+}
+
+/**
+ * Genetic algorithm in unit space. The first generation scatters around the
+ * starting layout; each later one keeps the two best and fills up with
+ * children of tournament winners, mutated less as the budget runs out.
+ */
+export class GeneticOptimizer {
+    constructor(space, { maxAttempts, random = Math.random }) {
+        this.space = space;
+        this.random = random;
+        this.maxAttempts = maxAttempts;
+        this.attempts = 0;
+        this.populationSize = 16;
+        this.eliteCount = 2;
+        this.mutationRate = 0.25;
+        this.mutationScale = space.mode === 'refine' ? 0.03 : 0.12;
+
+        const start = space.toUnit(space.getStart());
+        const spread = space.mode === 'refine' ? 0.05 : 0.3;
+        // Explore also tries some layouts from anywhere in the space
+        this.pending = Array.from({ length: this.populationSize }, (_, k) => {
+            if (k === 0) return start;
+            if (space.mode === 'explore' && k % 2 === 0) return start.map(() => random());
+            return start.map(value => value + randomNormal(random) * spread);
+        });
+        this.population = []; // { genes, score } evaluated this generation
+        this.temperature = 1.0;
+        this.exhausted = false;
+    }
+
+    propose() {
+        if (this.pending.length === 0) this.breed();
+        this.attempts++;
+        this.temperature = Math.max(0, 1 - this.attempts / this.maxAttempts);
+
+        const genes = this.pending.shift();
+        const candidate = this.space.decode(this.space.fromUnit(genes));
+        candidate.genes = genes;
+        return candidate;
+    }
+
+    report(candidate, score) {
+        this.population.push({ genes: candidate.genes, score });
+    }
+
+    breed() {
+        const ranked = [...this.population].sort((a, b) => a.score - b.score);
+        const elites = ranked.slice(0, this.eliteCount);
+        const scale = this.mutationScale * (0.25 + 0.75 * this.temperature);
+
+        for (let k = elites.length; k < this.populationSize; k++) {
+            const a = tournament(ranked, this.random);
+            const b = tournament(ranked, this.random);
+            this.pending.push(a.genes.map((gene, i) => {
+                const inherited = this.random() < 0.5 ? gene : b.genes[i];
+                return this.random() < this.mutationRate ? inherited + randomNormal(this.random) * scale : inherited;
+            }));
+        }
+
+        // Elites carry over with their scores rather than being simulated again
+        this.population = elites;
+    }
+}
+
+/**
+ * Coarse grid sweep - splits every free value into the same number of
+ * steps (as many as the attempt budget affords, at least two) and tries the
+ * centre of each cell. Cells are visited in a scattered order, so a sweep cut
+ * short by the budget still covers the whole space. Refining sweeps a window
+ * around the player's layout instead of the whole level.
+ */
+export class GridOptimizer {
+    constructor(space, { maxAttempts }) {
+        this.space = space;
+        const n = space.dimensions;
+        this.steps = Math.max(2, Math.floor(maxAttempts ** (1 / Math.max(n, 1))));
+        this.total = this.steps ** n;
+        this.sweepLength = Math.min(this.total, maxAttempts);
+        this.stride = coprimeStride(this.total);
+        this.visited = 0;
+
+        const start = space.encode(space.baseConfig, 0.5);
+        this.ranges = space.bounds.map((bound, i) => {
+            if (space.mode !== 'refine' || bound.wraps) return bound;
+            const window = i % 3 === 2 ? 30 : 100; // ±30° or ±100px
+            return {
+                min: Math.max(bound.min, start[i] - window),
+                max: Math.min(bound.max, start[i] + window)
+            };
+        });
+        this.temperature = 1.0;
+        this.exhausted = false;
+    }
+
+    propose() {
+        let cell = (this.visited * this.stride) % this.total;
+        this.visited++;
+        this.temperature = Math.max(0, 1 - this.visited / this.sweepLength);
+        this.exhausted = this.visited >= this.total;
+
+        const vector = this.ranges.map(({ min, max }) => {
+            const step = cell % this.steps;
+            cell = Math.floor(cell / this.steps);
+            return min + ((step + 0.5) / this.steps) * (max - min);
+        });
+        return this.space.decode(vector);
+    }
+
+    report() {}
+}
+
+export const OPTIMIZERS = {
+    annealing: AnnealingOptimizer,
+    cmaes: CmaesOptimizer,
+    genetic: GeneticOptimizer,
+    grid: GridOptimizer
+};
+
+/**
+ * Create a strategy by name (see OPTIMIZERS) for a LayoutSpace. Options:
+ * maxAttempts, and `random` - where its random numbers come from (default
+ * Math.random; pass a seeded one, see createRandom in utils.js, to repeat a
+ * search exactly)
+ */
+export function createOptimizer(name, space, options) {
+    const Optimizer = OPTIMIZERS[name];
+    if (!Optimizer) {
+        throw new Error(`Unknown solver optimizer: ${name}`);
+    }
+    return new Optimizer(space, options);
+}
+
+// Standard normal sample (Box-Muller)
+function randomNormal(random) {
+    return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+// Best of three random members of a ranked population
+function tournament(ranked, random) {
+    let winner = null;
+    for (let k = 0; k < 3; k++) {
+        const entrant = ranked[Math.floor(random() * ranked.length)];
+        if (!winner || entrant.score < winner.score) winner = entrant;
+    }
+    return winner;
+}
+
+// Step near the golden ratio of `total` sharing no factor with it, so
+// (i * stride) % total visits every cell once
+function coprimeStride(total) {
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    let stride = Math.max(1, Math.round(total * 0.618));
+    while (gcd(stride, total) !== 1) stride++;
+    return stride;
+}
+
+function identity(n) {
+    return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+}
+
+function transpose(matrix) {
+    return matrix[0] ? matrix[0].map((_, j) => matrix.map(row => row[j])) : [];
+}
+
+function multiply(matrix, vector) {
+    return matrix.map(row => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+}
+
+/**
+ * Eigen decomposition of a small symmetric matrix (cyclic Jacobi rotations).
+ * Returns { values, vectors } with the eigenvectors as columns.
+ */
+function symmetricEigen(matrix) {
+    const n = matrix.length;
+    const a = matrix.map(row => [...row]);
+    const vectors = identity(n);
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+        }
+        if (offDiagonal < 1e-20) break;
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (Math.abs(a[p][q]) < 1e-30) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = vectors[k][p];
+                    const vkq = vectors[k][q];
+                    vectors[k][p] = c * vkp - s * vkq;
+                    vectors[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    return { values: a.map((row, i) => row[i]), vectors };
+}
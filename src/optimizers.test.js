@@ -0,0 +1,113 @@
+/**
+ * Unit tests for the solver's search strategies
+ */
+
+import { describe, it, expect } from 'vitest';
+import { LayoutSpace, OPTIMIZERS, createOptimizer, placeFirstSurface } from './optimizers.js';
+import { createRandom } from './utils.js';
+
+const scene = { width: 800, height: 600, targets: [{ x: 650, y: 350 }] };
+
+function createLevel(overrides = {}) {
+    return {
+        id: 1,
+        ballStart: { x: 150, y: 100 },
+        surfaces: [
+            { x: 400, y: 450, width: 300, angle: 20, locked: false, material: 'rubber' },
+            { x: 600, y: 300, width: 100, angle: 0, locked: true }
+        ],
+        ...overrides
+    };
+}
+
+describe('LayoutSpace', () => {
+    it('should search only unlocked surfaces and keep their other fields', () => {
+        const space = new LayoutSpace(createLevel(), scene);
+        expect(space.dimensions).toBe(3);
+
+        const { config, releasePhase } = space.decode([100, 500, 30]);
+        expect(config[0]).toMatchObject({ x: 100, y: 500, angle: 30, material: 'rubber', locked: false });
+        expect(config[1]).toMatchObject({ x: 600, y: 300, locked: true });
+        expect(releasePhase).toBeNull();
+    });
+
+    it('should clamp surfaces into the level and wrap the release phase', () => {
+        const space = new LayoutSpace(createLevel({ id: 16 }), scene);
+        expect(space.dimensions).toBe(4);
+
+        const { config, releasePhase } = space.decode([-50, 0, 200, 1.25]);
+        expect(config[0].x).toBe(0);
+        expect(config[0].y).toBe(80); // Explore keeps the first surface at most 20px above the ball
+        expect(config[0].angle).toBe(80);
+        expect(releasePhase).toBeCloseTo(0.25);
+    });
+
+    it('should start refining from the player\'s layout', () => {
+        const userConfig = [{ ...createLevel().surfaces[0], x: 222, y: 333, angle: -10 }, createLevel().surfaces[1]];
+        const space = new LayoutSpace(createLevel(), scene, { mode: 'refine', userConfig });
+        expect(space.getStart()).toEqual([222, 333, -10]);
+        expect(space.fromUnit(space.toUnit([222, 333, -10]))).toEqual([222, 333, -10].map(value => expect.closeTo(value)));
+    });
+});
+
+describe('placeFirstSurface', () => {
+    it('should catch the ball below it, tilted towards the stars', () => {
+        const placement = placeFirstSurface(createLevel(), scene.targets, () => 0.5);
+        expect(placement.x).toBe(150);
+        expect(placement.y).toBeGreaterThan(100);
+        expect(placement.angle).toBeGreaterThan(0);
+    });
+});
+
+describe('optimizers', () => {
+    // Stand-in for the simulation: how far the first surface is from a spot
+    const goal = { x: 500, y: 400, angle: -30 };
+    const score = ({ config }) => Math.hypot(config[0].x - goal.x, config[0].y - goal.y, (config[0].angle - goal.angle) * 3);
+    const result = { success: false, trajectory: [{ x: 0, y: 0 }], collectedTargets: [] };
+
+    // Seeded, so a search that closes in does so every run
+    function search(name, attempts) {
+        const optimizer = createOptimizer(name, new LayoutSpace(createLevel(), scene), {
+            maxAttempts: attempts,
+            random: createRandom(1)
+        });
+        let best = Infinity;
+        for (let i = 0; i < attempts && !optimizer.exhausted; i++) {
+            const candidate = optimizer.propose();
+            expect(candidate.config).toHaveLength(2);
+            expect(candidate.config[1].locked).toBe(true);
+            const distance = score(candidate);
+            optimizer.report(candidate, distance, result);
+            best = Math.min(best, distance);
+        }
+        return { optimizer, best };
+    }
+
+    it.each(Object.keys(OPTIMIZERS))('%s should propose layouts and narrow its search', name => {
+        const { optimizer } = search(name, 60);
+        expect(optimizer.temperature).toBeLessThan(1);
+    });
+
+    it('CMA-ES should close in on the best layout', () => {
+        expect(search('cmaes', 200).best).toBeLessThan(15);
+    });
+
+    it('genetic should close in on the best layout', () => {
+        expect(search('genetic', 200).best).toBeLessThan(40);
+    });
+
+    it('grid should visit every cell once and then stop', () => {
+        const optimizer = createOptimizer('grid', new LayoutSpace(createLevel(), scene), { maxAttempts: 30 });
+        const seen = new Set();
+        while (!optimizer.exhausted) {
+            const { config } = optimizer.propose();
+            seen.add(`${config[0].x},${config[0].y},${config[0].angle}`);
+        }
+        expect(optimizer.steps).toBe(3);
+        expect(seen.size).toBe(27);
+    });
+
+    it('should reject unknown strategies', () => {
+        expect(() => createOptimizer('hill-climb', new LayoutSpace(createLevel(), scene), {})).toThrow('Unknown solver optimizer');
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Per-level physics settings for BounceFlow
+ *
+ * A level's optional `physics` block overrides any of the defaults below.
+ * PhysicsManager, LevelManager (ball) and the solver all read settings
+ * through getPhysicsSettings(), so live play and hints share one source.
+ *
+ * physics: {
+ *     gravity: 0.1,        // strength (0.5 = normal)
+ *     gravityAngle: 90,    // direction in degrees (90 = down, 270 = up, 0 = right)
+ *     airDrag: 0.03,       // Matter frictionAir for the ball (0 = none, water ~0.03)
+ *     ballRadius: 20,      // px
+ *     wallBounce: 0        // restitution floor for walls; a contact uses
+ *                          // max(ball, wall), so 0 leaves it to the ball
+ * }
+ */
+
+import Matter from 'matter-js';
+import { degToRad } from './utils.js';
+
+export const DEFAULT_PHYSICS = {
+    gravity: 0.5,
+    gravityAngle: 90,
+    airDrag: 0,
+    ballRadius: 20,
+    wallBounce: 0
+};
+
+// Matter.js gravity scale - zone and gravity strengths are in these units
+export const GRAVITY_SCALE = 0.001;
+
+/**
+ * Resolve the physics settings for a level (defaults for anything unset)
+ */
+export function getPhysicsSettings(level) {
+    const overrides = (level && level.physics) || {};
+
+    Object.keys(overrides).forEach(key => {
+        if (!(key in DEFAULT_PHYSICS)) {
+            throw new Error(`Unknown physics setting: ${key}`);
+        }
+        if (typeof overrides[key] !== 'number' || !isFinite(overrides[key])) {
+            throw new Error(`Physics setting ${key} must be a number`);
+        }
+    });
+
+    const settings = { ...DEFAULT_PHYSICS, ...overrides };
+    if (!(settings.ballRadius > 0)) {
+        throw new Error(`Ball radius must be positive, got ${settings.ballRadius}`);
+    }
+    return settings;
+}
+
+/**
+ * Gravity as an { x, y } vector (tiny float noise snapped to 0 so that
+ * straight-down gravity stays exactly vertical)
+ */
+export function getGravityVector(settings) {
+    const angle = degToRad(settings.gravityAngle);
+    const snap = value => (Math.abs(value) < 1e-9 ? 0 : value);
+    return {
+        x: snap(Math.cos(angle) * settings.gravity),
+        y: snap(Math.sin(angle) * settings.gravity)
+    };
+}
+
+/**
+ * Set a Matter world's gravity from settings
+ */
+export function applyWorldPhysics(world, settings) {
+    const gravity = getGravityVector(settings);
+    world.gravity.x = gravity.x;
+    world.gravity.y = gravity.y;
+    world.gravity.scale = GRAVITY_SCALE;
+}
+
+/**
+ * Boundary walls just outside a width x height area
+ */
+export function createWalls(width, height, settings) {
+    const wallOptions = { isStatic: true };
+    const walls = [
+        Matter.Bodies.rectangle(width / 2, -25, width, 50, wallOptions), // Top
+        Matter.Bodies.rectangle(width / 2, height + 25, width, 50, wallOptions), // Bottom
+        Matter.Bodies.rectangle(-25, height / 2, 50, height, wallOptions), // Left
+        Matter.Bodies.rectangle(width + 25, height / 2, 50, height, wallOptions) // Right
+    ];
+
+    // Matter resets restitution when it makes a body static, so set it afterwards
+    walls.forEach(wall => {
+        wall.restitution = settings.wallBounce;
+    });
+
+    return walls;
+}
@@ -0,0 +1,64 @@
+/**
+ * Unit tests for per-level physics settings
+ */
+
+import { describe, it, expect } from 'vitest';
+import Matter from 'matter-js';
+import {
+    DEFAULT_PHYSICS,
+    getPhysicsSettings,
+    getGravityVector,
+    applyWorldPhysics,
+    createWalls
+} from './physicsSettings.js';
+
+describe('getPhysicsSettings', () => {
+    it('should use defaults for levels without a physics block', () => {
+        expect(getPhysicsSettings({})).toEqual(DEFAULT_PHYSICS);
+        expect(getPhysicsSettings(null)).toEqual(DEFAULT_PHYSICS);
+    });
+
+    it('should override only the given settings', () => {
+        const settings = getPhysicsSettings({ physics: { gravity: 0.1, airDrag: 0.03 } });
+        expect(settings.gravity).toBe(0.1);
+        expect(settings.airDrag).toBe(0.03);
+        expect(settings.ballRadius).toBe(DEFAULT_PHYSICS.ballRadius);
+    });
+
+    it('should reject unknown or invalid settings', () => {
+        expect(() => getPhysicsSettings({ physics: { gravty: 0.1 } })).toThrow();
+        expect(() => getPhysicsSettings({ physics: { gravity: '0.1' } })).toThrow();
+        expect(() => getPhysicsSettings({ physics: { ballRadius: 0 } })).toThrow();
+    });
+});
+
+describe('gravity', () => {
+    it('should point straight down by default', () => {
+        expect(getGravityVector(DEFAULT_PHYSICS)).toEqual({ x: 0, y: 0.5 });
+    });
+
+    it('should follow the gravity angle', () => {
+        const gravity = getGravityVector({ gravity: 0.2, gravityAngle: 270 });
+        expect(gravity.x).toBe(0);
+        expect(gravity.y).toBeCloseTo(-0.2);
+    });
+
+    it('should configure a Matter world', () => {
+        const engine = Matter.Engine.create();
+        applyWorldPhysics(engine.world, { ...DEFAULT_PHYSICS, gravity: 0.1, gravityAngle: 0 });
+        expect(engine.world.gravity.x).toBeCloseTo(0.1);
+        expect(engine.world.gravity.y).toBe(0);
+        expect(engine.world.gravity.scale).toBe(0.001);
+    });
+});
+
+describe('createWalls', () => {
+    it('should give static walls the configured bounce', () => {
+        const walls = createWalls(800, 600, { ...DEFAULT_PHYSICS, wallBounce: 0.7 });
+        expect(walls).toHaveLength(4);
+        walls.forEach(wall => {
+            expect(wall.isStatic).toBe(true);
+            expect(wall.restitution).toBe(0.7);
+        });
+    });
+});
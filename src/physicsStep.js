@@ -0,0 +1,55 @@
+/**
+ * Fixed-timestep physics stepping for BounceFlow
+ *
+ * Matter.js only checks for contacts at the end of each step, so a ball
+ * covering more than a surface's thickness in one 60Hz frame can pass
+ * straight through it (tunnelling). stepEngine() splits a frame into
+ * substeps so no moving body travels more than MAX_STEP_TRAVEL px per step.
+ *
+ * After a substep, body.velocity holds that substep's movement - read
+ * velocities with Matter.Body.getVelocity(), which is always px per frame
+ * (the units Matter.Body.setVelocity() expects).
+ *
+ * Anything kinematic (moving surfaces, flippers) and per-step forces (force
+ * zones - Matter clears forces after every step) must be updated before each
+ * substep, so stepEngine() calls `beforeSubstep(stepMs)` first.
+ * PhysicsManager and the solver both step through here, so hints see the
+ * same substeps as real play.
+ */
+
+import Matter from 'matter-js';
+
+// One game frame (60Hz)
+export const FIXED_TIME_STEP = 1000 / 60;
+// Half a surface's thickness - a ball can't skip past a bar in one substep
+export const MAX_STEP_TRAVEL = 10;
+// Enough for the ball's velocity cap (100 px/frame)
+export const MAX_SUBSTEPS = 10;
+
+/**
+ * Substeps needed this frame for the fastest of the given bodies. Matter
+ * velocities are in px per 60Hz frame.
+ */
+export function getSubstepCount(bodies) {
+    const fastest = bodies.reduce((max, body) => {
+        if (body.isStatic) return max;
+        const velocity = Matter.Body.getVelocity(body);
+        return Math.max(max, Math.hypot(velocity.x, velocity.y));
+    }, 0);
+    return Math.min(MAX_SUBSTEPS, Math.max(1, Math.ceil(fastest / MAX_STEP_TRAVEL)));
+}
+
+/**
+ * Advance an engine by one frame, in as many substeps as `bodies` need.
+ * Returns the number of substeps taken.
+ */
+export function stepEngine(engine, bodies, beforeSubstep = () => {}) {
+    const substeps = getSubstepCount(bodies);
+    const stepMs = FIXED_TIME_STEP / substeps;
+
+    for (let i = 0; i < substeps; i++) {
+        beforeSubstep(stepMs);
+        Matter.Engine.update(engine, stepMs);
+    }
+    return substeps;
+}
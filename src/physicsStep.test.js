@@ -0,0 +1,73 @@
+/**
+ * Unit tests for substepped physics stepping
+ */
+
+import { describe, it, expect } from 'vitest';
+import Matter from 'matter-js';
+import { getSubstepCount, stepEngine, FIXED_TIME_STEP, MAX_SUBSTEPS } from './physicsStep.js';
+
+function createBall(velocity) {
+    const body = Matter.Bodies.circle(400, 100, 20);
+    Matter.Body.setVelocity(body, velocity);
+    return body;
+}
+
+describe('getSubstepCount', () => {
+    it('should take one step for slow balls and more for fast ones', () => {
+        expect(getSubstepCount([createBall({ x: 3, y: 4 })])).toBe(1);
+        expect(getSubstepCount([createBall({ x: 0, y: 25 })])).toBe(3);
+        expect(getSubstepCount([createBall({ x: 0, y: 500 })])).toBe(MAX_SUBSTEPS);
+    });
+
+    it('should keep counting in px per frame after a substepped frame', () => {
+        const engine = Matter.Engine.create();
+        engine.gravity.y = 0;
+        const ball = createBall({ x: 0, y: 45 });
+        Matter.Composite.add(engine.world, ball);
+
+        expect(stepEngine(engine, [ball])).toBe(5);
+        expect(getSubstepCount([ball])).toBe(5); // body.velocity alone would say 1
+        expect(Matter.Body.getVelocity(ball).y).toBeCloseTo(45, 0); // Less a little air drag
+    });
+
+    it('should ignore static bodies', () => {
+        const wall = Matter.Bodies.rectangle(0, 0, 10, 10, { isStatic: true });
+        Matter.Body.setVelocity(wall, { x: 80, y: 0 });
+        expect(getSubstepCount([wall])).toBe(1);
+    });
+});
+
+describe('stepEngine', () => {
+    // A ball moving 90 px per frame at a 20px-thick bar 40px below it
+    function fireAtBar(step) {
+        const engine = Matter.Engine.create();
+        engine.gravity.y = 0;
+        const bar = Matter.Bodies.rectangle(400, 160, 300, 20, { isStatic: true });
+        const ball = Matter.Bodies.circle(400, 100, 15, { restitution: 1, friction: 0, frictionAir: 0 });
+        Matter.Composite.add(engine.world, [bar, ball]);
+        Matter.Body.setVelocity(ball, { x: 0, y: 90 });
+
+        for (let i = 0; i < 3; i++) step(engine, ball);
+        return ball;
+    }
+
+    it('should stop a fast ball tunnelling through a thin surface', () => {
+        const plain = fireAtBar(engine => Matter.Engine.update(engine, FIXED_TIME_STEP));
+        expect(plain.position.y).toBeGreaterThan(160); // Went straight through
+
+        const substepped = fireAtBar((engine, ball) => stepEngine(engine, [ball]));
+        expect(substepped.position.y).toBeLessThan(160); // Bounced back off the top
+        expect(substepped.velocity.y).toBeLessThan(0);
+    });
+
+    it('should call beforeSubstep with each substep length', () => {
+        const engine = Matter.Engine.create();
+        const ball = createBall({ x: 0, y: 35 });
+        Matter.Composite.add(engine.world, ball);
+        const steps = [];
+
+        expect(stepEngine(engine, [ball], stepMs => steps.push(stepMs))).toBe(4);
+        expect(steps).toHaveLength(4);
+        expect(steps.reduce((sum, ms) => sum + ms, 0)).toBeCloseTo(FIXED_TIME_STEP);
+    });
+});
@@ -0,0 +1,248 @@
+/**
+ * Pinball parts for BounceFlow - active bumpers and player-fired flippers
+ *
+ * Levels list them in `bumpers` and `flippers`:
+ * bumpers: [{ x: 480, y: 170, radius: 24, strength: 8 }]
+ * flippers: [{ x: 250, y: 540, length: 90, side: 'left' }]
+ *
+ * - bumper: a round post that kicks the ball away from its centre, adding
+ *   `strength` px per frame on top of the bounce
+ * - flipper: a bar hinged at (x, y) that the player swings up while the ball
+ *   is in play - Z / the left half of the screen fires left flippers, M / the
+ *   right half fires right ones. A left flipper points right from its hinge.
+ *
+ * Flippers are kinematic: they're moved with applyPose() and carry their
+ * swing velocity into the ball. The solver can't know when the player will
+ * flip, so it plans with flippers at rest and real bumper kicks.
+ */
+
+import Matter from 'matter-js';
+import { applyPose } from './surfaceMotion.js';
+import { degToRad } from './utils.js';
+
+export const FLIPPER_SIDES = ['left', 'right'];
+export const FLIPPER_KEYS = { z: 'left', Z: 'left', m: 'right', M: 'right' };
+
+const FLIPPER_THICKNESS = 16;
+// Bar angle at rest and fully up (degrees, 0 = pointing right)
+const FLIPPER_ANGLES = {
+    left: { rest: 30, up: -30 },
+    right: { rest: 150, up: 210 }
+};
+// Degrees per physics step - flippers snap up and fall back more slowly
+const FLIPPER_UP_SPEED = 15;
+const FLIPPER_DOWN_SPEED = 6;
+
+const BUMPER_FLASH_DURATION = 150; // ms
+
+export class Bumper {
+    constructor({ x, y, radius = 24, strength = 8 }) {
+        if (!(radius > 0)) {
+            throw new Error('Bumpers need a positive radius');
+        }
+        if (!(strength > 0)) {
+            throw new Error('Bumpers need a positive strength');
+        }
+
+        this.x = x;
+        this.y = y;
+        this.radius = radius;
+        this.strength = strength;
+        this.body = null; // Set by whoever adds the bumper to a world
+        this.reset();
+    }
+
+    reset() {
+        this.hitCount = 0;
+        this.lastHitTime = -Infinity;
+    }
+
+    /**
+     * Register a kick (time is only used for the flash)
+     */
+    hit(time = Date.now()) {
+        this.hitCount++;
+        this.lastHitTime = time;
+    }
+
+    render(ctx) {
+        const flash = Math.max(0, 1 - (Date.now() - this.lastHitTime) / BUMPER_FLASH_DURATION);
+
+        ctx.save();
+
+        // Glow while lit
+        if (flash > 0) {
+            ctx.fillStyle = `rgba(255, 230, 109, ${0.5 * flash})`;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.radius * (1.2 + 0.3 * flash), 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Rubber ring, cap and centre dot
+        ctx.fillStyle = '#FF6B6B';
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = flash > 0 ? '#FFE66D' : '#FFFFFF';
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius * 0.7, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#FF6B6B';
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius * 0.25, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.restore();
+    }
+}
+
+export class Flipper {
+    constructor({ x, y, length = 90, side = 'left' }) {
+        if (!FLIPPER_SIDES.includes(side)) {
+            throw new Error(`Unknown flipper side: ${side}`);
+        }
+        if (!(length > 0)) {
+            throw new Error('Flippers need a positive length');
+        }
+
+        this.x = x;
+        this.y = y;
+        this.length = length;
+        this.side = side;
+        this.restAngle = FLIPPER_ANGLES[side].rest;
+        this.upAngle = FLIPPER_ANGLES[side].up;
+        this.body = null; // Set by whoever adds the flipper to a world
+        this.reset();
+    }
+
+    reset() {
+        this.active = false;
+        this.fireCount = 0;
+        this.angle = this.restAngle;
+        if (this.body) applyPose(this.body, this.getPose());
+    }
+
+    /**
+     * Hold the flipper up (true) or let it fall back (false)
+     */
+    setActive(active) {
+        if (active && !this.active) this.fireCount++;
+        this.active = active;
+    }
+
+    /**
+     * Swing one physics step (or `fraction` of one, for substeps) towards up
+     * or rest, carrying the swing into the body
+     */
+    step(fraction = 1) {
+        const target = this.active ? this.upAngle : this.restAngle;
+        const speed = (this.active ? FLIPPER_UP_SPEED : FLIPPER_DOWN_SPEED) * fraction;
+        const difference = target - this.angle;
+        this.angle += Math.sign(difference) * Math.min(Math.abs(difference), speed);
+        if (this.body) applyPose(this.body, this.getPose(), true);
+    }
+
+    /**
+     * Jump straight to an angle (replay), without any swing velocity
+     */
+    setAngle(angle) {
+        this.angle = angle;
+        if (this.body) applyPose(this.body, this.getPose());
+    }
+
+    /**
+     * Pose of the bar's centre ({ x, y, angle } in degrees)
+     */
+    getPose(angle = this.angle) {
+        const rad = degToRad(angle);
+        return {
+            x: this.x + Math.cos(rad) * this.length / 2,
+            y: this.y + Math.sin(rad) * this.length / 2,
+            angle
+        };
+    }
+
+    render(ctx) {
+        const rad = degToRad(this.angle);
+
+        ctx.save();
+        ctx.lineCap = 'round';
+        ctx.strokeStyle = this.active ? '#FFE66D' : '#4ECDC4';
+        ctx.lineWidth = FLIPPER_THICKNESS;
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y);
+        ctx.lineTo(this.x + Math.cos(rad) * this.length, this.y + Math.sin(rad) * this.length);
+        ctx.stroke();
+
+        // Hinge pin
+        ctx.fillStyle = '#2D2D2D';
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+}
+
+/**
+ * Build a bumper / flipper from a level definition
+ */
+export function createBumper(definition) {
+    if (definition instanceof Bumper) return definition;
+    return new Bumper(definition);
+}
+
+export function createFlipper(definition) {
+    if (definition instanceof Flipper) return definition;
+    return new Flipper(definition);
+}
+
+/**
+ * Static Matter body for a bumper (plugin.bumper holds its strength)
+ */
+export function createBumperBody(bumper) {
+    const body = Matter.Bodies.circle(bumper.x, bumper.y, bumper.radius, { isStatic: true, label: 'bumper' });
+    body.plugin.bumper = bumper.strength;
+    return body;
+}
+
+/**
+ * Kinematic Matter body for a flipper at its current angle
+ */
+export function createFlipperBody(flipper) {
+    const pose = flipper.getPose();
+    return Matter.Bodies.rectangle(pose.x, pose.y, flipper.length, FLIPPER_THICKNESS, {
+        isStatic: true,
+        angle: degToRad(pose.angle),
+        chamfer: { radius: FLIPPER_THICKNESS / 2 - 1 },
+        label: 'flipper'
+    });
+}
+
+/**
+ * Kick the ball off a bumper it just hit (call from 'collisionStart').
+ * The ball leaves at its incoming speed plus the bumper's strength, straight
+ * away from the bumper's centre. Returns true if it was a bumper contact.
+ */
+export function applyBumperContact(pair, ballBody) {
+    const isBallCollision = pair.bodyA === ballBody || pair.bodyB === ballBody;
+    if (!isBallCollision || pair.isSensor) return false;
+
+    const otherBody = (pair.bodyA === ballBody ? pair.bodyB : pair.bodyA).parent; // Compound-safe
+    const strength = otherBody.plugin.bumper;
+    if (!strength) return false;
+
+    const dx = ballBody.position.x - otherBody.position.x;
+    const dy = ballBody.position.y - otherBody.position.y;
+    const distance = Math.hypot(dx, dy) || 1;
+    const away = { x: dx / distance, y: dy / distance };
+
+    // Keep the sideways part, replace the inward part with the kick
+    const velocity = Matter.Body.getVelocity(ballBody);
+    const inward = velocity.x * away.x + velocity.y * away.y;
+    const kick = Math.abs(inward) + strength;
+    Matter.Body.setVelocity(ballBody, {
+        x: velocity.x + away.x * (kick - inward),
+        y: velocity.y + away.y * (kick - inward)
+    });
+    return true;
+}
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for bumpers and flippers
+ */
+
+import { describe, it, expect } from 'vitest';
+import Matter from 'matter-js';
+import {
+    createBumper, createFlipper, createBumperBody, createFlipperBody, applyBumperContact
+} from './pinball.js';
+
+function createBall(x, y, velocity) {
+    const body = Matter.Bodies.circle(x, y, 15);
+    Matter.Body.setVelocity(body, velocity);
+    return body;
+}
+
+describe('Bumper', () => {
+    it('should reject bad definitions', () => {
+        expect(() => createBumper({ x: 0, y: 0, radius: 0 })).toThrow();
+        expect(() => createBumper({ x: 0, y: 0, strength: -1 })).toThrow();
+    });
+
+    it('should kick the ball away harder than it came in', () => {
+        const bumper = createBumper({ x: 400, y: 300, strength: 8 });
+        const body = createBumperBody(bumper);
+        const ball = createBall(400, 262, { x: 2, y: 5 });
+
+        expect(applyBumperContact({ bodyA: body, bodyB: ball, isSensor: false }, ball)).toBe(true);
+        expect(ball.velocity.y).toBeCloseTo(-13); // Came in at 5, leaves at 5 + 8
+        expect(ball.velocity.x).toBeCloseTo(2); // Sideways speed kept
+    });
+
+    it('should ignore other bodies', () => {
+        const wall = Matter.Bodies.rectangle(400, 300, 200, 20, { isStatic: true });
+        const ball = createBall(400, 270, { x: 0, y: 5 });
+        expect(applyBumperContact({ bodyA: wall, bodyB: ball, isSensor: false }, ball)).toBe(false);
+        expect(ball.velocity.y).toBeCloseTo(5);
+    });
+});
+
+describe('Flipper', () => {
+    it('should reject unknown sides', () => {
+        expect(() => createFlipper({ x: 0, y: 0, side: 'middle' })).toThrow();
+    });
+
+    it('should swing up while active and fall back when released', () => {
+        const flipper = createFlipper({ x: 200, y: 500, side: 'left' });
+        flipper.setActive(true);
+        for (let i = 0; i < 10; i++) flipper.step();
+        expect(flipper.angle).toBe(flipper.upAngle);
+        expect(flipper.fireCount).toBe(1);
+
+        flipper.setActive(false);
+        flipper.step();
+        expect(flipper.angle).toBeGreaterThan(flipper.upAngle);
+        for (let i = 0; i < 20; i++) flipper.step();
+        expect(flipper.angle).toBe(flipper.restAngle);
+    });
+
+    it('should hinge right flippers on their right end', () => {
+        const flipper = createFlipper({ x: 600, y: 500, length: 100, side: 'right' });
+        expect(flipper.getPose().x).toBeLessThan(600);
+    });
+});
+
+describe('flipper in a physics world', () => {
+    it('should launch a resting ball when fired', () => {
+        const engine = Matter.Engine.create();
+        engine.gravity.y = 1;
+        const flipper = createFlipper({ x: 300, y: 500, length: 120, side: 'left' });
+        flipper.body = createFlipperBody(flipper);
+        // Ball just above the middle of the bar
+        const middle = flipper.getPose();
+        const ball = createBall(middle.x, middle.y - 30, { x: 0, y: 0 });
+        Matter.Composite.add(engine.world, [flipper.body, ball]);
+
+        flipper.setActive(true);
+        let fastestUp = 0;
+        for (let i = 0; i < 10; i++) {
+            flipper.step();
+            Matter.Engine.update(engine, 1000 / 60);
+            fastestUp = Math.min(fastestUp, ball.velocity.y);
+        }
+
+        expect(fastestUp).toBeLessThan(-5);
+    });
+});
+
+describe('bumper in a physics world', () => {
+    it('should send a dropped ball back up', () => {
+        const engine = Matter.Engine.create();
+        engine.gravity.y = 1;
+        const bumper = createBumper({ x: 400, y: 400, strength: 8 });
+        const body = createBumperBody(bumper);
+        const ball = createBall(400, 300, { x: 0, y: 0 });
+        Matter.Composite.add(engine.world, [body, ball]);
+        Matter.Events.on(engine, 'collisionStart', event => {
+            event.pairs.forEach(pair => applyBumperContact(pair, ball));
+        });
+
+        let minVelocityY = 0;
+        for (let i = 0; i < 40; i++) {
+            Matter.Engine.update(engine, 1000 / 60);
+            minVelocityY = Math.min(minVelocityY, ball.velocity.y);
+        }
+
+        expect(minVelocityY).toBeLessThan(-8); // Faster up than it fell
+    });
+});
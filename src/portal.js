@@ -0,0 +1,208 @@
+/**
+ * Portal (teleporter) entity for BounceFlow
+ *
+ * Portals come in linked pairs. A ball whose centre enters one end comes out
+ * of the other with the same speed, its velocity turned by the difference
+ * between the two ends' angles - so going straight into an end means leaving
+ * straight out along the exit's arrow.
+ *
+ * Level definition:
+ * portals: [
+ *     { a: { x: 200, y: 400, angle: 90 }, b: { x: 650, y: 150, angle: 0 }, locked: false }
+ * ]
+ * `angle` is the exit direction in degrees (0 = right, 90 = down). Optional
+ * `radius` (default 30) and `color` apply to both ends.
+ */
+
+import Matter from 'matter-js';
+import { degToRad, radToDeg } from './utils.js';
+
+export const PORTAL_COLORS = ['#4ECDC4', '#FF8CC3', '#FFE66D'];
+
+export class Portal {
+    constructor(x, y, angle = 0, options = {}) {
+        this.x = x;
+        this.y = y;
+        this.angle = angle;
+        this.radius = options.radius || 30;
+        this.locked = options.locked !== false;
+        this.color = options.color || PORTAL_COLORS[0];
+        this.partner = null; // The other end of the pair
+
+        // Interaction state (mirrors Surface)
+        this.isDragging = false;
+        this.isRotating = false;
+        this.dragOffset = { x: 0, y: 0 };
+        this.rotationStartAngle = 0;
+        this.hovered = false;
+    }
+
+    contains(point) {
+        return Math.hypot(point.x - this.x, point.y - this.y) <= this.radius;
+    }
+
+    /**
+     * Where and how fast a ball leaves the partner portal after entering this one
+     */
+    getExitState(velocity) {
+        const exit = this.partner;
+        const turn = degToRad(exit.angle - this.angle + 180);
+        const cos = Math.cos(turn);
+        const sin = Math.sin(turn);
+
+        return {
+            position: { x: exit.x, y: exit.y },
+            velocity: {
+                x: velocity.x * cos - velocity.y * sin,
+                y: velocity.x * sin + velocity.y * cos
+            }
+        };
+    }
+
+    handleMouseDown(mx, my, isRightClick = false) {
+        if (this.locked || !this.contains({ x: mx, y: my })) return false;
+
+        if (isRightClick) {
+            this.isRotating = true;
+            this.rotationStartAngle = Math.atan2(my - this.y, mx - this.x);
+        } else {
+            this.isDragging = true;
+            this.dragOffset = { x: mx - this.x, y: my - this.y };
+        }
+        return true;
+    }
+
+    handleMouseMove(mx, my) {
+        if (this.locked) return;
+
+        if (this.isDragging) {
+            this.x = mx - this.dragOffset.x;
+            this.y = my - this.dragOffset.y;
+        } else if (this.isRotating) {
+            const currentAngle = Math.atan2(my - this.y, mx - this.x);
+            this.angle += radToDeg(currentAngle - this.rotationStartAngle);
+            this.rotationStartAngle = currentAngle;
+        } else {
+            this.hovered = this.contains({ x: mx, y: my });
+        }
+    }
+
+    handleMouseUp() {
+        this.isDragging = false;
+        this.isRotating = false;
+    }
+
+    handleTouchStart(tx, ty) {
+        return this.handleMouseDown(tx, ty, false);
+    }
+
+    handleTouchMove(tx, ty) {
+        this.handleMouseMove(tx, ty);
+    }
+
+    handleTouchEnd() {
+        this.handleMouseUp();
+    }
+
+    render(ctx) {
+        const time = Date.now() / 1000;
+        const active = this.isDragging || this.isRotating;
+
+        ctx.save();
+        ctx.translate(this.x, this.y);
+
+        // Dark core
+        const core = ctx.createRadialGradient(0, 0, 0, 0, 0, this.radius);
+        core.addColorStop(0, 'rgba(20, 10, 40, 0.9)');
+        core.addColorStop(1, 'rgba(20, 10, 40, 0.2)');
+        ctx.fillStyle = core;
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Swirl arms spinning inwards
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+        for (let arm = 0; arm < 3; arm++) {
+            const offset = time * 3 + (arm * Math.PI * 2) / 3;
+            ctx.globalAlpha = 0.7;
+            ctx.beginPath();
+            for (let step = 0; step <= 12; step++) {
+                const t = step / 12;
+                const r = this.radius * (1 - t) * 0.9;
+                const a = offset + t * Math.PI * 1.5;
+                if (step === 0) ctx.moveTo(Math.cos(a) * r, Math.sin(a) * r);
+                else ctx.lineTo(Math.cos(a) * r, Math.sin(a) * r);
+            }
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+
+        // Rim
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = active || this.hovered ? 5 : 3;
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // Exit direction arrow
+        ctx.rotate(degToRad(this.angle));
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.moveTo(this.radius + 10, 0);
+        ctx.lineTo(this.radius + 2, -6);
+        ctx.lineTo(this.radius + 2, 6);
+        ctx.closePath();
+        ctx.fill();
+
+        // Movable ends get a centre handle like unlocked surfaces
+        if (!this.locked) {
+            ctx.fillStyle = active ? '#4ECDC4' : (this.hovered ? '#95E1D3' : '#fff');
+            ctx.beginPath();
+            ctx.arc(0, 0, 6, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+}
+
+/**
+ * Build both ends of a pair from a level definition and link them
+ */
+export function createPortalPair(definition, pairIndex = 0) {
+    const options = {
+        radius: definition.radius,
+        locked: definition.locked,
+        color: definition.color || PORTAL_COLORS[pairIndex % PORTAL_COLORS.length]
+    };
+    const a = new Portal(definition.a.x, definition.a.y, definition.a.angle, options);
+    const b = new Portal(definition.b.x, definition.b.y, definition.b.angle, options);
+    a.partner = b;
+    b.partner = a;
+    return [a, b];
+}
+
+/**
+ * Teleport a ball body if its centre is inside a portal. `traveller` keeps
+ * `portalExit` - the end it just came out of - so it isn't sent straight back
+ * before it has left that end. Returns the entry portal, or null.
+ */
+export function passThroughPortals(body, portals, traveller) {
+    if (traveller.portalExit && !traveller.portalExit.contains(body.position)) {
+        traveller.portalExit = null;
+    }
+
+    for (const portal of portals) {
+        if (portal === traveller.portalExit || !portal.contains(body.position)) continue;
+
+        const { position, velocity } = portal.getExitState(Matter.Body.getVelocity(body));
+        Matter.Body.setPosition(body, position);
+        Matter.Body.setVelocity(body, velocity);
+        traveller.portalExit = portal.partner;
+        return portal;
+    }
+
+    return null;
+}
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for portal pairs
+ */
+
+import { describe, it, expect } from 'vitest';
+import Matter from 'matter-js';
+import { createPortalPair, passThroughPortals } from './portal.js';
+
+describe('Portal pairs', () => {
+    it('should link both ends', () => {
+        const [a, b] = createPortalPair({ a: { x: 0, y: 0, angle: 0 }, b: { x: 100, y: 0, angle: 90 } });
+        expect(a.partner).toBe(b);
+        expect(b.partner).toBe(a);
+        expect(a.locked).toBe(true);
+        expect(a.color).toBe(b.color);
+    });
+
+    it('should send a ball straight in out along the exit direction', () => {
+        const [a] = createPortalPair({ a: { x: 0, y: 0, angle: 180 }, b: { x: 300, y: 300, angle: 270 } });
+        // Moving right into an end that faces left
+        const exit = a.getExitState({ x: 5, y: 0 });
+        expect(exit.position).toEqual({ x: 300, y: 300 });
+        expect(exit.velocity.x).toBeCloseTo(0);
+        expect(exit.velocity.y).toBeCloseTo(-5); // Out upwards
+    });
+
+    it('should keep the speed', () => {
+        const [a] = createPortalPair({ a: { x: 0, y: 0, angle: 30 }, b: { x: 300, y: 300, angle: 125 } });
+        const { velocity } = a.getExitState({ x: 3, y: 4 });
+        expect(Math.hypot(velocity.x, velocity.y)).toBeCloseTo(5);
+    });
+});
+
+describe('passThroughPortals', () => {
+    it('should teleport once and not send the ball straight back', () => {
+        const portals = createPortalPair({ a: { x: 100, y: 100, angle: 0 }, b: { x: 400, y: 100, angle: 0 } });
+        const body = Matter.Bodies.circle(105, 100, 20);
+        Matter.Body.setVelocity(body, { x: -2, y: 0 });
+        const traveller = { portalExit: null };
+
+        expect(passThroughPortals(body, portals, traveller)).toBe(portals[0]);
+        expect(body.position.x).toBeCloseTo(400);
+        expect(body.velocity.x).toBeCloseTo(2);
+
+        // Still inside the exit end - stays put
+        expect(passThroughPortals(body, portals, traveller)).toBeNull();
+        expect(traveller.portalExit).toBe(portals[1]);
+    });
+
+    it('should ignore balls outside every portal', () => {
+        const portals = createPortalPair({ a: { x: 100, y: 100, angle: 0 }, b: { x: 400, y: 100, angle: 0 } });
+        const body = Matter.Bodies.circle(250, 100, 20);
+        expect(passThroughPortals(body, portals, { portalExit: null })).toBeNull();
+        expect(body.position.x).toBe(250);
+    });
+});
+
+describe('Movable portals', () => {
+    it('should drag unlocked ends only', () => {
+        const [locked] = createPortalPair({ a: { x: 0, y: 0 }, b: { x: 100, y: 0 } });
+        const [movable] = createPortalPair({ a: { x: 0, y: 0 }, b: { x: 100, y: 0 }, locked: false });
+
+        expect(locked.handleMouseDown(5, 5)).toBe(false);
+        expect(movable.handleMouseDown(5, 5)).toBe(true);
+        movable.handleMouseMove(55, 25);
+        movable.handleMouseUp();
+        expect(movable.x).toBe(50);
+        expect(movable.y).toBe(20);
+    });
+});
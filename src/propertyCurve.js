@@ -0,0 +1,156 @@
+/**
+ * Property curves for BounceFlow
+ *
+ * A curve maps time (ms since the ball was released) to a property value.
+ * Levels describe curves as keyframes, or use the classic 'wave' / 'pulse'
+ * patterns which are built in as presets.
+ *
+ * Keyframed curve definition (e.g. in levels.js):
+ * {
+ *     keyframes: [
+ *         { t: 0, value: 0.3 },
+ *         { t: 0.3, value: 0.9, easing: 'easeInOut' }, // ramp up
+ *         { t: 0.6, value: 0.9 },                      // hold
+ *         { t: 0.7, value: 0.3, easing: 'step' }       // drop
+ *     ],
+ *     period: 4000,    // ms per cycle
+ *     loop: 'repeat',  // 'repeat', 'pingpong' or 'once'
+ *     phase: 0.25      // offset into the cycle (fraction of period)
+ * }
+ *
+ * Keyframe `t` is a 0-1 fraction of the period. `easing` shapes the segment
+ * leading INTO that keyframe. Before the first / after the last keyframe the
+ * nearest value is held.
+ */
+
+import { lerp, clamp } from './utils.js';
+
+/**
+ * Easing functions - map segment progress 0-1 to eased progress 0-1
+ */
+export const EASINGS = {
+    linear: t => t,
+    easeIn: t => t * t,
+    easeOut: t => t * (2 - t),
+    easeInOut: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+    step: t => (t < 1 ? 0 : 1) // Hold previous value, then jump (square waves)
+};
+
+export const LOOP_MODES = ['repeat', 'pingpong', 'once'];
+
+/**
+ * Preset shapes - map cycle position 0-1 to a 0-1 ratio of the preset range
+ */
+export const PRESET_SHAPES = {
+    // Smooth sine oscillation between min and max
+    wave: u => 0.5 + Math.sin(u * Math.PI * 2) * 0.5,
+    // Half of each cycle spikes up to max, the other half rests at min
+    pulse: u => Math.max(0, Math.sin(u * Math.PI * 2))
+};
+
+export class PropertyCurve {
+    constructor({ keyframes = null, shape = null, min = 0, max = 1, period = 1000, loop = 'repeat', phase = 0 }) {
+        if (!keyframes && !shape) {
+            throw new Error('PropertyCurve needs keyframes or a preset shape');
+        }
+        if (!LOOP_MODES.includes(loop)) {
+            throw new Error(`Unknown loop mode: ${loop}`);
+        }
+        if (!(period > 0)) {
+            throw new Error(`PropertyCurve period must be positive, got ${period}`);
+        }
+
+        this.keyframes = keyframes
+            ? [...keyframes].sort((a, b) => a.t - b.t)
+            : null;
+        this.shape = shape;
+        this.min = min;
+        this.max = max;
+        this.period = period;
+        this.loop = loop;
+        this.phase = phase;
+
+        if (this.keyframes) {
+            if (this.keyframes.length === 0) {
+                throw new Error('PropertyCurve needs at least one keyframe');
+            }
+            this.keyframes.forEach(keyframe => {
+                if (keyframe.easing && !EASINGS[keyframe.easing]) {
+                    throw new Error(`Unknown easing: ${keyframe.easing}`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Position within the current cycle (0-1) after applying phase and loop mode
+     */
+    getCyclePosition(timeMs) {
+        const cycles = timeMs / this.period + this.phase;
+
+        if (this.loop === 'once') {
+            return clamp(cycles, 0, 1);
+        }
+
+        if (this.loop === 'pingpong') {
+            const position = ((cycles % 2) + 2) % 2;
+            return position <= 1 ? position : 2 - position;
+        }
+
+        return ((cycles % 1) + 1) % 1;
+    }
+
+    evaluate(timeMs) {
+        const u = this.getCyclePosition(timeMs);
+
+        if (this.shape) {
+            return lerp(this.min, this.max, this.shape(u));
+        }
+
+        const keyframes = this.keyframes;
+        if (u <= keyframes[0].t) return keyframes[0].value;
+
+        for (let i = 1; i < keyframes.length; i++) {
+            const to = keyframes[i];
+            if (u <= to.t) {
+                const from = keyframes[i - 1];
+                const span = to.t - from.t;
+                const progress = span > 0 ? (u - from.t) / span : 1;
+                const ease = EASINGS[to.easing || 'linear'];
+                return lerp(from.value, to.value, ease(progress));
+            }
+        }
+
+        return keyframes[keyframes.length - 1].value;
+    }
+}
+
+/**
+ * Build a curve from a level definition object (or return null for none)
+ */
+export function createPropertyCurve(definition) {
+    if (!definition) return null;
+    if (definition instanceof PropertyCurve) return definition;
+    return new PropertyCurve(definition);
+}
+
+/**
+ * Build a curve for a classic 'wave' / 'pulse' pattern.
+ * cycleSpeed is in radians per ms, as used by existing level definitions.
+ * Returns null for 'static' (the property keeps its base value).
+ */
+export function createPresetCurve(pattern, cycleSpeed, range) {
+    if (!pattern || pattern === 'static' || !cycleSpeed) return null;
+
+    const shape = PRESET_SHAPES[pattern];
+    if (!shape) {
+        throw new Error(`Unknown property pattern: ${pattern}`);
+    }
+
+    return new PropertyCurve({
+        shape,
+        min: range.min,
+        max: range.max,
+        period: (Math.PI * 2) / cycleSpeed
+    });
+}
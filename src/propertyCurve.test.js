@@ -0,0 +1,154 @@
+/**
+ * Unit tests for property curves
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    PropertyCurve,
+    EASINGS,
+    createPropertyCurve,
+    createPresetCurve
+} from './propertyCurve.js';
+
+describe('EASINGS', () => {
+    it('should start at 0 and end at 1', () => {
+        Object.values(EASINGS).forEach(ease => {
+            expect(ease(0)).toBe(0);
+            expect(ease(1)).toBe(1);
+        });
+    });
+
+    it('step should hold until the end of the segment', () => {
+        expect(EASINGS.step(0.99)).toBe(0);
+    });
+});
+
+describe('PropertyCurve keyframes', () => {
+    const rampHoldDrop = {
+        keyframes: [
+            { t: 0, value: 0.2 },
+            { t: 0.5, value: 1.0 },
+            { t: 0.75, value: 1.0 },
+            { t: 1, value: 0.2, easing: 'step' }
+        ],
+        period: 1000
+    };
+
+    it('should interpolate linearly between keyframes', () => {
+        const curve = new PropertyCurve(rampHoldDrop);
+        expect(curve.evaluate(0)).toBeCloseTo(0.2);
+        expect(curve.evaluate(250)).toBeCloseTo(0.6);
+        expect(curve.evaluate(600)).toBeCloseTo(1.0);
+    });
+
+    it('should hold with step easing until the next keyframe', () => {
+        const curve = new PropertyCurve(rampHoldDrop);
+        expect(curve.evaluate(900)).toBeCloseTo(1.0);
+    });
+
+    it('should sort keyframes by time', () => {
+        const curve = new PropertyCurve({
+            keyframes: [{ t: 1, value: 10 }, { t: 0, value: 0 }],
+            period: 100
+        });
+        expect(curve.evaluate(50)).toBeCloseTo(5);
+    });
+
+    it('should hold the nearest value outside the keyframe range', () => {
+        const curve = new PropertyCurve({
+            keyframes: [{ t: 0.25, value: 1 }, { t: 0.75, value: 3 }],
+            period: 100
+        });
+        expect(curve.evaluate(10)).toBe(1);
+        expect(curve.evaluate(90)).toBe(3);
+    });
+
+    it('should apply easing to the segment leading into a keyframe', () => {
+        const curve = new PropertyCurve({
+            keyframes: [{ t: 0, value: 0 }, { t: 1, value: 1, easing: 'easeIn' }],
+            period: 100,
+            loop: 'once'
+        });
+        expect(curve.evaluate(50)).toBeCloseTo(0.25);
+    });
+});
+
+describe('PropertyCurve looping', () => {
+    const linear = { keyframes: [{ t: 0, value: 0 }, { t: 1, value: 1 }], period: 100 };
+
+    it('should repeat by default', () => {
+        const curve = new PropertyCurve(linear);
+        expect(curve.evaluate(125)).toBeCloseTo(0.25);
+    });
+
+    it('should play forward then backward with pingpong', () => {
+        const curve = new PropertyCurve({ ...linear, loop: 'pingpong' });
+        expect(curve.evaluate(50)).toBeCloseTo(0.5);
+        expect(curve.evaluate(125)).toBeCloseTo(0.75);
+    });
+
+    it('should stop at the end with once', () => {
+        const curve = new PropertyCurve({ ...linear, loop: 'once' });
+        expect(curve.evaluate(500)).toBe(1);
+    });
+
+    it('should offset the cycle by phase', () => {
+        const curve = new PropertyCurve({ ...linear, phase: 0.5 });
+        expect(curve.evaluate(0)).toBeCloseTo(0.5);
+        expect(curve.evaluate(25)).toBeCloseTo(0.75);
+    });
+});
+
+describe('PropertyCurve validation', () => {
+    it('should reject unknown loop modes and easings', () => {
+        expect(() => new PropertyCurve({ keyframes: [{ t: 0, value: 0 }], loop: 'bounce' })).toThrow();
+        expect(() => new PropertyCurve({ keyframes: [{ t: 0, value: 0, easing: 'wobble' }] })).toThrow();
+    });
+
+    it('should reject empty definitions', () => {
+        expect(() => new PropertyCurve({})).toThrow();
+        expect(() => new PropertyCurve({ keyframes: [] })).toThrow();
+        expect(() => new PropertyCurve({ keyframes: [{ t: 0, value: 0 }], period: 0 })).toThrow();
+    });
+});
+
+describe('createPresetCurve', () => {
+    const range = { min: 0.2, max: 0.8 };
+
+    it('should return null for static patterns', () => {
+        expect(createPresetCurve('static', 0.001, range)).toBeNull();
+        expect(createPresetCurve('wave', 0, range)).toBeNull();
+    });
+
+    it('should match the classic wave formula', () => {
+        const cycleSpeed = 0.0012;
+        const curve = createPresetCurve('wave', cycleSpeed, range);
+        [0, 300, 1234, 5000].forEach(time => {
+            expect(curve.evaluate(time)).toBeCloseTo(0.5 + Math.sin(cycleSpeed * time) * 0.3);
+        });
+    });
+
+    it('should match the classic pulse formula', () => {
+        const cycleSpeed = 0.0015;
+        const curve = createPresetCurve('pulse', cycleSpeed, { min: 0.3, max: 0.8 });
+        [0, 700, 2500, 4000].forEach(time => {
+            expect(curve.evaluate(time)).toBeCloseTo(0.3 + Math.max(0, Math.sin(cycleSpeed * time)) * 0.5);
+        });
+    });
+
+    it('should reject unknown patterns', () => {
+        expect(() => createPresetCurve('zigzag', 0.001, range)).toThrow();
+    });
+});
+
+describe('createPropertyCurve', () => {
+    it('should return null for missing definitions', () => {
+        expect(createPropertyCurve(null)).toBeNull();
+        expect(createPropertyCurve(undefined)).toBeNull();
+    });
+
+    it('should pass existing curves through', () => {
+        const curve = new PropertyCurve({ keyframes: [{ t: 0, value: 1 }] });
+        expect(createPropertyCurve(curve)).toBe(curve);
+    });
+});
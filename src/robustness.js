@@ -0,0 +1,116 @@
+/**
+ * Solution robustness for BounceFlow - how far a solved layout can be nudged
+ * and still collect every star
+ *
+ * A solution that only works at exactly one pixel and one degree is no help
+ * to a player dragging surfaces by hand (and a level that only has those is
+ * too precise). Every check re-simulates the solution with surfaces moved:
+ * - successRate: share of SAMPLES random nudges of every movable surface at
+ *   once (up to NUDGE px and degrees each) that still succeed - pressing
+ *   Space up to NUDGE.frames early or late too, where the hook swings
+ * - surfaces: per movable surface, on its own
+ *   - positionTolerance: px it can move in any direction (the largest of
+ *     POSITION_STEPS where all DIRECTIONS still succeed, else 0)
+ *   - angleTolerance: { min, max } degrees it can turn each way (from
+ *     ANGLE_STEPS), null for round posts
+ *
+ * DOM-free like simulation.js, so it runs in the solver worker once a search
+ * finds a solution.
+ */
+
+import { simulateConfiguration } from './simulation.js';
+import { HOOK_SWING_FRAMES, hasSwingingHook, snapHookPhase } from './hook.js';
+
+export const POSITION_STEPS = [5, 10, 20, 40];
+export const ANGLE_STEPS = [2, 5, 10, 20];
+export const NUDGE = { position: 10, angle: 5, frames: 3 };
+export const SAMPLES = 40;
+
+// Directions tried at each position step
+const DIRECTIONS = 8;
+
+/**
+ * Word for a success rate: knife-edge, tight or comfortable
+ */
+export function describeRobustness(successRate) {
+    if (successRate < 0.25) return 'knife-edge';
+    if (successRate < 0.6) return 'tight';
+    return 'comfortable';
+}
+
+/**
+ * Perturb a solved configuration and report how much of it still succeeds.
+ * `scene` comes from createSimulationScene(), like simulateConfiguration's.
+ */
+export function analyzeRobustness(level, scene, config, {
+    releasePhase = null,
+    samples = SAMPLES,
+    random = Math.random
+} = {}) {
+    const succeeds = (layout, phase = releasePhase) =>
+        simulateConfiguration(layout, level, scene, { releasePhase: phase, collectAll: true }).success;
+    const timed = releasePhase !== null && hasSwingingHook(level);
+    const nudged = (index, change) => config.map((surface, i) => (i === index ? { ...surface, ...change(surface) } : surface));
+    const movable = config
+        .map((surface, index) => (surface.locked ? null : index))
+        .filter(index => index !== null);
+
+    // Largest step in `steps` (and every one before it) where `works` holds
+    const largestStep = (steps, works) => {
+        let tolerance = 0;
+        for (const step of steps) {
+            if (!works(step)) break;
+            tolerance = step;
+        }
+        return tolerance;
+    };
+
+    const surfaces = movable.map(index => {
+        const positionTolerance = largestStep(POSITION_STEPS, step => {
+            for (let d = 0; d < DIRECTIONS; d++) {
+                const angle = d / DIRECTIONS * Math.PI * 2;
+                const layout = nudged(index, surface => ({
+                    x: surface.x + Math.cos(angle) * step,
+                    y: surface.y + Math.sin(angle) * step
+                }));
+                if (!succeeds(layout)) return false;
+            }
+            return true;
+        });
+
+        const turns = sign => largestStep(ANGLE_STEPS, step =>
+            succeeds(nudged(index, surface => ({ angle: surface.angle + sign * step }))));
+        const angleTolerance = config[index].shape === 'circle'
+            ? null
+            : { min: -turns(-1), max: turns(1) };
+
+        return { index, positionTolerance, angleTolerance };
+    });
+
+    // Nothing to nudge on a level of locked surfaces and a still hook
+    if (movable.length === 0 && !timed) return { successRate: 1, surfaces };
+
+    let successes = 0;
+    for (let i = 0; i < samples; i++) {
+        const layout = config.map((surface, index) => {
+            if (!movable.includes(index)) return surface;
+            const angle = random() * Math.PI * 2;
+            const distance = random() * NUDGE.position;
+            return {
+                ...surface,
+                x: surface.x + Math.cos(angle) * distance,
+                y: surface.y + Math.sin(angle) * distance,
+                angle: surface.angle + (random() * 2 - 1) * NUDGE.angle
+            };
+        });
+        const phase = timed
+            ? snapHookPhase(releasePhase + (random() * 2 - 1) * NUDGE.frames / HOOK_SWING_FRAMES)
+            : releasePhase;
+        if (succeeds(layout, phase)) successes++;
+    }
+
+    return {
+        successRate: successes / samples,
+        surfaces
+    };
+}
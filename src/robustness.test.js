@@ -0,0 +1,61 @@
+/**
+ * Unit tests for solution robustness
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getLevel } from './levels.js';
+import { createLevelScene, createSimulationScene } from './simulation.js';
+import { snapHookPhase } from './hook.js';
+import { analyzeRobustness, describeRobustness, POSITION_STEPS, ANGLE_STEPS, SAMPLES } from './robustness.js';
+
+// Level 1 with its star straight below the ball (or `dx` px to the right)
+function createScene(level, dx = 0) {
+    const scene = createLevelScene(level);
+    scene.targets = [{ ...scene.targets[0], x: level.ballStart.x + dx, y: 300 }];
+    return createSimulationScene(scene);
+}
+
+describe('analyzeRobustness', () => {
+    const level = getLevel(1);
+
+    it('should find a solution far from the surface completely forgiving', () => {
+        const robustness = analyzeRobustness(level, createScene(level), level.surfaces, { samples: 4 });
+
+        expect(robustness.successRate).toBe(1);
+        expect(robustness.surfaces).toEqual([{
+            index: 0,
+            positionTolerance: POSITION_STEPS[POSITION_STEPS.length - 1],
+            angleTolerance: { min: -ANGLE_STEPS[ANGLE_STEPS.length - 1], max: ANGLE_STEPS[ANGLE_STEPS.length - 1] }
+        }]);
+    });
+
+    it('should find a surface just clear of the fall knife-edge', () => {
+        // Left end a couple of px clear of the falling ball, between it and the star
+        const config = [{ x: 218, y: 200, width: 100, angle: 0, locked: false }];
+        // Every random nudge goes 5 px left, into the fall
+        const robustness = analyzeRobustness(level, createScene(level), config, { samples: 4, random: () => 0.5 });
+
+        expect(robustness.surfaces[0].positionTolerance).toBe(0);
+        expect(robustness.successRate).toBe(0);
+    });
+
+    it('should count a release that only works on the exact frame as knife-edge', () => {
+        // Swinging hook, nothing to move - the star is only just reached
+        // released at 0.3, and missed pressing Space 3 frames late
+        const timedLevel = { ...level, id: 4, surfaces: level.surfaces.map(surface => ({ ...surface, locked: true })) };
+        const options = { releasePhase: snapHookPhase(0.3), samples: 4 };
+        const scene = createScene(timedLevel, 22);
+
+        expect(analyzeRobustness(timedLevel, scene, timedLevel.surfaces, { ...options, random: () => 0.5 }).successRate).toBe(1);
+        expect(analyzeRobustness(timedLevel, scene, timedLevel.surfaces, { ...options, random: () => 0.999 }).successRate).toBe(0);
+    });
+});
+
+describe('describeRobustness', () => {
+    it('should name how much slack a success rate leaves', () => {
+        expect(describeRobustness(0.1)).toBe('knife-edge');
+        expect(describeRobustness(0.5)).toBe('tight');
+        expect(describeRobustness(0.9)).toBe('comfortable');
+        expect(SAMPLES).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,381 @@
+/**
+ * DOM-free level simulation for BounceFlow - drops the ball(s) onto a
+ * surface layout in a throwaway physics world and reports what happened.
+ * No Game, canvas or DOM needed, so it runs in the solver worker, in tests
+ * and anywhere else JavaScript does.
+ *
+ * Usage:
+ * const result = simulateLevel(getLevel(1), layout);
+ * result.collectedTargets // indices of the stars collected, in order
+ *
+ * Scenes are what the level loader or the player can change beyond the
+ * level definition - canvas size, randomized stars, moved portals, force
+ * zones and hazard regions - as plain data (serializeScene from a live Game,
+ * createLevelScene straight from a level), rebuilt into entities with
+ * createSimulationScene.
+ *
+ * Each simulation mirrors Game.update - the ball's property curves and hook
+ * swing, surface materials, motion, breakable and one-way rules, force zones,
+ * portals, hazards, switches, bumpers, resting flippers, ball spin and every
+ * ball of multi-ball levels, split into the same anti-tunnelling substeps as
+ * live play.
+ */
+
+import Matter from 'matter-js';
+import { getLevelBalls } from './levels.js';
+import { applyMaterial, applyMaterialContact } from './materials.js';
+import { createSurfaceMotion, applyPose } from './surfaceMotion.js';
+import { createForceZone, applyForceZones } from './forceZones.js';
+import { createPortalPair, passThroughPortals } from './portal.js';
+import { setSurfaceRules, applySurfaceContact } from './surfaceRules.js';
+import { createHazard, setHazardSurface, getHazardContact, findHazardHit } from './hazards.js';
+import { createSwitch, createSwitchBody, runSwitchActions } from './switches.js';
+import { createShapeBody, getBodyPose, getContactSurfaceAngle } from './surfaceShapes.js';
+import { createBumper, createBumperBody, createFlipper, createFlipperBody, applyBumperContact } from './pinball.js';
+import { applySpinContact } from './spin.js';
+import { Target } from './target.js';
+import { getPhysicsSettings, applyWorldPhysics, createWalls } from './physicsSettings.js';
+import { stepEngine, FIXED_TIME_STEP } from './physicsStep.js';
+import { Ball } from './ball.js';
+import { hasSwingingHook, getHookSwing } from './hook.js';
+
+// Frames simulated per drop
+export const SIMULATION_FRAMES = 300;
+
+/**
+ * Plain-data copy of the parts of a live Game a simulation needs, safe to
+ * post to a worker
+ */
+export function serializeScene(game) {
+    const portals = [];
+    for (let i = 0; i < game.portals.length; i += 2) {
+        const [a, b] = [game.portals[i], game.portals[i + 1]];
+        portals.push({
+            a: { x: a.x, y: a.y, angle: a.angle },
+            b: { x: b.x, y: b.y, angle: b.angle },
+            radius: a.radius
+        });
+    }
+
+    return {
+        width: game.canvas.width,
+        height: game.canvas.height,
+        targets: game.targets.map(target => ({
+            x: target.x,
+            y: target.y,
+            radius: target.radius,
+            ballIndex: target.ballIndex,
+            hidden: target.startsHidden,
+            collected: target.collected
+        })),
+        portals,
+        forceZones: game.forceZones.map(zone => ({ ...zone })),
+        hazards: game.hazards.map(hazard => ({ ...hazard }))
+    };
+}
+
+/**
+ * Serialized scene straight from a level definition, for simulating without
+ * a Game - stars sit exactly where the level puts them and nothing has been
+ * moved
+ */
+export function createLevelScene(level, { width = 800, height = 600 } = {}) {
+    return serializeScene({
+        canvas: { width, height },
+        targets: level.targets.map(target => new Target(target.x, target.y, 25, { ballIndex: target.ball, hidden: target.hidden })),
+        portals: (level.portals || []).flatMap((portalData, index) => createPortalPair(portalData, index)),
+        forceZones: (level.forceZones || []).map(createForceZone),
+        hazards: (level.hazards || []).map(createHazard)
+    });
+}
+
+/**
+ * Rebuild a serialized scene's entities so the shared helpers
+ * (passThroughPortals, applyForceZones, findHazardHit) can use them
+ */
+export function createSimulationScene(scene) {
+    return {
+        width: scene.width,
+        height: scene.height,
+        targets: scene.targets.map(data => {
+            const target = new Target(data.x, data.y, data.radius, { ballIndex: data.ballIndex, hidden: data.hidden });
+            target.collected = data.collected;
+            return target;
+        }),
+        portals: scene.portals.flatMap((pair, index) => createPortalPair(pair, index)),
+        forceZones: scene.forceZones.map(createForceZone),
+        hazards: scene.hazards.map(createHazard)
+    };
+}
+
+/**
+ * Drop a level's ball(s) onto a surface layout. `config` is the level's
+ * surfaces with the player's positions (defaults to the level's own); the
+ * scene defaults to createLevelScene(level). See simulateConfiguration for
+ * the other options and the result.
+ */
+export function simulateLevel(level, config = level.surfaces, { scene = createLevelScene(level), ...options } = {}) {
+    return simulateConfiguration(config, level, createSimulationScene(scene), options);
+}
+
+/**
+ * Drop the ball(s) onto one surface layout in a throwaway physics world.
+ * `scene` comes from createSimulationScene(). Options:
+ * - releasePhase: hook swing phase (see hook.js) Space is pressed at - null
+ *   drops straight down
+ * - collectAll: keep going until every star still out is collected, instead
+ *   of stopping at the first
+ * Returns { trajectory, success, collectedTargets, targetDistances,
+ * closestDistance, collisionData, hazardHit } - collectedTargets are indices
+ * into scene.targets in the order they were collected, targetDistances how
+ * near a ball came to each star (0 once collected, Infinity if it never
+ * could) and closestDistance the nearest of those to a star still out.
+ */
+export function simulateConfiguration(config, level, scene, { releasePhase = null, collectAll = false } = {}) {
+    // Create temporary physics
+    const tempEngine = Matter.Engine.create({
+        enableSleeping: false,
+        positionIterations: 10,
+        velocityIterations: 10
+    });
+    const tempWorld = tempEngine.world;
+    const physicsSettings = getPhysicsSettings(level); // Same source as LevelManager
+    applyWorldPhysics(tempWorld, physicsSettings);
+
+    // Create walls
+    Matter.World.add(tempWorld, createWalls(scene.width, scene.height, physicsSettings));
+
+    // Real Balls, so property curves (elasticity, grip, weight, size) run
+    // exactly as in play. They hang where the hook let go - at the swing's
+    // offset - and staggered ones wait there, frozen, until their delay passes.
+    const swing = releasePhase !== null && hasSwingingHook(level)
+        ? getHookSwing(releasePhase)
+        : { offset: 0, velocity: 0 };
+    const balls = getLevelBalls(level).map(ballData => {
+        const ball = new Ball(ballData.x + swing.offset, ballData.y, physicsSettings.ballRadius, tempWorld, {
+            airDrag: physicsSettings.airDrag,
+            index: ballData.index,
+            releaseDelay: ballData.delay
+        });
+        ball.setProperties(ballData);
+        return ball;
+    });
+    // Same as Game.startPlay / releaseWaitingBalls / releaseBall
+    const releaseBalls = motionTime => {
+        balls.forEach(ball => {
+            if (!ball.isActive && motionTime >= ball.releaseDelay) {
+                ball.activate();
+                Matter.Body.setVelocity(ball.body, { x: ball.releaseDelay === 0 ? swing.velocity : 0, y: 0 });
+            }
+        });
+    };
+    releaseBalls(0);
+    const primaryBall = balls[0].body; // Trajectory follows the first ball
+
+    // Create surfaces - each body is in the world only while present and unbroken
+    const surfaceBodies = [];
+    const surfaceStates = [];
+    const movingSurfaces = [];
+    const syncSurface = state => {
+        const shouldBeInWorld = state.present && !state.broken;
+        if (shouldBeInWorld && !state.inWorld) Matter.World.add(tempWorld, state.body);
+        if (!shouldBeInWorld && state.inWorld) Matter.World.remove(tempWorld, state.body);
+        state.inWorld = shouldBeInWorld;
+    };
+    config.forEach(surfaceConfig => {
+        // Moving surfaces start at their release pose, like Surface
+        const motion = createSurfaceMotion(surfaceConfig.motion);
+        const pose = motion ? motion.getPose(surfaceConfig, 0) : surfaceConfig;
+        const surface = createShapeBody(surfaceConfig, pose);
+        applyMaterial(surface, surfaceConfig); // Same as Surface
+        setSurfaceRules(surface, surfaceConfig);
+        setHazardSurface(surface, surfaceConfig.hazard);
+        surfaceBodies.push(surface);
+        if (motion) {
+            // start: motion time the motion began (null while waiting for a switch)
+            const start = surfaceConfig.waitForSwitch ? null : 0;
+            movingSurfaces.push({ body: surface, motion, anchor: surfaceConfig, start, localTime: 0 });
+        }
+        const state = { body: surface, present: !surfaceConfig.hidden, broken: false, inWorld: false };
+        surfaceStates.push(state);
+        syncSurface(state);
+    });
+
+    // Switches get fresh state; hidden stars stay out of reach until revealed
+    let motionTime = 0;
+    const switches = (level.switches || []).map(createSwitch);
+    const switchBodies = switches.map(createSwitchBody);
+    Matter.World.add(tempWorld, switchBodies);
+
+    // Bumpers kick as in play; the player's flipper timing is unknown, so flippers stay at rest
+    Matter.World.add(tempWorld, (level.bumpers || []).map(bumper => createBumperBody(createBumper(bumper))));
+    Matter.World.add(tempWorld, (level.flippers || []).map(flipper => createFlipperBody(createFlipper(flipper))));
+    const hiddenTargets = new Set();
+    scene.targets.forEach((target, index) => {
+        if (target.startsHidden) hiddenTargets.add(index);
+    });
+    const switchLevel = {
+        setSurfacePresent: (index, present) => {
+            surfaceStates[index].present = present;
+            syncSurface(surfaceStates[index]);
+        },
+        isSurfacePresent: index => surfaceStates[index].present,
+        startSurfaceMotion: index => {
+            const moving = movingSurfaces.find(entry => entry.body === surfaceBodies[index]);
+            if (moving && moving.start === null) moving.start = motionTime;
+        },
+        revealTarget: index => hiddenTargets.delete(index)
+    };
+
+    // Track collisions
+    const collisionData = [];
+    let hazardHit = null; // Type of the first hazard a ball touched
+    Matter.Events.on(tempEngine, 'collisionStart', (event) => {
+        event.pairs.forEach(pair => {
+            const ballEntry = balls.find(b => pair.bodyA === b.body || pair.bodyB === b.body);
+            if (!ballEntry) return;
+
+            const ball = ballEntry.body;
+            // Arcs are compound bodies - pairs hold the part, so go up to the surface
+            const otherBody = (pair.bodyA === ball ? pair.bodyB : pair.bodyA).parent;
+            const surfaceIndex = surfaceBodies.indexOf(otherBody);
+            if (surfaceIndex === -1) return;
+
+            // Breaking and one-way rules, same as Game.handleCollisions
+            const contact = applySurfaceContact(pair, ball);
+            if (contact === 'smash' || contact === 'crumble') {
+                surfaceStates[surfaceIndex].broken = true;
+                syncSurface(surfaceStates[surfaceIndex]);
+            }
+            if (contact === 'pass') return;
+
+            hazardHit = hazardHit || getHazardContact(pair, ball);
+
+            const collision = pair.collision;
+            const contactPoint = collision.supports[0] || { x: ball.position.x, y: ball.position.y };
+            const normal = collision.normal;
+            const velocityBefore = Matter.Body.getVelocity(ball);
+            const impactSpeed = Math.sqrt(velocityBefore.x * velocityBefore.x + velocityBefore.y * velocityBefore.y);
+
+            collisionData.push({
+                x: contactPoint.x,
+                y: contactPoint.y,
+                normalX: normal.x,
+                normalY: normal.y,
+                velocityBeforeX: velocityBefore.x,
+                velocityBeforeY: velocityBefore.y,
+                impactSpeed: impactSpeed,
+                surfaceAngle: getContactSurfaceAngle(otherBody, normal),
+                material: config[surfaceIndex].material,
+                ballIndex: ballEntry.index
+            });
+        });
+
+        // Materials and spin act after recording, then switches, then bumpers - same order as Game
+        const activeBalls = balls.filter(ball => ball.isActive);
+        event.pairs.forEach(pair => activeBalls.forEach(ball => applyMaterialContact(pair, ball.body, true)));
+        event.pairs.forEach(pair => activeBalls.forEach(ball => applySpinContact(pair, ball.body)));
+        event.pairs.forEach(pair => {
+            const isBallPair = activeBalls.some(b => pair.bodyA === b.body || pair.bodyB === b.body);
+            const switchIndex = Math.max(switchBodies.indexOf(pair.bodyA), switchBodies.indexOf(pair.bodyB));
+            if (isBallPair && switchIndex !== -1 && switches[switchIndex].press()) {
+                runSwitchActions(switches[switchIndex].actions, switchLevel);
+            }
+        });
+        event.pairs.forEach(pair => activeBalls.forEach(ball => applyBumperContact(pair, ball.body)));
+    });
+    Matter.Events.on(tempEngine, 'collisionActive', (event) => {
+        const activeBalls = balls.filter(ball => ball.isActive);
+        event.pairs.forEach(pair => activeBalls.forEach(ball => applyMaterialContact(pair, ball.body, false)));
+    });
+
+    // Simulate - stars already collected in the scene stay collected
+    const trajectory = [];
+    const collectedTargets = [];
+    const isOut = (target, index) => !target.collected && !collectedTargets.includes(index);
+    const starsOut = scene.targets.filter(isOut).length;
+    const targetDistances = scene.targets.map(target => (target.collected ? 0 : Infinity));
+    let closestDistance = Infinity;
+    let success = false;
+
+    for (let i = 0; i < SIMULATION_FRAMES; i++) {
+        // Same substeps as PhysicsManager.update, with the same work before each one
+        stepEngine(tempEngine, balls.map(ball => ball.body), stepMs => {
+            // Advance moving surfaces exactly as Game.updateSurfaceMotion / Surface.setMotionTime do
+            motionTime += stepMs;
+            movingSurfaces.forEach(moving => {
+                const localTime = moving.start === null ? 0 : Math.max(0, motionTime - moving.start);
+                const carryVelocity = localTime >= moving.localTime && !moving.motion.jumpsBetween(moving.localTime, localTime);
+                moving.localTime = localTime;
+                const pose = moving.motion.getPose(moving.anchor, localTime);
+                applyPose(moving.body, getBodyPose(moving.body, pose), carryVelocity);
+            });
+
+            releaseBalls(motionTime);
+            balls.forEach(ball => applyForceZones(ball.body, scene.forceZones, tempWorld.gravity));
+        });
+        const releasedBalls = balls.filter(ball => ball.isActive);
+
+        // Portals teleport after the step, same as Game.passBallsThroughPortals
+        let primaryTeleported = false;
+        releasedBalls.forEach(ball => {
+            if (passThroughPortals(ball.body, scene.portals, ball) && ball === balls[0]) {
+                primaryTeleported = true;
+            }
+        });
+
+        // Property curves and the velocity cap, as Game.update does after physics
+        releasedBalls.forEach(ball => ball.update(FIXED_TIME_STEP));
+
+        trajectory.push({
+            x: primaryBall.position.x,
+            y: primaryBall.position.y,
+            teleported: primaryTeleported
+        });
+
+        // A hazard ends the run as a failure, same as Game.checkHazards
+        if (!hazardHit) {
+            const region = releasedBalls
+                .map(ball => findHazardHit(ball.body.position, ball.radius, scene.hazards))
+                .find(Boolean);
+            hazardHit = region ? region.type : null;
+        }
+        if (hazardHit) break;
+
+        // Collect stars as Target.checkCollection does (ball-specific stars only count for their ball)
+        releasedBalls.forEach(ball => {
+            scene.targets.forEach((target, targetIndex) => {
+                if (!isOut(target, targetIndex) || hiddenTargets.has(targetIndex) || !target.canBeCollectedBy(ball)) return;
+
+                const dx = ball.body.position.x - target.x;
+                const dy = ball.body.position.y - target.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+
+                if (distance < target.radius + ball.radius) {
+                    collectedTargets.push(targetIndex);
+                    targetDistances[targetIndex] = 0;
+                    return;
+                }
+                targetDistances[targetIndex] = Math.min(targetDistances[targetIndex], distance);
+                closestDistance = Math.min(closestDistance, distance);
+            });
+        });
+
+        success = collectedTargets.length > 0 && (!collectAll || collectedTargets.length === starsOut);
+        if (success) break;
+    }
+
+    // Clean up
+    Matter.World.clear(tempWorld);
+    Matter.Engine.clear(tempEngine);
+
+    return {
+        trajectory,
+        success,
+        collectedTargets,
+        targetDistances,
+        closestDistance,
+        collisionData,
+        hazardHit
+    };
+}
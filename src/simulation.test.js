@@ -0,0 +1,116 @@
+/**
+ * Unit tests for the DOM-free level simulation
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getLevel } from './levels.js';
+import { createPortalPair } from './portal.js';
+import { createHazard } from './hazards.js';
+import { Target } from './target.js';
+import { serializeScene, createSimulationScene, createLevelScene, simulateConfiguration, simulateLevel } from './simulation.js';
+
+// The bits of a Game serializeScene reads
+function createGameStub(targets) {
+    return {
+        canvas: { width: 800, height: 600 },
+        targets: targets.map(({ x, y }) => new Target(x, y)),
+        portals: [],
+        forceZones: [],
+        hazards: []
+    };
+}
+
+describe('serializeScene', () => {
+    it('should copy the live scene as plain data that survives a round trip', () => {
+        const game = createGameStub([{ x: 650, y: 350 }]);
+        game.portals = createPortalPair({ a: { x: 100, y: 100, angle: 0 }, b: { x: 600, y: 100, angle: 90 }, locked: false });
+        game.portals[0].x = 140; // Moved by the player
+        game.hazards = [createHazard({ type: 'lava', x: 400, y: 580, width: 200, height: 20 })];
+
+        const scene = serializeScene(game);
+        expect(structuredClone(scene)).toEqual(scene);
+        expect(scene.portals).toEqual([{ a: { x: 140, y: 100, angle: 0 }, b: { x: 600, y: 100, angle: 90 }, radius: 30 }]);
+
+        const rebuilt = createSimulationScene(scene);
+        expect(rebuilt.portals[0].partner).toBe(rebuilt.portals[1]);
+        expect(rebuilt.hazards[0].touches({ x: 400, y: 575 }, 10)).toBe(true);
+        expect(rebuilt.targets[0].canBeCollectedBy({ index: 0 })).toBe(true);
+    });
+});
+
+describe('simulateConfiguration', () => {
+    it('should succeed when a star sits in the ball\'s fall', () => {
+        const level = getLevel(1);
+        const scene = createSimulationScene(serializeScene(createGameStub([{ x: level.ballStart.x, y: 300 }])));
+        const result = simulateConfiguration(level.surfaces, level, scene);
+
+        expect(result.success).toBe(true);
+        expect(result.trajectory[result.trajectory.length - 1].y).toBeGreaterThan(level.ballStart.y);
+    });
+
+    it('should report how close a failed run came', () => {
+        const level = getLevel(1);
+        const scene = createSimulationScene(serializeScene(createGameStub([{ x: 700, y: 60 }])));
+        const result = simulateConfiguration(level.surfaces, level, scene);
+
+        expect(result.success).toBe(false);
+        expect(result.closestDistance).toBeGreaterThan(0);
+        expect(result.closestDistance).toBeLessThan(Infinity);
+    });
+});
+
+describe('simulateConfiguration timing', () => {
+    it('should drop the ball from where the swinging hook lets go', () => {
+        const level = getLevel(16); // Wave elasticity, swinging hook
+        const scene = createSimulationScene(serializeScene(createGameStub(level.targets)));
+        const still = simulateConfiguration(level.surfaces, level, scene);
+        const swungRight = simulateConfiguration(level.surfaces, level, scene, { releasePhase: 0.25 });
+        const swingingLeft = simulateConfiguration(level.surfaces, level, scene, { releasePhase: 0.5 });
+
+        expect(still.trajectory[0].x).toBeCloseTo(level.ballStart.x, 0);
+        expect(swungRight.trajectory[0].x).toBeGreaterThan(level.ballStart.x + 5);
+        expect(swingingLeft.trajectory[10].x).toBeLessThan(still.trajectory[10].x);
+    });
+
+    it('should follow the ball\'s elasticity curve', () => {
+        const level = getLevel(1);
+        const scene = createSimulationScene(serializeScene(createGameStub([{ x: 700, y: 60 }])));
+        const floorBounce = result => Math.min(...result.trajectory.slice(120).map(point => point.y));
+        const flat = { ...level, surfaces: [{ x: 150, y: 450, width: 200, angle: 0, locked: false }] };
+
+        const dead = simulateConfiguration(flat.surfaces, { ...flat, elasticityCurve: { keyframes: [{ t: 0, value: 0.2 }], period: 1000 } }, scene);
+        const bouncy = simulateConfiguration(flat.surfaces, { ...flat, elasticityCurve: { keyframes: [{ t: 0, value: 1 }], period: 1000 } }, scene);
+        expect(floorBounce(bouncy)).toBeLessThan(floorBounce(dead) - 50); // Bounces much higher
+    });
+});
+
+describe('simulateLevel', () => {
+    // Two stars straight below the hook, then one out of reach
+    const level = {
+        ...getLevel(1),
+        surfaces: [{ x: 600, y: 500, width: 100, angle: 0, locked: false }],
+        targets: [{ x: 150, y: 250 }, { x: 150, y: 400 }, { x: 700, y: 80 }]
+    };
+
+    it('should report the stars collected in order', () => {
+        const result = simulateLevel(level, level.surfaces, { collectAll: true });
+
+        expect(result.collectedTargets).toEqual([0, 1]);
+        expect(result.success).toBe(false); // The third star is still out
+        expect(result.trajectory.length).toBeGreaterThan(0);
+        expect(Array.isArray(result.collisionData)).toBe(true);
+    });
+
+    it('should stop at the first star unless asked to collect them all', () => {
+        const result = simulateLevel(level);
+        expect(result.success).toBe(true);
+        expect(result.collectedTargets).toEqual([0]);
+    });
+
+    it('should leave stars already collected in the scene alone', () => {
+        const scene = createLevelScene(level);
+        scene.targets[0].collected = true;
+        const result = simulateLevel(level, level.surfaces, { scene });
+        expect(result.collectedTargets).toEqual([1]);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Solution cache for BounceFlow - known-good layouts per level and star layout
+ *
+ * A level's geometry is fixed apart from where its stars are randomized to
+ * (and portals the player moved), so a layout that once collected every star
+ * often works again. Solutions come from two places:
+ * - solutions.json, bundled with the game: found ahead of time for each
+ *   level's own star positions (`npm run precompute:solutions`)
+ * - localStorage: every solution a live search finds on this device
+ * Each solution is stored with the stars it collected, as
+ * { targets: [[x, y], ...], surfaces: [[x, y, angle], ...], releasePhase },
+ * surfaces being the level's unlocked surfaces in order. A hint tries the
+ * solutions for the nearest star layouts first; they're only hints, so each
+ * is re-simulated before use (findCachedSolution in solver.js) and the
+ * solver searches live when none still works.
+ */
+
+import BUNDLED_SOLUTIONS from './solutions.json' with { type: 'json' };
+import { snapHookPhase } from './hook.js';
+
+export const STORAGE_KEY = 'bounceflow.solutions';
+// Solutions kept per level in localStorage (newest first)
+export const MAX_STORED_SOLUTIONS = 20;
+// Cached solutions re-simulated before falling back to a live search
+export const MAX_CANDIDATES = 5;
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * Positions of the stars still out, as stored with a solution
+ */
+export function getTargetLayout(targets) {
+    return targets
+        .filter(target => !target.collected)
+        .map(target => [round(target.x), round(target.y)]);
+}
+
+/**
+ * Total px between matching stars of two layouts (Infinity when the star
+ * counts differ)
+ */
+export function getLayoutDistance(a, b) {
+    if (a.length !== b.length) return Infinity;
+    return a.reduce((sum, [x, y], i) => sum + Math.hypot(x - b[i][0], y - b[i][1]), 0);
+}
+
+/**
+ * Level-style surfaces (what the solver and hints use) from a cached
+ * solution's poses - null if the level's surfaces have changed since
+ */
+export function getSolutionConfig(level, surfaces) {
+    if (level.surfaces.filter(surface => !surface.locked).length !== surfaces.length) return null;
+    let free = 0;
+    return level.surfaces.map(surface => {
+        if (surface.locked) return { ...surface, locked: true };
+        const [x, y, angle] = surfaces[free++];
+        return { ...surface, x, y, angle, locked: false };
+    });
+}
+
+/**
+ * Cached solutions for every level, from the bundled file and localStorage
+ * (`storage` - anything with getItem/setItem, or null to keep nothing)
+ */
+export class SolutionCache {
+    constructor({ storage = globalThis.localStorage ?? null, bundled = BUNDLED_SOLUTIONS } = {}) {
+        this.storage = storage;
+        this.bundled = bundled;
+        this.stored = this.load();
+    }
+
+    load() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable solution cache:', error);
+            return {};
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.stored));
+        } catch (error) {
+            // Full or disabled storage only costs a live search next time
+            console.warn('Could not save solution cache:', error);
+        }
+    }
+
+    /**
+     * Up to MAX_CANDIDATES solutions worth trying for a level's stars still
+     * out, nearest star layout first
+     */
+    getCandidates(levelId, targets) {
+        const layout = getTargetLayout(targets);
+        return [...(this.stored[levelId] || []), ...(this.bundled[levelId] || [])]
+            .map(solution => ({ solution, distance: getLayoutDistance(layout, solution.targets) }))
+            .filter(({ distance }) => distance < Infinity)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, MAX_CANDIDATES)
+            .map(({ solution }) => solution);
+    }
+
+    /**
+     * Remember a layout (`config`, level-style) that collected every star in
+     * `targets` still out
+     */
+    add(level, targets, config, releasePhase = null) {
+        const solution = {
+            targets: getTargetLayout(targets),
+            surfaces: config
+                .filter(surface => !surface.locked)
+                .map(surface => [round(surface.x), round(surface.y), round(surface.angle)]),
+            releasePhase: releasePhase === null ? null : snapHookPhase(releasePhase)
+        };
+        const others = (this.stored[level.id] || [])
+            .filter(existing => getLayoutDistance(existing.targets, solution.targets) > 0);
+        this.stored[level.id] = [solution, ...others].slice(0, MAX_STORED_SOLUTIONS);
+        this.save();
+        return solution;
+    }
+}
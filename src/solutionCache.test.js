@@ -0,0 +1,89 @@
+/**
+ * Unit tests for the solution cache
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { getLevel } from './levels.js';
+import {
+    SolutionCache, STORAGE_KEY, MAX_CANDIDATES, MAX_STORED_SOLUTIONS,
+    getTargetLayout, getLayoutDistance, getSolutionConfig
+} from './solutionCache.js';
+import { snapHookPhase } from './hook.js';
+
+// Just enough of localStorage
+function createStorage(items = {}) {
+    return {
+        items,
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = value; }
+    };
+}
+
+const level = getLevel(1);
+const layout = (x, y) => ({ targets: [[x, y]], surfaces: [[400, 450, 20]], releasePhase: null });
+
+describe('target layouts', () => {
+    it('should only count the stars still out', () => {
+        expect(getTargetLayout([{ x: 1.04, y: 2, collected: false }, { x: 5, y: 5, collected: true }])).toEqual([[1, 2]]);
+    });
+
+    it('should measure how far apart two layouts are', () => {
+        expect(getLayoutDistance([[0, 0], [10, 0]], [[3, 4], [10, 0]])).toBe(5);
+        expect(getLayoutDistance([[0, 0]], [[0, 0], [1, 1]])).toBe(Infinity);
+    });
+});
+
+describe('getSolutionConfig', () => {
+    it('should put cached poses on the level\'s unlocked surfaces', () => {
+        const config = getSolutionConfig(level, [[100, 200, -10]]);
+        expect(config[0]).toEqual({ ...level.surfaces[0], x: 100, y: 200, angle: -10, locked: false });
+    });
+
+    it('should reject poses for a different set of surfaces', () => {
+        expect(getSolutionConfig(level, [])).toBe(null);
+    });
+});
+
+describe('SolutionCache', () => {
+    it('should save found solutions and load them back', () => {
+        const storage = createStorage();
+        const cache = new SolutionCache({ storage, bundled: {} });
+        cache.add(level, [{ x: 600, y: 300 }], getSolutionConfig(level, [[123.456, 400, 15]]), 0.12345);
+
+        const reloaded = new SolutionCache({ storage, bundled: {} });
+        expect(reloaded.getCandidates(1, [{ x: 600, y: 300 }])).toEqual([
+            { targets: [[600, 300]], surfaces: [[123.5, 400, 15]], releasePhase: snapHookPhase(0.12345) }
+        ]);
+    });
+
+    it('should offer stored and bundled solutions nearest star layout first', () => {
+        const storage = createStorage({ [STORAGE_KEY]: JSON.stringify({ 1: [layout(640, 350)] }) });
+        const cache = new SolutionCache({ storage, bundled: { 1: [layout(650, 350), layout(700, 350)] } });
+
+        const candidates = cache.getCandidates(1, [{ x: 655, y: 350 }]);
+        expect(candidates.map(solution => solution.targets[0][0])).toEqual([650, 640, 700]);
+        expect(cache.getCandidates(1, [{ x: 0, y: 0 }, { x: 1, y: 1 }])).toEqual([]);
+        expect(cache.getCandidates(2, [{ x: 655, y: 350 }])).toEqual([]);
+    });
+
+    it('should keep a bounded number of candidates and stored solutions', () => {
+        const bundled = { 1: Array.from({ length: MAX_CANDIDATES + 3 }, (_, i) => layout(i, 0)) };
+        const cache = new SolutionCache({ storage: createStorage(), bundled });
+        expect(cache.getCandidates(1, [{ x: 0, y: 0 }])).toHaveLength(MAX_CANDIDATES);
+
+        for (let i = 0; i < MAX_STORED_SOLUTIONS + 5; i++) {
+            cache.add(level, [{ x: i, y: 0 }], level.surfaces);
+        }
+        cache.add(level, [{ x: 0, y: 0 }], level.surfaces); // Same stars replace the old one
+        expect(cache.stored[1]).toHaveLength(MAX_STORED_SOLUTIONS);
+        expect(cache.stored[1][0].targets).toEqual([[0, 0]]);
+    });
+
+    it('should start empty when storage is unreadable', () => {
+        const storage = createStorage({ [STORAGE_KEY]: '{not json' });
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(new SolutionCache({ storage, bundled: {} }).stored).toEqual({});
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+    });
+});
@@ -0,0 +1,48 @@
+/**
+ * Precompute the bundled solution cache (solutions.json, see solutionCache.js)
+ *
+ * Searches every level at its own star positions with each optimizer in turn
+ * until one finds a layout collecting every star in a single drop, and writes
+ * what it finds to solutions.json. Levels needing several drops get no
+ * entry - hints for those always search live. A plain Node script, run with
+ * `npm run precompute:solutions` after changing levels.
+ */
+
+import { writeFileSync } from 'node:fs';
+import { LEVELS } from './levels.js';
+import { SolverRun, findCachedSolution } from './solver.js';
+import { createLevelScene } from './simulation.js';
+import { SolutionCache } from './solutionCache.js';
+
+// Generous budget per optimizer - the hint solver gets far fewer
+const MAX_ATTEMPTS = 1000;
+const OPTIMIZERS = ['annealing', 'cmaes', 'genetic'];
+
+const cache = new SolutionCache({ storage: null, bundled: {} });
+
+LEVELS.forEach(level => {
+    console.log(`Level ${level.id} ${level.name}: searching...`);
+    const scene = createLevelScene(level);
+    for (const optimizer of OPTIMIZERS) {
+        const run = new SolverRun(level, scene, { optimizer, maxAttempts: MAX_ATTEMPTS });
+        while (!run.done) run.next();
+        if (!run.foundSolution) {
+            console.log(`  ${optimizer}: nothing after ${run.currentAttempt} attempts`);
+            continue;
+        }
+
+        // Stored positions are rounded, so check the layout still works as stored
+        const solution = cache.add(level, scene.targets, run.bestAttempt.config, run.bestReleasePhase);
+        if (findCachedSolution(level, run.scene, [solution])) {
+            console.log(`  ${optimizer}: solved after ${run.currentAttempt} attempts`);
+            break;
+        }
+        console.log(`  ${optimizer}: solved, but not once rounded for storage`);
+        delete cache.stored[level.id];
+    }
+    if (!cache.stored[level.id]) console.log('  no single-drop solution');
+});
+
+const file = new URL('./solutions.json', import.meta.url);
+writeFileSync(file, JSON.stringify(cache.stored, null, 2) + '\n');
+console.log(`Wrote ${Object.keys(cache.stored).length} of ${LEVELS.length} levels to ${file.pathname}`);
@@ -0,0 +1,175 @@
+/**
+ * Solver core for BounceFlow - searches surface layouts for one that collects every star
+ *
+ * DOM-free, so it runs the same in a Web Worker (solverWorker.js) and on the
+ * main thread. It never touches the live Game: SolverSystem hands it the level
+ * definition plus a serialized scene (see serializeScene in simulation.js),
+ * and every attempt is one simulateConfiguration() drop, scored by
+ * scoreDrop() in objective.js - stars collected, their order and how close
+ * the ball came to the rest.
+ *
+ * Usage:
+ * const run = new SolverRun(level, scene, { mode: 'explore', optimizer: 'cmaes' });
+ * while (!run.done) {
+ *     const { attempt, isBest } = run.next();
+ * }
+ */
+
+import { createSimulationScene, createLevelScene, simulateConfiguration } from './simulation.js';
+import { LayoutSpace, createOptimizer, DEFAULT_OPTIMIZER, OPTIMIZERS } from './optimizers.js';
+import { scoreDrop, getStarsOut } from './objective.js';
+import { getSolutionConfig } from './solutionCache.js';
+
+// Attempts per run - worth many more now they run off the main thread
+export const MAX_ATTEMPTS = { explore: 300, refine: 150 };
+
+/**
+ * What every solver attempt reports: the layout tried and how its drop went
+ */
+function createAttempt(config, releasePhase, result, score) {
+    return {
+        config,
+        releasePhase,
+        trajectory: result.trajectory,
+        success: result.success,
+        collectedTargets: result.collectedTargets,
+        score,
+        closestDistance: result.closestDistance,
+        collisionData: result.collisionData,
+        hazardHit: result.hazardHit
+    };
+}
+
+/**
+ * The first cached solution (see solutionCache.js) that still collects every
+ * star out in `scene` (from createSimulationScene), as a successful attempt -
+ * or null, so the solver searches live
+ */
+export function findCachedSolution(level, scene, solutions) {
+    for (const solution of solutions) {
+        const config = getSolutionConfig(level, solution.surfaces);
+        if (!config) continue;
+        const result = simulateConfiguration(config, level, scene, { releasePhase: solution.releasePhase, collectAll: true });
+        if (result.success) {
+            return createAttempt(config, solution.releasePhase, result, scoreDrop(result, scene.targets));
+        }
+    }
+    return null;
+}
+
+/**
+ * One solver search over surface layouts, driven by one of the optimizers
+ * in optimizers.js (the level's `solverOptimizer`, else simulated annealing)
+ *
+ * - explore: starts from the level's layout, with the first surface placed
+ *   below the ball to catch it
+ * - refine: starts from the player's layout (userConfig) and stays close
+ * A run succeeds when one drop collects every star still out; until then
+ * bestAttempt is the drop that got furthest. On levels where the hook swings,
+ * when to release (the hook phase) is searched along with the layout.
+ * `random` feeds the optimizer (default Math.random) - seed it to repeat a run.
+ */
+export class SolverRun {
+    constructor(level, scene, {
+        mode = 'explore',
+        userConfig = null,
+        maxAttempts = MAX_ATTEMPTS[mode],
+        optimizer = level.solverOptimizer || DEFAULT_OPTIMIZER,
+        random = Math.random
+    } = {}) {
+        this.level = level;
+        this.scene = createSimulationScene(scene);
+        this.mode = mode;
+        this.maxAttempts = maxAttempts;
+        this.space = new LayoutSpace(level, this.scene, { mode, userConfig });
+        this.optimizer = createOptimizer(optimizer, this.space, { maxAttempts, random });
+
+        this.starsOut = getStarsOut(this.scene.targets).length;
+        this.currentAttempt = 0;
+        this.bestScore = Infinity;
+        this.bestAttempt = null;
+        this.bestReleasePhase = null;
+        this.foundSolution = false;
+        this.done = false;
+    }
+
+    // How far the search has narrowed (1.0 → 0.0)
+    get temperature() {
+        return this.optimizer.temperature;
+    }
+
+    /**
+     * Generate and simulate one layout. Returns the attempt and whether it's
+     * the best so far.
+     */
+    next() {
+        const candidate = this.optimizer.propose();
+        const { config, releasePhase } = candidate;
+        const result = simulateConfiguration(config, this.level, this.scene, { releasePhase, collectAll: true });
+        const score = scoreDrop(result, this.scene.targets);
+        const attempt = createAttempt(config, releasePhase, result, score);
+        this.optimizer.report(candidate, score, result);
+        this.currentAttempt++;
+
+        const isBest = this.currentAttempt === 1 || score < this.bestScore;
+        if (isBest) {
+            this.bestScore = score;
+            this.bestAttempt = attempt;
+            this.bestReleasePhase = releasePhase;
+        }
+
+        if (result.success) {
+            this.foundSolution = true;
+            this.done = true;
+            return { attempt, isBest };
+        }
+
+        // Nothing free to search means every attempt would be the same
+        if (this.currentAttempt >= this.maxAttempts || this.optimizer.exhausted || this.space.dimensions === 0) {
+            this.done = true;
+        }
+        return { attempt, isBest };
+    }
+}
+
+/**
+ * Search for a way to finish a level. Stars stay collected between drops,
+ * as in play, so search drop after drop until every star is collected. Each
+ * drop runs every optimizer in turn, `restarts` times over, and stops at the
+ * first run that collects every star left; otherwise the drop is the best
+ * any run managed (the lowest score), which may collect only some of them.
+ * Short runs restarted often get stuck less than one long run.
+ * Returns { solved, drops, attempts }: drops are { config, releasePhase,
+ * collectedTargets } in order, attempts the simulations it took. Every run
+ * draws from the same `random`, so a seeded one repeats the whole solve.
+ */
+export function solveLevel(level, {
+    scene = createLevelScene(level),
+    optimizers = Object.keys(OPTIMIZERS),
+    maxAttempts = MAX_ATTEMPTS.explore,
+    restarts = 1,
+    random = Math.random
+} = {}) {
+    const targets = scene.targets.map(target => ({ ...target }));
+    const drops = [];
+    let attempts = 0;
+
+    while (targets.some(target => !target.collected)) {
+        let drop = null;
+        for (let restart = 0; restart < restarts && !drop?.success; restart++) {
+            for (const optimizer of optimizers) {
+                const run = new SolverRun(level, { ...scene, targets }, { optimizer, maxAttempts, random });
+                while (!run.done) run.next();
+                attempts += run.currentAttempt;
+                if (!drop || run.bestAttempt.score < drop.score) drop = run.bestAttempt;
+                if (run.foundSolution) break;
+            }
+        }
+        if (!drop || drop.collectedTargets.length === 0) return { solved: false, drops, attempts };
+
+        drops.push({ config: drop.config, releasePhase: drop.releasePhase, collectedTargets: drop.collectedTargets });
+        drop.collectedTargets.forEach(index => { targets[index].collected = true; });
+    }
+
+    return { solved: true, drops, attempts };
+}
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for the solver core
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getLevel } from './levels.js';
+import { Target } from './target.js';
+import { SolverRun, solveLevel, findCachedSolution } from './solver.js';
+import { serializeScene, createSimulationScene } from './simulation.js';
+import { createRandom } from './utils.js';
+
+// The bits of a Game serializeScene reads
+function createGameStub(targets) {
+    return {
+        canvas: { width: 800, height: 600 },
+        targets: targets.map(({ x, y }) => new Target(x, y)),
+        portals: [],
+        forceZones: [],
+        hazards: []
+    };
+}
+
+describe('SolverRun', () => {
+    it('should stop after its attempt budget and mark the first attempt best', () => {
+        const level = getLevel(1);
+        const scene = serializeScene(createGameStub([{ x: 700, y: 60 }]));
+        const run = new SolverRun(level, scene, { mode: 'refine', userConfig: level.surfaces, maxAttempts: 3 });
+
+        const results = [];
+        while (!run.done) results.push(run.next());
+
+        expect(results).toHaveLength(3);
+        expect(results[0].isBest).toBe(true);
+        expect(run.currentAttempt).toBe(3);
+        expect(results.every(({ attempt }) => attempt.config.length === level.surfaces.length)).toBe(true);
+    });
+
+    it('should cool down as an explore run goes on', () => {
+        const level = getLevel(1);
+        const run = new SolverRun(level, serializeScene(createGameStub(level.targets)), { maxAttempts: 4 });
+        run.next();
+        run.next();
+        expect(run.temperature).toBeCloseTo(0.75);
+    });
+
+    it('should search release timing only where the hook swings', () => {
+        const still = getLevel(1);
+        const swinging = getLevel(16);
+        const stillRun = new SolverRun(still, serializeScene(createGameStub(still.targets)), { maxAttempts: 1 });
+        const swingingRun = new SolverRun(swinging, serializeScene(createGameStub(swinging.targets)), { maxAttempts: 1 });
+
+        expect(stillRun.next().attempt.releasePhase).toBeNull();
+        const { attempt } = swingingRun.next();
+        expect(attempt.releasePhase).toBeGreaterThanOrEqual(0);
+        expect(attempt.releasePhase).toBeLessThan(1);
+        expect(swingingRun.bestReleasePhase).toBe(attempt.releasePhase);
+    });
+});
+
+describe('solveLevel', () => {
+    it('should keep dropping until every star is collected', () => {
+        const level = { ...getLevel(1), targets: [{ x: 150, y: 250 }, { x: 150, y: 400 }] };
+        const result = solveLevel(level, { optimizers: ['annealing'], maxAttempts: 50 });
+
+        expect(result.solved).toBe(true);
+        expect(result.drops.flatMap(drop => drop.collectedTargets).sort()).toEqual([0, 1]);
+        expect(result.attempts).toBeGreaterThanOrEqual(result.drops.length);
+    });
+
+    it('should repeat itself exactly from the same seed', () => {
+        const level = getLevel(2);
+        const solve = seed => solveLevel(level, { optimizers: ['annealing', 'genetic'], maxAttempts: 20, random: createRandom(seed) });
+
+        expect(solve(1)).toEqual(solve(1));
+    });
+
+    it('should give up when no optimizer finds a drop', () => {
+        const level = { ...getLevel(1), surfaces: [{ ...getLevel(1).surfaces[0], locked: true }], targets: [{ x: 700, y: 60 }] };
+        const result = solveLevel(level, { maxAttempts: 5 });
+        expect(result).toMatchObject({ solved: false, drops: [] });
+    });
+});
+
+describe('findCachedSolution', () => {
+    const level = getLevel(1);
+    // Star straight below the ball: the surface only has to stay out of the way
+    const scene = () => createSimulationScene(serializeScene(createGameStub([{ x: level.ballStart.x, y: 300 }])));
+    const clear = { targets: [[level.ballStart.x, 300]], surfaces: [[500, 450, 20]], releasePhase: null };
+    const blocking = { targets: [[level.ballStart.x, 300]], surfaces: [[level.ballStart.x, 200, 0]], releasePhase: null };
+
+    it('should return the first cached solution that still works, as a successful attempt', () => {
+        const attempt = findCachedSolution(level, scene(), [blocking, clear]);
+
+        expect(attempt.success).toBe(true);
+        expect(attempt.config[0]).toMatchObject({ x: 500, y: 450, angle: 20, width: level.surfaces[0].width });
+        expect(attempt.collectedTargets).toEqual([0]);
+    });
+
+    it('should return null when none still works, or they no longer fit the level', () => {
+        expect(findCachedSolution(level, scene(), [blocking])).toBe(null);
+        expect(findCachedSolution(level, scene(), [{ ...clear, surfaces: [] }])).toBe(null);
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * Solver benchmark - how well each optimizer (see optimizers.js) solves each level
+ *
+ * Runs the solver without a Game (in the solver worker, or wherever this is
+ * imported) on each level's own star positions. Every search is random, so
+ * each optimizer gets several runs per level, and each result reports:
+ * - successRate: share of runs that collected every star in one drop (0-1)
+ * - meanAttempts / medianAttempts: attempts the successful runs needed
+ *   (null when none succeeded)
+ *
+ * Run it in the browser with `?benchmark` (see SolverSystem.benchmark), e.g.
+ * `?benchmark=cmaes,grid&levels=16-25&runs=3` - results go to the console.
+ */
+
+import { LEVELS } from './levels.js';
+import { SolverRun, MAX_ATTEMPTS } from './solver.js';
+import { createLevelScene } from './simulation.js';
+import { OPTIMIZERS } from './optimizers.js';
+
+/**
+ * Explore-solve one level `runs` times with one optimizer
+ */
+export function benchmarkLevel(level, optimizer, { runs = 5, maxAttempts = MAX_ATTEMPTS.explore } = {}) {
+    const scene = createLevelScene(level);
+    const solvedAttempts = [];
+
+    for (let i = 0; i < runs; i++) {
+        const run = new SolverRun(level, scene, { optimizer, maxAttempts });
+        while (!run.done) run.next();
+        if (run.foundSolution) solvedAttempts.push(run.currentAttempt);
+    }
+
+    solvedAttempts.sort((a, b) => a - b);
+    const middle = Math.floor(solvedAttempts.length / 2);
+    return {
+        levelId: level.id,
+        levelName: level.name,
+        optimizer,
+        runs,
+        successRate: solvedAttempts.length / runs,
+        meanAttempts: solvedAttempts.length
+            ? solvedAttempts.reduce((sum, attempts) => sum + attempts, 0) / solvedAttempts.length
+            : null,
+        medianAttempts: solvedAttempts.length
+            ? (solvedAttempts.length % 2 ? solvedAttempts[middle] : (solvedAttempts[middle - 1] + solvedAttempts[middle]) / 2)
+            : null
+    };
+}
+
+/**
+ * Benchmark every optimizer on every level (or just `levelIds`). `onResult`
+ * is called as each level/optimizer pair finishes, since a full benchmark
+ * takes a while.
+ */
+export function runBenchmark({
+    levelIds = null,
+    optimizers = Object.keys(OPTIMIZERS),
+    runs,
+    maxAttempts,
+    onResult = () => {}
+} = {}) {
+    const levels = levelIds ? LEVELS.filter(level => levelIds.includes(level.id)) : LEVELS;
+    const results = [];
+    levels.forEach(level => {
+        optimizers.forEach(optimizer => {
+            const result = benchmarkLevel(level, optimizer, { runs, maxAttempts });
+            results.push(result);
+            onResult(result);
+        });
+    });
+    return results;
+}
+
+/**
+ * Level ids from text like "1,2,16-25"
+ */
+export function parseLevelIds(text) {
+    return text.split(',').flatMap(part => {
+        const [from, to = from] = part.split('-').map(Number);
+        return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+    });
+}
+
+/**
+ * Best optimizer per level id: highest success rate, then fewest attempts
+ */
+export function pickBestOptimizers(results) {
+    const best = {};
+    results.forEach(result => {
+        const current = best[result.levelId];
+        if (!current ||
+            result.successRate > current.successRate ||
+            (result.successRate === current.successRate && (result.meanAttempts ?? Infinity) < (current.meanAttempts ?? Infinity))) {
+            best[result.levelId] = result;
+        }
+    });
+    return Object.fromEntries(Object.entries(best).map(([levelId, result]) => [levelId, result.optimizer]));
+}
+
+/**
+ * Plain-text table of results, one row per level and optimizer
+ */
+export function formatBenchmark(results) {
+    const best = pickBestOptimizers(results);
+    const header = ['Level', 'Optimizer', 'Success', 'Mean attempts', 'Median attempts'];
+    const rows = results.map(result => [
+        `${result.levelId} ${result.levelName}`,
+        result.optimizer + (best[result.levelId] === result.optimizer ? ' *' : ''),
+        `${Math.round(result.successRate * 100)}% of ${result.runs}`,
+        result.meanAttempts === null ? '-' : result.meanAttempts.toFixed(1),
+        result.medianAttempts === null ? '-' : String(result.medianAttempts)
+    ]);
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+    return [formatRow(header), formatRow(widths.map(width => '-'.repeat(width))), ...rows.map(formatRow), '', '* best for the level']
+        .join('\n');
+}
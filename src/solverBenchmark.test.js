@@ -0,0 +1,40 @@
+/**
+ * Unit tests for the solver benchmark
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getLevel } from './levels.js';
+import { benchmarkLevel, parseLevelIds, pickBestOptimizers, formatBenchmark } from './solverBenchmark.js';
+
+describe('solver benchmark', () => {
+    it('should report success rate and attempts for a level', () => {
+        const result = benchmarkLevel(getLevel(1), 'grid', { runs: 2, maxAttempts: 10 });
+
+        expect(result).toMatchObject({ levelId: 1, optimizer: 'grid', runs: 2 });
+        expect(result.successRate).toBeGreaterThanOrEqual(0);
+        expect(result.successRate).toBeLessThanOrEqual(1);
+        if (result.successRate > 0) {
+            expect(result.meanAttempts).toBeLessThanOrEqual(10);
+        } else {
+            expect(result.meanAttempts).toBeNull();
+        }
+    });
+
+    it('should read level ids and ranges', () => {
+        expect(parseLevelIds('1,3,16-18')).toEqual([1, 3, 16, 17, 18]);
+    });
+
+    it('should pick the most reliable, then the quickest, optimizer per level', () => {
+        const results = [
+            { levelId: 1, levelName: 'First Bounce', optimizer: 'annealing', runs: 4, successRate: 1, meanAttempts: 40, medianAttempts: 38 },
+            { levelId: 1, levelName: 'First Bounce', optimizer: 'cmaes', runs: 4, successRate: 1, meanAttempts: 12, medianAttempts: 11 },
+            { levelId: 2, levelName: 'Double Bounce', optimizer: 'annealing', runs: 4, successRate: 0.5, meanAttempts: 90, medianAttempts: 90 },
+            { levelId: 2, levelName: 'Double Bounce', optimizer: 'grid', runs: 4, successRate: 0, meanAttempts: null, medianAttempts: null }
+        ];
+
+        expect(pickBestOptimizers(results)).toEqual({ 1: 'cmaes', 2: 'annealing' });
+        const table = formatBenchmark(results);
+        expect(table).toContain('cmaes *');
+        expect(table).toContain('0% of 4');
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Web Worker entry for the solver - runs SolverRun off the main thread
+ *
+ * Messages in:
+ * - { type: 'start', level, scene, options, solutions }: run a whole search
+ *   (scene from serializeScene in simulation.js, options as for SolverRun),
+ *   unless one of the cached `solutions` (solutionCache.js) still works
+ * - { type: 'benchmark', options }: compare optimizers (options as for
+ *   runBenchmark in solverBenchmark.js)
+ *
+ * Messages out:
+ * - { type: 'attempt', attempt, isBest, temperature }: after every simulation
+ *   (just the one for a cached solution, with `cached: true`)
+ * - { type: 'robustness', robustness }: how much nudging the solution takes
+ *   (see robustness.js), before 'done' when a solution was found
+ * - { type: 'done', foundSolution, attempts }: the search finished
+ * - { type: 'benchmarkResult', result }: after each level/optimizer pair
+ * - { type: 'benchmarkDone', results }: the benchmark finished
+ * - { type: 'error', message }: the search threw
+ *
+ * One worker runs one search (or benchmark); SolverSystem terminates it to
+ * stop early.
+ */
+
+import { SolverRun, findCachedSolution } from './solver.js';
+import { createSimulationScene } from './simulation.js';
+import { runBenchmark } from './solverBenchmark.js';
+import { analyzeRobustness } from './robustness.js';
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'benchmark') {
+        try {
+            const results = runBenchmark({
+                ...data.options,
+                onResult: result => self.postMessage({ type: 'benchmarkResult', result })
+            });
+            self.postMessage({ type: 'benchmarkDone', results });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+        return;
+    }
+    if (data.type !== 'start') return;
+
+    const postRobustness = (scene, attempt) => {
+        const robustness = analyzeRobustness(data.level, scene, attempt.config, { releasePhase: attempt.releasePhase });
+        self.postMessage({ type: 'robustness', robustness });
+    };
+
+    try {
+        const scene = createSimulationScene(data.scene);
+        const cached = findCachedSolution(data.level, scene, data.solutions || []);
+        if (cached) {
+            self.postMessage({ type: 'attempt', attempt: cached, isBest: true, temperature: 0, cached: true });
+            postRobustness(scene, cached);
+            self.postMessage({ type: 'done', foundSolution: true, attempts: 1 });
+            return;
+        }
+
+        const run = new SolverRun(data.level, data.scene, data.options);
+        while (!run.done) {
+            const { attempt, isBest } = run.next();
+            self.postMessage({ type: 'attempt', attempt, isBest, temperature: run.temperature });
+        }
+        if (run.foundSolution) {
+            postRobustness(run.scene, run.bestAttempt);
+        }
+        self.postMessage({ type: 'done', foundSolution: run.foundSolution, attempts: run.currentAttempt });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
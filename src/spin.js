@@ -0,0 +1,69 @@
+/**
+ * Ball spin for BounceFlow
+ *
+ * The ball's own Matter friction is its grip property (0 by default), and a
+ * contact uses min(ball, surface), so Matter alone never spins a plain ball.
+ * applySpinContact() models the bounce instead: a grippy surface drags on the
+ * slip between the ball's rim and the surface, trading sideways speed for
+ * spin - and a spinning ball's rim speed changes how the next bounce comes off.
+ *
+ * Only materials with a `grip` (rubber) do this - grip times SPIN_GRIP is how
+ * hard they grab. Standard surfaces and the walls have Matter friction 1 but
+ * no grip, so plain bounces stay spin-free, and the ball's own grip is left
+ * to Matter. Speeds are px per frame and angular velocity is radians per
+ * frame, clockwise positive (Matter's).
+ *
+ * The live game and the solver both call applySpinContact() from
+ * 'collisionStart', so hints spin the same way.
+ */
+
+import Matter from 'matter-js';
+
+// How much of a grippy surface's grip acts on the slip at impact (0-1)
+export const SPIN_GRIP = 0.6;
+
+/**
+ * Spin the ball (and slow or speed its slide) for a collision pair involving
+ * it. Returns the change in angular velocity (0 if nothing happened).
+ */
+export function applySpinContact(pair, ballBody) {
+    const isBallCollision = pair.bodyA === ballBody || pair.bodyB === ballBody;
+    if (!isBallCollision || pair.isSensor) return 0;
+
+    const otherPart = pair.bodyA === ballBody ? pair.bodyB : pair.bodyA;
+    const otherBody = otherPart.parent; // Compound-safe
+    // A ball with its own grip (friction patterns) already spins through
+    // Matter's contact friction - only top up the difference
+    const grip = Math.min(1, Math.max(0, (otherBody.plugin.grip || 0) - ballBody.friction) * SPIN_GRIP);
+    if (grip === 0) return 0;
+
+    // Contact normal pointing from the surface into the ball
+    const normal = pair.collision.normal;
+    const towardsBall = (ballBody.position.x - otherPart.position.x) * normal.x +
+        (ballBody.position.y - otherPart.position.y) * normal.y;
+    const sign = towardsBall < 0 ? -1 : 1;
+    const n = { x: normal.x * sign, y: normal.y * sign };
+    const tangent = { x: -n.y, y: n.x };
+    const radius = ballBody.circleRadius;
+
+    // Rim speed at the contact point (centre to contact is -n * radius),
+    // relative to a moving surface
+    const velocity = Matter.Body.getVelocity(ballBody);
+    const spin = Matter.Body.getAngularVelocity(ballBody);
+    const surfaceVelocity = Matter.Body.getVelocity(otherBody);
+    const rimX = velocity.x + spin * n.y * radius - surfaceVelocity.x;
+    const rimY = velocity.y - spin * n.x * radius - surfaceVelocity.y;
+    const slip = rimX * tangent.x + rimY * tangent.y;
+
+    // Disc (I = m r^2 / 2): full grip ends the slip, moving 1/3 of it out of the
+    // slide and 2/3 into spin
+    const slide = (grip * slip) / 3;
+    const spinChange = (2 * grip * slip) / (3 * radius);
+
+    Matter.Body.setVelocity(ballBody, {
+        x: velocity.x - tangent.x * slide,
+        y: velocity.y - tangent.y * slide
+    });
+    Matter.Body.setAngularVelocity(ballBody, spin + spinChange);
+    return spinChange;
+}
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for ball spin
+ */
+
+import { describe, it, expect } from 'vitest';
+import Matter from 'matter-js';
+import { applyMaterial } from './materials.js';
+import { applySpinContact } from './spin.js';
+
+function createBall(velocity, spin = 0) {
+    const body = Matter.Bodies.circle(400, 280, 20, { friction: 0 });
+    Matter.Body.setVelocity(body, velocity);
+    Matter.Body.setAngularVelocity(body, spin);
+    return body;
+}
+
+function createFloor(material) {
+    const body = Matter.Bodies.rectangle(400, 310, 400, 20, { isStatic: true });
+    applyMaterial(body, { material });
+    return body;
+}
+
+// Floor below the ball - Matter's normal can point either way
+function floorPair(floor, ball) {
+    return { bodyA: floor, bodyB: ball, isSensor: false, collision: { normal: { x: 0, y: 1 } } };
+}
+
+describe('applySpinContact', () => {
+    it('should turn a glancing hit on a grippy surface into spin', () => {
+        const ball = createBall({ x: 6, y: 5 });
+        const spinChange = applySpinContact(floorPair(createFloor('rubber'), ball), ball);
+
+        expect(spinChange).toBeGreaterThan(0); // Clockwise, rolling to the right
+        expect(Matter.Body.getAngularVelocity(ball)).toBeCloseTo(spinChange);
+        expect(Matter.Body.getVelocity(ball).x).toBeLessThan(6); // Slide traded for spin
+        expect(Matter.Body.getVelocity(ball).x).toBeGreaterThan(0);
+        expect(Matter.Body.getVelocity(ball).y).toBeCloseTo(5); // Bounce left to Matter
+    });
+
+    it('should not spin off standard surfaces, ice, walls or sensor contacts', () => {
+        ['standard', 'ice'].forEach(material => {
+            const ball = createBall({ x: 6, y: 5 });
+            expect(applySpinContact(floorPair(createFloor(material), ball), ball)).toBe(0);
+        });
+
+        // Static walls get Matter's friction 1, but no grip
+        const wall = Matter.Bodies.rectangle(400, 310, 400, 20, { isStatic: true });
+        const ball = createBall({ x: 6, y: 5 });
+        expect(applySpinContact(floorPair(wall, ball), ball)).toBe(0);
+        expect(applySpinContact({ ...floorPair(createFloor('rubber'), ball), isSensor: true }, ball)).toBe(0);
+        expect(Matter.Body.getVelocity(ball).x).toBeCloseTo(6);
+    });
+
+    it('should leave a ball already rolling at its speed alone', () => {
+        const ball = createBall({ x: 6, y: 5 }, 6 / 20);
+        expect(applySpinContact(floorPair(createFloor('rubber'), ball), ball)).toBeCloseTo(0);
+        expect(Matter.Body.getVelocity(ball).x).toBeCloseTo(6);
+    });
+
+    it('should let spin steer the next bounce', () => {
+        // Dropped straight down with backspin (anticlockwise) kicks off to the left
+        const ball = createBall({ x: 0, y: 5 }, -0.2);
+        applySpinContact(floorPair(createFloor('rubber'), ball), ball);
+        expect(Matter.Body.getVelocity(ball).x).toBeLessThan(0);
+        expect(Math.abs(Matter.Body.getAngularVelocity(ball))).toBeLessThan(0.2);
+    });
+
+    it('should ignore other pairs', () => {
+        const ball = createBall({ x: 6, y: 5 });
+        const floor = createFloor('rubber');
+        const other = Matter.Bodies.circle(100, 100, 10);
+        expect(applySpinContact({ bodyA: floor, bodyB: other, isSensor: false }, ball)).toBe(0);
+    });
+});
+
+describe('spin in a physics world', () => {
+    it('should start a ball thrown along a floor turning', () => {
+        const engine = Matter.Engine.create();
+        const floor = createFloor('rubber');
+        const ball = Matter.Bodies.circle(300, 250, 20, { friction: 0, restitution: 0.5 });
+        Matter.Composite.add(engine.world, [floor, ball]);
+        Matter.Body.setVelocity(ball, { x: 5, y: 0 });
+        Matter.Events.on(engine, 'collisionStart', event => {
+            event.pairs.forEach(pair => applySpinContact(pair, ball));
+        });
+
+        for (let i = 0; i < 30; i++) Matter.Engine.update(engine, 1000 / 60);
+
+        expect(ball.angle).toBeGreaterThan(0); // Turned clockwise as it bounced along
+    });
+});
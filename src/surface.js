@@ -2,18 +2,69 @@
  * Interactive surface entity for BounceFlow
  */
 
-import * as Matter from 'matter-js';
+import Matter from 'matter-js';
 import { pointNearLine, degToRad, radToDeg } from './utils.js';
+import { getMaterial, applyMaterial, DEFAULT_MATERIAL } from './materials.js';
+import { createSurfaceMotion, applyPose } from './surfaceMotion.js';
+import { setSurfaceRules } from './surfaceRules.js';
+import { setHazardSurface } from './hazards.js';
+import {
+    createShapeBody, getBodyPose, getShapeExtent, getHandlePoint, isFilledShape,
+    shapeContainsPoint, traceShape, validateShape, SURFACE_THICKNESS
+} from './surfaceShapes.js';
+
+// How long shatter fragments stay on screen
+const SHATTER_DURATION = 900;
 
 export class Surface {
-    constructor(x, y, width, angle = 0, locked = false, physicsWorld) {
+    constructor(x, y, width, angle = 0, locked = false, physicsWorld, options = {}) {
         this.x = x;
         this.y = y;
-        this.width = width;
         this.angle = angle;
         this.locked = locked;
         this.physicsWorld = physicsWorld;
-        this.thickness = 20; // Thicker for better collision detection
+        this.thickness = SURFACE_THICKNESS; // Thicker for better collision detection
+
+        // Shape ('line', 'arc', 'polygon', 'circle' - see surfaceShapes.js)
+        this.shape = options.shape || 'line';
+        this.radius = options.radius;
+        this.sweep = options.sweep;
+        this.vertices = options.vertices;
+        this.width = width;
+        validateShape(this);
+        if (this.shape !== 'line') {
+            this.width = getShapeExtent(this); // Used for effects like shattering
+        }
+
+        // Material ('standard', 'rubber', 'ice', 'foam', 'spring', 'conveyor')
+        this.material = options.material || DEFAULT_MATERIAL;
+        this.conveyorSpeed = options.conveyorSpeed;
+
+        // Kinematic motion (path, pendulum, spin) - x/y/angle stay the anchor,
+        // pose is where the surface actually is at motionTime
+        this.motion = createSurfaceMotion(options.motion);
+        this.motionTime = 0;
+        this.pose = this.getPose();
+        // waitForSwitch motion holds still until a switch starts it (motionStart
+        // is the game motion time it started at, null while waiting)
+        this.waitForSwitch = !!options.waitForSwitch;
+        this.motionStart = this.waitForSwitch ? null : 0;
+
+        // Switch-controlled gates and doors - hidden surfaces start out gone
+        this.startsHidden = !!options.hidden;
+        this.present = !this.startsHidden;
+        this.inWorld = false;
+
+        // Breakable / one-way rules (see surfaceRules.js)
+        this.oneWay = !!options.oneWay;
+        this.breakAfter = options.breakAfter || 0;
+        this.breakSpeed = options.breakSpeed || 0;
+        this.broken = false;
+        this.shards = [];
+        this.shatterTime = 0;
+
+        // Hazard surfaces ('spikes', 'lava', 'void') fail the attempt on contact
+        this.hazard = options.hazard || null;
 
         // Interaction state
         this.isDragging = false;
@@ -29,38 +80,124 @@ export class Surface {
 
     createPhysicsBody() {
         // Remove old body if it exists
-        if (this.body) {
+        if (this.body && this.inWorld) {
             Matter.World.remove(this.physicsWorld, this.body);
+            this.inWorld = false;
         }
 
-        // Create rectangular body
-        this.body = Matter.Bodies.rectangle(
-            this.x,
-            this.y,
-            this.width,
-            this.thickness,
-            {
-                isStatic: true,
-                angle: degToRad(this.angle),
-                friction: 0,
-                restitution: 0.99,
-                label: 'surface'
-            }
-        );
+        this.body = createShapeBody(this, this.pose);
+
+        // Restitution/friction come from the material
+        applyMaterial(this.body, { material: this.material, conveyorSpeed: this.conveyorSpeed });
+        setSurfaceRules(this.body, this);
+        setHazardSurface(this.body, this.hazard);
 
-        Matter.World.add(this.physicsWorld, this.body);
+        this.syncWorld();
     }
 
-    handleMouseDown(mx, my, isRightClick = false) {
-        if (this.locked) return false;
+    /**
+     * Keep the body in the world only while the surface is there and unbroken
+     */
+    syncWorld() {
+        const shouldBeInWorld = this.present && !this.broken;
+        if (shouldBeInWorld && !this.inWorld) {
+            Matter.World.add(this.physicsWorld, this.body);
+        } else if (!shouldBeInWorld && this.inWorld) {
+            Matter.World.remove(this.physicsWorld, this.body);
+        }
+        this.inWorld = shouldBeInWorld;
+    }
+
+    /**
+     * Open (false) or close (true) a switch-controlled surface
+     */
+    setPresent(present) {
+        this.present = present;
+        this.syncWorld();
+    }
+
+    /**
+     * Start waitForSwitch motion at a game motion time
+     */
+    startMotion(timeMs) {
+        if (this.motionStart === null) {
+            this.motionStart = timeMs;
+        }
+    }
+
+    isBreakable() {
+        return this.breakAfter > 0 || this.breakSpeed > 0;
+    }
 
+    get hits() {
+        return this.body.plugin.hits;
+    }
+
+    /**
+     * Remove the surface from the world and burst it into fragments
+     */
+    shatter() {
+        if (this.broken) return;
+
+        this.broken = true;
+        this.syncWorld();
+
+        const angleRad = degToRad(this.pose.angle);
+        const cos = Math.cos(angleRad);
+        const sin = Math.sin(angleRad);
+        const count = Math.max(4, Math.round(this.width / 20));
+        const pieceLength = this.width / count;
+
+        this.shards = [];
+        for (let i = 0; i < count; i++) {
+            const along = (i + 0.5) * pieceLength - this.width / 2;
+            // Fragments fly outwards from the middle and tumble
+            const spread = along / (this.width / 2);
+            this.shards.push({
+                x: this.pose.x + cos * along,
+                y: this.pose.y + sin * along,
+                vx: cos * spread * 2 + (Math.random() - 0.5) * 2,
+                vy: sin * spread * 2 - 2 - Math.random() * 2,
+                angle: angleRad,
+                spin: (Math.random() - 0.5) * 0.4,
+                length: pieceLength * 0.9
+            });
+        }
+        this.shatterTime = Date.now();
+    }
+
+    /**
+     * Put the surface back the way the level starts it - unbroken, no hits,
+     * shown or hidden, switch motion waiting (restart / next drop)
+     */
+    restore() {
+        this.broken = false;
+        this.shards = [];
+        this.body.plugin.hits = 0;
+        this.present = !this.startsHidden;
+        this.motionStart = this.waitForSwitch ? null : 0;
+        this.syncWorld();
+    }
+
+    /**
+     * True if a point is on (or within grabbing distance of) the surface
+     */
+    isNear(mx, my) {
         const hitThreshold = 15;
-        const endpoints = this.getEndpoints();
+        if (this.shape === 'line') {
+            const endpoints = this.getEndpoints();
+            return pointNearLine(mx, my, endpoints.x1, endpoints.y1, endpoints.x2, endpoints.y2, hitThreshold);
+        }
+        return shapeContainsPoint(this, this.pose, { x: mx, y: my }, hitThreshold - this.thickness / 2);
+    }
 
-        if (pointNearLine(mx, my, endpoints.x1, endpoints.y1, endpoints.x2, endpoints.y2, hitThreshold)) {
+    handleMouseDown(mx, my, isRightClick = false) {
+        if (this.locked || !this.inWorld) return false;
+
+        if (this.isNear(mx, my)) {
             if (isRightClick) {
                 this.isRotating = true;
-                this.rotationStartAngle = Math.atan2(my - this.y, mx - this.x);
+                this.rotationStartAngle = Math.atan2(my - this.pose.y, mx - this.pose.x);
             } else {
                 this.isDragging = true;
                 this.dragOffset = { x: mx - this.x, y: my - this.y };
@@ -79,16 +216,14 @@ export class Surface {
             this.y = my - this.dragOffset.y;
             this.updatePhysicsBody();
         } else if (this.isRotating) {
-            const currentAngle = Math.atan2(my - this.y, mx - this.x);
+            const currentAngle = Math.atan2(my - this.pose.y, mx - this.pose.x);
             const angleDiff = radToDeg(currentAngle - this.rotationStartAngle);
             this.angle += angleDiff;
             this.rotationStartAngle = currentAngle;
             this.updatePhysicsBody();
         } else {
             // Check for hover
-            const hitThreshold = 15;
-            const endpoints = this.getEndpoints();
-            this.hovered = pointNearLine(mx, my, endpoints.x1, endpoints.y1, endpoints.x2, endpoints.y2, hitThreshold);
+            this.hovered = this.isNear(mx, my);
         }
     }
 
@@ -110,8 +245,28 @@ export class Surface {
     }
 
     updatePhysicsBody() {
-        Matter.Body.setPosition(this.body, { x: this.x, y: this.y });
-        Matter.Body.setAngle(this.body, degToRad(this.angle));
+        this.pose = this.getPose();
+        applyPose(this.body, getBodyPose(this.body, this.pose));
+    }
+
+    getPose() {
+        const anchor = { x: this.x, y: this.y, angle: this.angle };
+        return this.motion ? this.motion.getPose(anchor, this.motionTime) : anchor;
+    }
+
+    /**
+     * Advance kinematic motion to a time (ms since release). Moving forward
+     * gives the body the velocity of the move so bounces pick up momentum.
+     */
+    setMotionTime(timeMs) {
+        if (!this.motion) return;
+
+        // Motion runs on its own clock from when it started
+        const localTime = this.motionStart === null ? 0 : Math.max(0, timeMs - this.motionStart);
+        const carryVelocity = localTime >= this.motionTime && !this.motion.jumpsBetween(this.motionTime, localTime);
+        this.motionTime = localTime;
+        this.pose = this.getPose();
+        applyPose(this.body, getBodyPose(this.body, this.pose), carryVelocity);
     }
 
     rotate(degrees) {
@@ -127,30 +282,40 @@ export class Surface {
         this.updatePhysicsBody();
     }
 
-    getEndpoints() {
-        const angleRad = degToRad(this.angle);
+    getEndpoints(pose = this.pose) {
+        const angleRad = degToRad(pose.angle);
         const halfWidth = this.width / 2;
 
         return {
-            x1: this.x - Math.cos(angleRad) * halfWidth,
-            y1: this.y - Math.sin(angleRad) * halfWidth,
-            x2: this.x + Math.cos(angleRad) * halfWidth,
-            y2: this.y + Math.sin(angleRad) * halfWidth
+            x1: pose.x - Math.cos(angleRad) * halfWidth,
+            y1: pose.y - Math.sin(angleRad) * halfWidth,
+            x2: pose.x + Math.cos(angleRad) * halfWidth,
+            y2: pose.y + Math.sin(angleRad) * halfWidth
         };
     }
 
     render(ctx, showAngle = false) {
+        if (this.broken) {
+            this.renderShards(ctx);
+            return;
+        }
+        if (!this.present) {
+            this.renderGhost(ctx);
+            return;
+        }
+
         const endpoints = this.getEndpoints();
 
         ctx.save();
 
-        // Draw surface line
-        ctx.beginPath();
-        ctx.moveTo(endpoints.x1, endpoints.y1);
-        ctx.lineTo(endpoints.x2, endpoints.y2);
+        // Draw surface line (or shape outline)
+        traceShape(ctx, this, this.pose);
+
+        const material = getMaterial(this.material);
+        const isStandard = this.material === DEFAULT_MATERIAL;
 
         if (this.locked) {
-            ctx.strokeStyle = '#555';
+            ctx.strokeStyle = isStandard ? '#555' : material.color;
             ctx.lineWidth = this.thickness;
         } else if (this.isDragging || this.isRotating) {
             ctx.strokeStyle = '#4ECDC4';
@@ -162,26 +327,54 @@ export class Surface {
             ctx.strokeStyle = '#95E1D3';
             ctx.lineWidth = this.thickness + 2;
         } else {
-            ctx.strokeStyle = '#2D2D2D';
+            ctx.strokeStyle = material.color;
             ctx.lineWidth = this.thickness;
         }
 
-        ctx.lineCap = 'round';
-        ctx.stroke();
+        if (isFilledShape(this)) {
+            // Blocks and bumpers: solid body, rim shows the interaction state
+            ctx.fillStyle = this.locked && isStandard ? '#555' : material.color;
+            ctx.fill();
+            ctx.lineWidth -= this.thickness - 3;
+            ctx.stroke();
+        } else {
+            ctx.lineCap = 'round';
+            ctx.stroke();
+        }
+
+        if (this.shape === 'line') {
+            // Material detail drawn over the base stroke
+            if (!isStandard) {
+                this.renderMaterialDetail(ctx, endpoints, material);
+            }
+
+            if (this.hazard) {
+                this.renderHazardDetail(ctx, endpoints);
+            }
+            if (this.oneWay) {
+                this.renderOneWayArrows(ctx);
+            }
+            if (this.isBreakable()) {
+                this.renderCracks(ctx, endpoints);
+            }
+        } else {
+            this.renderShapeDetail(ctx);
+        }
 
         // Draw control handles if not locked
         if (!this.locked) {
             // Center handle
+            const handle = getHandlePoint(this, this.pose);
             ctx.fillStyle = this.isDragging ? '#4ECDC4' : (this.hovered ? '#95E1D3' : '#fff');
             ctx.beginPath();
-            ctx.arc(this.x, this.y, 8, 0, Math.PI * 2);
+            ctx.arc(handle.x, handle.y, 8, 0, Math.PI * 2);
             ctx.fill();
             ctx.strokeStyle = '#2D2D2D';
             ctx.lineWidth = 2;
             ctx.stroke();
 
             // Rotation handles at endpoints
-            if (this.hovered || this.isRotating) {
+            if (this.shape === 'line' && (this.hovered || this.isRotating)) {
                 ctx.fillStyle = this.isRotating ? '#FFE66D' : 'rgba(255, 255, 255, 0.7)';
                 ctx.beginPath();
                 ctx.arc(endpoints.x1, endpoints.y1, 6, 0, Math.PI * 2);
@@ -196,14 +389,354 @@ export class Surface {
         if (showAngle && !this.locked) {
             const normalizedAngle = ((this.angle % 360) + 360) % 360; // Normalize to 0-360
             ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-            ctx.fillRect(this.x - 35, this.y - 40, 70, 25);
+            ctx.fillRect(this.pose.x - 35, this.pose.y - 40, 70, 25);
             ctx.fillStyle = '#FFE66D';
             ctx.font = 'bold 14px sans-serif';
             ctx.textAlign = 'center';
-            ctx.fillText(`${normalizedAngle.toFixed(0)}°`, this.x, this.y - 20);
+            ctx.fillText(`${normalizedAngle.toFixed(0)}°`, this.pose.x, this.pose.y - 20);
             ctx.textAlign = 'left';
         }
 
         ctx.restore();
     }
+
+    /**
+     * Dashed outline of where a moving surface will travel (shown while aiming)
+     */
+    renderMotionPreview(ctx) {
+        if (!this.motion) return;
+
+        const motion = this.motion;
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 6]);
+        ctx.beginPath();
+
+        if (motion.type === 'path') {
+            motion.waypoints.forEach((point, i) => {
+                const x = this.x + point.x;
+                const y = this.y + point.y;
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        } else {
+            const pivotX = this.x + motion.pivot.x;
+            const pivotY = this.y + motion.pivot.y;
+            const radius = Math.max(Math.hypot(motion.pivot.x, motion.pivot.y), this.width / 2);
+            const baseAngle = Math.atan2(-motion.pivot.y, -motion.pivot.x);
+
+            if (motion.type === 'pendulum') {
+                const swing = degToRad(motion.amplitude);
+                ctx.arc(pivotX, pivotY, radius, baseAngle - swing, baseAngle + swing);
+            } else {
+                ctx.arc(pivotX, pivotY, radius, 0, Math.PI * 2);
+            }
+            ctx.stroke();
+
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.arc(pivotX, pivotY, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Hazard rim and breakable edge for arcs, polygons and circles (line
+     * surfaces get the detailed versions below)
+     */
+    renderShapeDetail(ctx) {
+        const filled = isFilledShape(this);
+        ctx.save();
+        ctx.lineCap = 'round';
+
+        if (this.hazard) {
+            const colors = { spikes: '#D8D8D8', lava: '#FF5722', void: '#7C4DFF' };
+            ctx.strokeStyle = colors[this.hazard];
+            ctx.lineWidth = filled ? 4 : this.thickness * 0.4;
+            traceShape(ctx, this, this.pose);
+            ctx.stroke();
+        }
+        if (this.isBreakable()) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([3, 4]);
+            traceShape(ctx, this, this.pose);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Spikes along the top, a lava glow or a void stripe over the surface
+     */
+    renderHazardDetail(ctx, endpoints) {
+        const angleRad = degToRad(this.pose.angle);
+        const cos = Math.cos(angleRad);
+        const sin = Math.sin(angleRad);
+        const half = this.thickness / 2;
+
+        ctx.save();
+        ctx.lineCap = 'round';
+
+        if (this.hazard === 'spikes') {
+            // Teeth on both faces so the danger reads from either side
+            const size = 10;
+            const count = Math.max(3, Math.floor(this.width / size));
+            ctx.fillStyle = '#D8D8D8';
+            ctx.beginPath();
+            [-1, 1].forEach(side => {
+                for (let i = 0; i < count; i++) {
+                    const start = (i / count - 0.5) * this.width;
+                    const end = ((i + 1) / count - 0.5) * this.width;
+                    const middle = (start + end) / 2;
+                    const baseX = sin * half * side;
+                    const baseY = -cos * half * side;
+                    ctx.moveTo(this.pose.x + cos * start + baseX, this.pose.y + sin * start + baseY);
+                    ctx.lineTo(
+                        this.pose.x + cos * middle + sin * (half + size) * side,
+                        this.pose.y + sin * middle - cos * (half + size) * side
+                    );
+                    ctx.lineTo(this.pose.x + cos * end + baseX, this.pose.y + sin * end + baseY);
+                }
+            });
+            ctx.fill();
+        } else {
+            const isLava = this.hazard === 'lava';
+            ctx.strokeStyle = isLava ? '#FF5722' : '#0B0014';
+            ctx.shadowColor = isLava ? '#FF9800' : '#7C4DFF';
+            ctx.shadowBlur = 10 + Math.sin(Date.now() / 200) * 4;
+            ctx.lineWidth = this.thickness * 0.7;
+            ctx.beginPath();
+            ctx.moveTo(endpoints.x1, endpoints.y1);
+            ctx.lineTo(endpoints.x2, endpoints.y2);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Arrows pointing out of the side the ball can land on
+     */
+    renderOneWayArrows(ctx) {
+        const angleRad = degToRad(this.pose.angle);
+        const cos = Math.cos(angleRad);
+        const sin = Math.sin(angleRad);
+        const size = this.thickness * 0.3;
+        const count = Math.max(2, Math.floor(this.width / 40));
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        for (let i = 0; i < count; i++) {
+            const along = ((i + 0.5) / count - 0.5) * this.width;
+            const cx = this.pose.x + cos * along;
+            const cy = this.pose.y + sin * along;
+            // "Up" for the surface is (sin, -cos)
+            ctx.moveTo(cx - cos * size + sin * size * 0.5, cy - sin * size - cos * size * 0.5);
+            ctx.lineTo(cx + sin * size * 1.5, cy - cos * size * 1.5);
+            ctx.lineTo(cx + cos * size + sin * size * 0.5, cy + sin * size - cos * size * 0.5);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Glass edge for breakable surfaces, plus cracks that grow with each hit
+     */
+    renderCracks(ctx, endpoints) {
+        const angleRad = degToRad(this.pose.angle);
+        const cos = Math.cos(angleRad);
+        const sin = Math.sin(angleRad);
+        const half = this.thickness / 2;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([3, 4]);
+        ctx.beginPath();
+        ctx.moveTo(endpoints.x1, endpoints.y1);
+        ctx.lineTo(endpoints.x2, endpoints.y2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Each hit adds a zigzag crack at a fixed spot so they don't flicker
+        const crackCount = this.breakAfter > 0 ? Math.min(this.hits, this.breakAfter) : 0;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        for (let i = 0; i < crackCount; i++) {
+            const along = (((i * 0.37 + 0.2) % 0.8) - 0.4) * this.width;
+            const cx = this.pose.x + cos * along;
+            const cy = this.pose.y + sin * along;
+            ctx.beginPath();
+            ctx.moveTo(cx + sin * half, cy - cos * half);
+            ctx.lineTo(cx + cos * 5 + sin * half * 0.3, cy + sin * 5 - cos * half * 0.3);
+            ctx.lineTo(cx - cos * 4 - sin * half * 0.3, cy - sin * 4 + cos * half * 0.3);
+            ctx.lineTo(cx - sin * half, cy + cos * half);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Faint outline where a switch-controlled surface would be
+     */
+    renderGhost(ctx) {
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = isFilledShape(this) ? 2 : this.thickness;
+        ctx.setLineDash([8, 8]);
+        traceShape(ctx, this, this.pose);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Level-style definition of the surface as it is now (anchor position) -
+     * what the solver refines from
+     */
+    toConfig() {
+        return {
+            x: this.x,
+            y: this.y,
+            width: this.width,
+            angle: this.angle,
+            locked: this.locked,
+            shape: this.shape,
+            radius: this.radius,
+            sweep: this.sweep,
+            vertices: this.vertices,
+            material: this.material,
+            conveyorSpeed: this.conveyorSpeed,
+            motion: this.motion,
+            oneWay: this.oneWay,
+            breakAfter: this.breakAfter,
+            breakSpeed: this.breakSpeed,
+            hazard: this.hazard,
+            hidden: this.startsHidden,
+            waitForSwitch: this.waitForSwitch
+        };
+    }
+
+    /**
+     * Fragments of a broken surface falling away
+     */
+    renderShards(ctx) {
+        const elapsed = Date.now() - this.shatterTime;
+        if (this.shards.length === 0 || elapsed > SHATTER_DURATION) return;
+
+        const material = getMaterial(this.material);
+        const frames = elapsed / (1000 / 60);
+
+        ctx.save();
+        ctx.globalAlpha = 1 - elapsed / SHATTER_DURATION;
+        ctx.strokeStyle = this.material === DEFAULT_MATERIAL ? '#555' : material.color;
+        ctx.lineWidth = this.thickness * 0.6;
+        ctx.lineCap = 'round';
+
+        this.shards.forEach(shard => {
+            // Simple ballistic fall, computed from elapsed time
+            const x = shard.x + shard.vx * frames;
+            const y = shard.y + shard.vy * frames + 0.25 * frames * frames;
+            const angle = shard.angle + shard.spin * frames;
+            const dx = Math.cos(angle) * shard.length / 2;
+            const dy = Math.sin(angle) * shard.length / 2;
+            ctx.beginPath();
+            ctx.moveTo(x - dx, y - dy);
+            ctx.lineTo(x + dx, y + dy);
+            ctx.stroke();
+        });
+
+        ctx.restore();
+    }
+
+    renderMaterialDetail(ctx, endpoints, material) {
+        const angleRad = degToRad(this.pose.angle);
+        const cos = Math.cos(angleRad);
+        const sin = Math.sin(angleRad);
+
+        ctx.save();
+        ctx.strokeStyle = material.accent;
+        ctx.fillStyle = material.accent;
+        ctx.lineCap = 'round';
+
+        if (this.material === 'rubber') {
+            // Tread marks across the surface
+            ctx.lineWidth = 3;
+            ctx.setLineDash([4, 8]);
+            ctx.beginPath();
+            ctx.moveTo(endpoints.x1, endpoints.y1);
+            ctx.lineTo(endpoints.x2, endpoints.y2);
+            ctx.stroke();
+        } else if (this.material === 'ice') {
+            // Shiny highlight along the top edge
+            const offset = -this.thickness * 0.25;
+            ctx.globalAlpha = 0.9;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(endpoints.x1 - sin * offset + cos * 6, endpoints.y1 + cos * offset + sin * 6);
+            ctx.lineTo(endpoints.x2 - sin * offset - cos * 6, endpoints.y2 + cos * offset - sin * 6);
+            ctx.stroke();
+        } else if (this.material === 'foam') {
+            // Soft bubbles
+            const bubbleCount = Math.floor(this.width / 16);
+            for (let i = 0; i < bubbleCount; i++) {
+                const t = (i + 0.5) / bubbleCount - 0.5;
+                const wobble = (i % 2 === 0 ? -1 : 1) * this.thickness * 0.15;
+                ctx.beginPath();
+                ctx.arc(
+                    this.pose.x + cos * t * this.width - sin * wobble,
+                    this.pose.y + sin * t * this.width + cos * wobble,
+                    2.5, 0, Math.PI * 2
+                );
+                ctx.fill();
+            }
+        } else if (this.material === 'spring') {
+            // Coil zigzag
+            const coils = Math.max(4, Math.floor(this.width / 14));
+            const amplitude = this.thickness * 0.3;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(endpoints.x1, endpoints.y1);
+            for (let i = 1; i <= coils; i++) {
+                const t = i / coils - 0.5;
+                const side = i === coils ? 0 : (i % 2 === 0 ? -1 : 1) * amplitude;
+                ctx.lineTo(
+                    this.pose.x + cos * t * this.width - sin * side,
+                    this.pose.y + sin * t * this.width + cos * side
+                );
+            }
+            ctx.stroke();
+        } else if (this.material === 'conveyor') {
+            // Chevrons scrolling in the belt direction
+            const beltSpeed = this.body.plugin.conveyorSpeed;
+            const direction = beltSpeed >= 0 ? 1 : -1;
+            const spacing = 20;
+            const scroll = ((Date.now() / 1000) * Math.abs(beltSpeed) * 15) % spacing;
+            const chevron = this.thickness * 0.25;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            for (let d = -this.width / 2 + scroll; d < this.width / 2; d += spacing) {
+                const along = d * direction;
+                const tipX = this.pose.x + cos * along;
+                const tipY = this.pose.y + sin * along;
+                const backX = tipX - cos * chevron * direction;
+                const backY = tipY - sin * chevron * direction;
+                ctx.moveTo(backX - sin * chevron, backY + cos * chevron);
+                ctx.lineTo(tipX, tipY);
+                ctx.lineTo(backX + sin * chevron, backY - cos * chevron);
+            }
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
 }
@@ -0,0 +1,159 @@
+/**
+ * Kinematic surface motion for BounceFlow
+ *
+ * A level surface can carry a `motion` block that moves it over time. All
+ * offsets are relative to the surface's own position, so dragging an unlocked
+ * moving surface drags its whole path along with it.
+ *
+ * - path: slide along waypoints at constant speed
+ *   { type: 'path', waypoints: [{ x: 0, y: 0 }, { x: 200, y: 0 }], period: 4000, loop: 'pingpong' }
+ * - pendulum: swing back and forth around a pivot, amplitude in degrees
+ *   { type: 'pendulum', pivot: { x: 0, y: -150 }, amplitude: 30, period: 3000 }
+ * - spin: turn around a pivot (default: centre), negative period spins anticlockwise
+ *   { type: 'spin', period: 4000 }
+ *
+ * Every type also takes `phase` (fraction of a period). Motion time starts at
+ * 0 when the ball is released, so the solver can replay the exact same motion.
+ */
+
+import Matter from 'matter-js';
+import { PropertyCurve } from './propertyCurve.js';
+import { degToRad } from './utils.js';
+
+export const MOTION_TYPES = ['path', 'pendulum', 'spin'];
+
+export class SurfaceMotion {
+    constructor({ type, waypoints = [], pivot = { x: 0, y: 0 }, amplitude = 30, period = 4000, loop = 'pingpong', phase = 0 }) {
+        if (!MOTION_TYPES.includes(type)) {
+            throw new Error(`Unknown surface motion type: ${type}`);
+        }
+        if (!period) {
+            throw new Error('Surface motion needs a non-zero period');
+        }
+        if (type === 'path' && waypoints.length < 2) {
+            throw new Error('Path motion needs at least two waypoints');
+        }
+
+        this.type = type;
+        this.waypoints = waypoints;
+        this.pivot = pivot;
+        this.amplitude = amplitude;
+        this.period = Math.abs(period);
+        this.direction = Math.sign(period);
+        this.loop = loop;
+        this.phase = phase;
+
+        // Time → 0-1 cycle position, with the same loop/phase rules as property curves
+        this.progressCurve = new PropertyCurve({
+            keyframes: [{ t: 0, value: 0 }, { t: 1, value: 1 }],
+            period: this.period,
+            loop: type === 'path' ? loop : 'repeat',
+            phase
+        });
+
+        if (type === 'path') {
+            this.segmentLengths = [];
+            this.totalLength = 0;
+            for (let i = 1; i < waypoints.length; i++) {
+                const length = Math.hypot(waypoints[i].x - waypoints[i - 1].x, waypoints[i].y - waypoints[i - 1].y);
+                this.segmentLengths.push(length);
+                this.totalLength += length;
+            }
+        }
+    }
+
+    /**
+     * Pose at a given time for a surface anchored at { x, y, angle } (degrees)
+     */
+    getPose(anchor, timeMs) {
+        if (this.type === 'path') {
+            const offset = this.getPathOffset(this.progressCurve.evaluate(timeMs));
+            return { x: anchor.x + offset.x, y: anchor.y + offset.y, angle: anchor.angle };
+        }
+
+        let rotation;
+        if (this.type === 'pendulum') {
+            rotation = this.amplitude * Math.sin(this.progressCurve.evaluate(timeMs) * Math.PI * 2);
+        } else {
+            // Spin keeps accumulating so the angle never jumps back by 360°
+            rotation = 360 * this.direction * (timeMs / this.period + this.phase);
+        }
+
+        return this.rotateAboutPivot(anchor, rotation);
+    }
+
+    getPathOffset(progress) {
+        if (this.totalLength === 0) return { ...this.waypoints[0] };
+
+        let remaining = progress * this.totalLength;
+        for (let i = 0; i < this.segmentLengths.length; i++) {
+            const length = this.segmentLengths[i];
+            if (remaining <= length || i === this.segmentLengths.length - 1) {
+                const t = length > 0 ? Math.min(1, remaining / length) : 0;
+                const from = this.waypoints[i];
+                const to = this.waypoints[i + 1];
+                return {
+                    x: from.x + (to.x - from.x) * t,
+                    y: from.y + (to.y - from.y) * t
+                };
+            }
+            remaining -= length;
+        }
+
+        return { ...this.waypoints[this.waypoints.length - 1] };
+    }
+
+    rotateAboutPivot(anchor, rotationDeg) {
+        const rad = degToRad(rotationDeg);
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        // Centre relative to pivot is the negated pivot offset
+        const rx = -this.pivot.x;
+        const ry = -this.pivot.y;
+
+        return {
+            x: anchor.x + this.pivot.x + rx * cos - ry * sin,
+            y: anchor.y + this.pivot.y + rx * sin + ry * cos,
+            angle: anchor.angle + rotationDeg
+        };
+    }
+
+    /**
+     * True if the pose teleports between two times (a repeating path wrapping
+     * back to its start) - the body must not pick up velocity from that jump.
+     */
+    jumpsBetween(fromTime, toTime) {
+        if (this.type !== 'path' || this.loop !== 'repeat') return false;
+        const fromCycle = Math.floor(fromTime / this.period + this.phase);
+        const toCycle = Math.floor(toTime / this.period + this.phase);
+        return fromCycle !== toCycle;
+    }
+}
+
+/**
+ * Build motion from a level definition (or return null for a still surface)
+ */
+export function createSurfaceMotion(definition) {
+    if (!definition) return null;
+    if (definition instanceof SurfaceMotion) return definition;
+    return new SurfaceMotion(definition);
+}
+
+/**
+ * Move a static body to a pose. With carryVelocity the body keeps the
+ * velocity of the move, so Matter.js transfers momentum on contact.
+ * Otherwise it teleports and comes to rest there.
+ */
+export function applyPose(body, pose, carryVelocity = false) {
+    const position = { x: pose.x, y: pose.y };
+    const angle = degToRad(pose.angle);
+
+    if (!carryVelocity) {
+        Matter.Body.setPosition(body, position);
+        Matter.Body.setAngle(body, angle);
+    }
+
+    // Velocity = change since the last pose (zero right after a teleport)
+    Matter.Body.setPosition(body, position, true);
+    Matter.Body.setAngle(body, angle, true);
+}
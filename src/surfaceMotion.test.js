@@ -0,0 +1,71 @@
+/**
+ * Unit tests for kinematic surface motion
+ */
+
+import { describe, it, expect } from 'vitest';
+import { SurfaceMotion, createSurfaceMotion } from './surfaceMotion.js';
+
+const anchor = { x: 100, y: 200, angle: 10 };
+
+describe('SurfaceMotion path', () => {
+    const path = {
+        type: 'path',
+        waypoints: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }],
+        period: 1000
+    };
+
+    it('should move at constant speed along the waypoints', () => {
+        const motion = new SurfaceMotion(path);
+        expect(motion.getPose(anchor, 0)).toEqual({ x: 100, y: 200, angle: 10 });
+        expect(motion.getPose(anchor, 250).x).toBeCloseTo(150);
+        expect(motion.getPose(anchor, 750).y).toBeCloseTo(250);
+    });
+
+    it('should come back along the path with pingpong', () => {
+        const motion = new SurfaceMotion(path);
+        const pose = motion.getPose(anchor, 1750);
+        expect(pose.x).toBeCloseTo(150);
+        expect(pose.y).toBeCloseTo(200);
+    });
+
+    it('should only report jumps for repeating paths', () => {
+        expect(new SurfaceMotion(path).jumpsBetween(990, 1010)).toBe(false);
+
+        const repeating = new SurfaceMotion({ ...path, loop: 'repeat' });
+        expect(repeating.jumpsBetween(990, 1010)).toBe(true);
+        expect(repeating.jumpsBetween(500, 510)).toBe(false);
+    });
+});
+
+describe('SurfaceMotion rotation', () => {
+    it('should swing a pendulum around its pivot', () => {
+        const motion = new SurfaceMotion({ type: 'pendulum', pivot: { x: 0, y: -100 }, amplitude: 90, period: 1000 });
+        const pose = motion.getPose(anchor, 250);
+        expect(pose.angle).toBeCloseTo(100);
+        expect(pose.x).toBeCloseTo(0);
+        expect(pose.y).toBeCloseTo(100);
+    });
+
+    it('should keep spinning without wrapping the angle', () => {
+        const motion = new SurfaceMotion({ type: 'spin', period: 1000 });
+        expect(motion.getPose(anchor, 1500).angle).toBeCloseTo(550);
+        expect(motion.getPose(anchor, 1500).x).toBeCloseTo(100);
+    });
+
+    it('should spin anticlockwise with a negative period', () => {
+        const motion = new SurfaceMotion({ type: 'spin', period: -1000 });
+        expect(motion.getPose(anchor, 250).angle).toBeCloseTo(-80);
+    });
+});
+
+describe('createSurfaceMotion', () => {
+    it('should return null for still surfaces', () => {
+        expect(createSurfaceMotion(undefined)).toBeNull();
+    });
+
+    it('should reject invalid definitions', () => {
+        expect(() => createSurfaceMotion({ type: 'orbit' })).toThrow();
+        expect(() => createSurfaceMotion({ type: 'path', waypoints: [{ x: 0, y: 0 }] })).toThrow();
+        expect(() => createSurfaceMotion({ type: 'spin', period: 0 })).toThrow();
+    });
+});
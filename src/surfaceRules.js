@@ -0,0 +1,90 @@
+/**
+ * Breakable and one-way surface rules for BounceFlow
+ *
+ * Optional surface fields in levels.js:
+ * - breakAfter: N    - cracks on every hit and crumbles on the Nth (the ball
+ *                      still bounces off that last hit). 1 = one-shot surface
+ * - breakSpeed: S    - smashes when hit harder than S (speed into the surface,
+ *                      px per frame) and the ball flies straight through
+ * - oneWay: true     - the ball passes through from below and lands on top
+ *
+ * Rules live on the Matter body (body.plugin) like materials, so the live
+ * game and the solver share setSurfaceRules() and applySurfaceContact().
+ */
+
+import Matter from 'matter-js';
+
+// Touches slower than this (e.g. rolling along) don't count as hits
+export const MIN_HIT_SPEED = 1;
+
+/**
+ * Set up a surface body's rules ({ oneWay, breakAfter, breakSpeed }) and
+ * reset its hit count
+ */
+export function setSurfaceRules(body, surfaceData = {}) {
+    body.plugin.oneWay = !!surfaceData.oneWay;
+    body.plugin.breakAfter = surfaceData.breakAfter || 0;
+    body.plugin.breakSpeed = surfaceData.breakSpeed || 0;
+    body.plugin.hits = 0;
+}
+
+/**
+ * Ball speed into the surface along the contact normal
+ */
+export function getNormalImpactSpeed(pair, ballBody) {
+    const normal = pair.collision.normal;
+    const velocity = Matter.Body.getVelocity(ballBody);
+    return Math.abs(velocity.x * normal.x + velocity.y * normal.y);
+}
+
+/**
+ * True if the ball is under a one-way surface or moving up through it
+ */
+export function isComingFromBelow(surfaceBody, ballBody) {
+    // "Up" is the side the surface's top faces (negative y when flat)
+    const upX = Math.sin(surfaceBody.angle);
+    const upY = -Math.cos(surfaceBody.angle);
+    const offset = (ballBody.position.x - surfaceBody.position.x) * upX +
+        (ballBody.position.y - surfaceBody.position.y) * upY;
+    const velocity = Matter.Body.getVelocity(ballBody);
+    const upwardSpeed = velocity.x * upX + velocity.y * upY;
+    return offset < 0 || upwardSpeed > 0;
+}
+
+/**
+ * Apply surface rules to a new ball contact. Call from 'collisionStart',
+ * before Matter resolves the contact. Returns:
+ * - 'pass'    ball goes through a one-way surface (contact disabled)
+ * - 'smash'   hit above breakSpeed - surface breaks, ball goes through
+ * - 'crumble' last hit of breakAfter - ball bounces, surface breaks
+ * - 'hit'     an ordinary (counted) hit
+ * - null      not a ball/surface-rule contact, or too soft to count
+ */
+export function applySurfaceContact(pair, ballBody) {
+    const isBallCollision = pair.bodyA === ballBody || pair.bodyB === ballBody;
+    if (!isBallCollision) return null;
+
+    const surfaceBody = (pair.bodyA === ballBody ? pair.bodyB : pair.bodyA).parent; // Compound-safe
+    const rules = surfaceBody.plugin;
+    if (!rules.oneWay && !rules.breakAfter && !rules.breakSpeed) return null;
+
+    // A sensor pair is skipped by the resolver for as long as the contact lasts
+    if (rules.oneWay && isComingFromBelow(surfaceBody, ballBody)) {
+        pair.isSensor = true;
+        return 'pass';
+    }
+
+    const impactSpeed = getNormalImpactSpeed(pair, ballBody);
+    if (impactSpeed < MIN_HIT_SPEED) return null;
+
+    if (rules.breakSpeed && impactSpeed > rules.breakSpeed) {
+        pair.isSensor = true;
+        return 'smash';
+    }
+
+    rules.hits++;
+    if (rules.breakAfter && rules.hits >= rules.breakAfter) {
+        return 'crumble';
+    }
+    return 'hit';
+}
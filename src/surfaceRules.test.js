@@ -0,0 +1,108 @@
+/**
+ * Unit tests for breakable and one-way surface rules
+ */
+
+import { describe, it, expect } from 'vitest';
+import Matter from 'matter-js';
+import { setSurfaceRules, applySurfaceContact, isComingFromBelow } from './surfaceRules.js';
+
+function createSurface(rules, angle = 0) {
+    const body = Matter.Bodies.rectangle(400, 300, 300, 20, { isStatic: true, angle });
+    setSurfaceRules(body, rules);
+    return body;
+}
+
+function createBall(x, y, velocity) {
+    const body = Matter.Bodies.circle(x, y, 20);
+    Matter.Body.setVelocity(body, velocity);
+    return body;
+}
+
+// Pair straight down onto a flat surface
+function createPair(surface, ball, normal = { x: 0, y: 1 }) {
+    return { bodyA: surface, bodyB: ball, collision: { normal }, isSensor: false };
+}
+
+describe('applySurfaceContact', () => {
+    it('should ignore surfaces without rules', () => {
+        const surface = createSurface({});
+        const ball = createBall(400, 270, { x: 0, y: 5 });
+        expect(applySurfaceContact(createPair(surface, ball), ball)).toBe(null);
+    });
+
+    it('should crumble on the last of breakAfter hits', () => {
+        const surface = createSurface({ breakAfter: 2 });
+        const ball = createBall(400, 270, { x: 0, y: 5 });
+
+        expect(applySurfaceContact(createPair(surface, ball), ball)).toBe('hit');
+        const pair = createPair(surface, ball);
+        expect(applySurfaceContact(pair, ball)).toBe('crumble');
+        expect(pair.isSensor).toBe(false); // Ball still bounces off the last hit
+    });
+
+    it('should not count soft touches as hits', () => {
+        const surface = createSurface({ breakAfter: 1 });
+        const ball = createBall(400, 270, { x: 6, y: 0.2 }); // Rolling along
+        expect(applySurfaceContact(createPair(surface, ball), ball)).toBe(null);
+        expect(surface.plugin.hits).toBe(0);
+    });
+
+    it('should smash through above breakSpeed', () => {
+        const surface = createSurface({ breakSpeed: 8 });
+        const slow = createBall(400, 270, { x: 0, y: 6 });
+        expect(applySurfaceContact(createPair(surface, slow), slow)).toBe('hit');
+
+        const fast = createBall(400, 270, { x: 0, y: 10 });
+        const pair = createPair(surface, fast);
+        expect(applySurfaceContact(pair, fast)).toBe('smash');
+        expect(pair.isSensor).toBe(true);
+    });
+
+    it('should let the ball up through a one-way surface', () => {
+        const surface = createSurface({ oneWay: true });
+        const ball = createBall(400, 330, { x: 0, y: -5 });
+        const pair = createPair(surface, ball, { x: 0, y: -1 });
+        expect(applySurfaceContact(pair, ball)).toBe('pass');
+        expect(pair.isSensor).toBe(true);
+    });
+
+    it('should land the ball on top of a one-way surface', () => {
+        const surface = createSurface({ oneWay: true });
+        const ball = createBall(400, 270, { x: 0, y: 5 });
+        const pair = createPair(surface, ball);
+        applySurfaceContact(pair, ball);
+        expect(pair.isSensor).toBe(false);
+    });
+});
+
+describe('isComingFromBelow', () => {
+    it('should follow the surface angle', () => {
+        // Turned 90° clockwise, the top faces right
+        const surface = createSurface({ oneWay: true }, Math.PI / 2);
+        expect(isComingFromBelow(surface, createBall(430, 300, { x: -3, y: 0 }))).toBe(false);
+        expect(isComingFromBelow(surface, createBall(370, 300, { x: 3, y: 0 }))).toBe(true);
+    });
+});
+
+describe('one-way surface in a physics world', () => {
+    it('should let a rising ball through and then hold it up', () => {
+        const engine = Matter.Engine.create();
+        engine.gravity.y = 1;
+        const surface = createSurface({ oneWay: true });
+        const ball = createBall(400, 360, { x: 0, y: -14 });
+        Matter.Composite.add(engine.world, [surface, ball]);
+        Matter.Events.on(engine, 'collisionStart', event => {
+            event.pairs.forEach(pair => applySurfaceContact(pair, ball));
+        });
+
+        let highest = ball.position.y;
+        for (let i = 0; i < 120; i++) {
+            Matter.Engine.update(engine, 1000 / 60);
+            highest = Math.min(highest, ball.position.y);
+        }
+
+        expect(highest).toBeLessThan(260); // Went up through the surface
+        expect(ball.position.y).toBeLessThan(290); // Came to rest on top
+        expect(Math.abs(ball.position.y - 270)).toBeLessThan(5);
+    });
+});
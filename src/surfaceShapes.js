@@ -0,0 +1,247 @@
+/**
+ * Surface shapes for BounceFlow
+ *
+ * Surfaces are straight bars unless a level gives them a `shape`:
+ * - line (default): a `width` x 20 bar turned by `angle`
+ * - arc: a curved bar around the centre (x, y) - quarter-pipes and bowls
+ *   { shape: 'arc', x: 400, y: 300, radius: 120, sweep: 90, angle: 45, locked: true }
+ *   `radius` is to the middle of the bar, `sweep` is the degrees it covers and
+ *   `angle` points from the centre to the middle of the arc (90 = below it)
+ * - polygon: a convex block, vertices relative to (x, y) before rotation
+ *   { shape: 'polygon', x: 400, y: 300, angle: 0, vertices: [{ x: -40, y: 30 }, { x: 40, y: 30 }, { x: 0, y: -40 }] }
+ * - circle: a round bumper
+ *   { shape: 'circle', x: 400, y: 300, radius: 30 }
+ *
+ * Arcs are Matter compound bodies (one short bar per segment), so collision
+ * pairs hold a part - use pair.bodyA.parent to get back to the surface body.
+ * Surface and the solver build bodies with createShapeBody(), move them with
+ * getBodyPose() and draw them with traceShape().
+ */
+
+import Matter from 'matter-js';
+import { degToRad, pointNearLine } from './utils.js';
+
+export const SHAPES = ['line', 'arc', 'polygon', 'circle'];
+export const SURFACE_THICKNESS = 20;
+
+// Each arc segment covers this many degrees
+const ARC_SEGMENT_DEGREES = 10;
+
+/**
+ * Check a surface definition's shape fields (throws on bad input)
+ */
+export function validateShape(data) {
+    const shape = data.shape || 'line';
+    if (!SHAPES.includes(shape)) {
+        throw new Error(`Unknown surface shape: ${shape}`);
+    }
+    if (shape === 'line' && !(data.width > 0)) {
+        throw new Error('Line surfaces need a positive width');
+    }
+    if ((shape === 'arc' || shape === 'circle') && !(data.radius > 0)) {
+        throw new Error(`${shape} surfaces need a positive radius`);
+    }
+    if (shape === 'arc' && !(data.sweep > 0 && data.sweep <= 360)) {
+        throw new Error('Arc surfaces need a sweep between 0 and 360 degrees');
+    }
+    if (shape === 'polygon' && !(Array.isArray(data.vertices) && data.vertices.length >= 3)) {
+        throw new Error('Polygon surfaces need at least three vertices');
+    }
+    return shape;
+}
+
+/**
+ * Rough size of a shape in px (bar length, arc length, diameter)
+ */
+export function getShapeExtent(data) {
+    const shape = data.shape || 'line';
+    if (shape === 'arc') return data.radius * degToRad(data.sweep);
+    if (shape === 'circle') return data.radius * 2;
+    if (shape === 'polygon') {
+        return 2 * Math.max(...data.vertices.map(v => Math.hypot(v.x, v.y)));
+    }
+    return data.width;
+}
+
+/**
+ * Polygon vertices / arc angles placed at a pose ({ x, y, angle } in degrees)
+ */
+function getPolygonPoints(data, pose) {
+    const angle = degToRad(pose.angle);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return data.vertices.map(v => ({
+        x: pose.x + v.x * cos - v.y * sin,
+        y: pose.y + v.x * sin + v.y * cos
+    }));
+}
+
+function getArcRange(data, pose) {
+    const middle = degToRad(pose.angle);
+    const half = degToRad(data.sweep) / 2;
+    return { start: middle - half, end: middle + half };
+}
+
+/**
+ * Static Matter body for a surface at a pose. Bodies are built unrotated
+ * around the pose and then turned, so getBodyPose() can move them later.
+ */
+export function createShapeBody(data, pose) {
+    const shape = validateShape(data);
+    const options = { isStatic: true, label: 'surface' };
+    let body;
+
+    if (shape === 'circle') {
+        body = Matter.Bodies.circle(pose.x, pose.y, data.radius, options);
+    } else if (shape === 'polygon') {
+        const points = getPolygonPoints(data, { x: pose.x, y: pose.y, angle: 0 });
+        body = Matter.Bodies.fromVertices(0, 0, [points], options);
+        // fromVertices centres the body on its centre of mass - put the vertices back
+        Matter.Body.setPosition(body, Matter.Vertices.centre(points));
+    } else if (shape === 'arc') {
+        const { start, end } = getArcRange(data, { angle: 0 });
+        const segments = Math.max(1, Math.ceil(data.sweep / ARC_SEGMENT_DEGREES));
+        const step = (end - start) / segments;
+        // Segments overlap slightly so the ball can't catch on the joins
+        const segmentLength = 2 * data.radius * Math.sin(step / 2) + SURFACE_THICKNESS * 0.5;
+        const parts = [];
+        for (let i = 0; i < segments; i++) {
+            const a = start + step * (i + 0.5);
+            parts.push(Matter.Bodies.rectangle(
+                pose.x + Math.cos(a) * data.radius,
+                pose.y + Math.sin(a) * data.radius,
+                segmentLength,
+                SURFACE_THICKNESS,
+                { angle: a + Math.PI / 2 }
+            ));
+        }
+        body = Matter.Body.create({ parts, label: 'surface' });
+        Matter.Body.setStatic(body, true);
+    } else {
+        body = Matter.Bodies.rectangle(pose.x, pose.y, data.width, SURFACE_THICKNESS, options);
+    }
+
+    body.plugin.shape = shape;
+    // Offset from the pose to Matter's body position, in the shape's own frame
+    body.plugin.shapeOffset = { x: body.position.x - pose.x, y: body.position.y - pose.y };
+    Matter.Body.setAngle(body, degToRad(pose.angle));
+    Matter.Body.setPosition(body, getBodyPose(body, pose));
+    return body;
+}
+
+/**
+ * Where Matter's body must be for the surface to sit at a pose (pass the
+ * result to applyPose)
+ */
+export function getBodyPose(body, pose) {
+    const offset = body.plugin.shapeOffset || { x: 0, y: 0 };
+    const angle = degToRad(pose.angle);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return {
+        x: pose.x + offset.x * cos - offset.y * sin,
+        y: pose.y + offset.x * sin + offset.y * cos,
+        angle: pose.angle
+    };
+}
+
+/**
+ * Angle (degrees) of the surface where a contact happened - the bar's own
+ * angle for lines, the tangent to the contact normal for curved shapes
+ */
+export function getContactSurfaceAngle(body, normal) {
+    if (!body.plugin.shape || body.plugin.shape === 'line') {
+        return body.angle * (180 / Math.PI);
+    }
+    return Math.atan2(normal.y, normal.x) * (180 / Math.PI) - 90;
+}
+
+/**
+ * True for shapes drawn filled (polygon, circle) rather than as a thick stroke
+ */
+export function isFilledShape(data) {
+    return data.shape === 'polygon' || data.shape === 'circle';
+}
+
+/**
+ * Add a shape's path at a pose to ctx: the centre line for bars and arcs,
+ * the outline for filled shapes
+ */
+export function traceShape(ctx, data, pose) {
+    const shape = data.shape || 'line';
+    ctx.beginPath();
+
+    if (shape === 'circle') {
+        ctx.arc(pose.x, pose.y, data.radius, 0, Math.PI * 2);
+    } else if (shape === 'arc') {
+        const { start, end } = getArcRange(data, pose);
+        ctx.arc(pose.x, pose.y, data.radius, start, end);
+    } else if (shape === 'polygon') {
+        getPolygonPoints(data, pose).forEach((point, i) => {
+            if (i === 0) ctx.moveTo(point.x, point.y);
+            else ctx.lineTo(point.x, point.y);
+        });
+        ctx.closePath();
+    } else {
+        const angle = degToRad(pose.angle);
+        const dx = Math.cos(angle) * data.width / 2;
+        const dy = Math.sin(angle) * data.width / 2;
+        ctx.moveTo(pose.x - dx, pose.y - dy);
+        ctx.lineTo(pose.x + dx, pose.y + dy);
+    }
+}
+
+/**
+ * Point on the shape to put its drag handle (middle of an arc, else the pose)
+ */
+export function getHandlePoint(data, pose) {
+    if (data.shape !== 'arc') return { x: pose.x, y: pose.y };
+    const angle = degToRad(pose.angle);
+    return {
+        x: pose.x + Math.cos(angle) * data.radius,
+        y: pose.y + Math.sin(angle) * data.radius
+    };
+}
+
+/**
+ * Hit-test a point against a shape at a pose, within `tolerance` px of its edge
+ */
+export function shapeContainsPoint(data, pose, point, tolerance = 0) {
+    const shape = data.shape || 'line';
+    const dx = point.x - pose.x;
+    const dy = point.y - pose.y;
+
+    if (shape === 'circle') {
+        return Math.hypot(dx, dy) <= data.radius + tolerance;
+    }
+
+    if (shape === 'arc') {
+        const distanceFromBar = Math.abs(Math.hypot(dx, dy) - data.radius);
+        if (distanceFromBar > SURFACE_THICKNESS / 2 + tolerance) return false;
+        // Angle from the arc's middle, wrapped to -180..180°
+        const offset = Math.atan2(dy, dx) - degToRad(pose.angle);
+        const wrapped = Math.atan2(Math.sin(offset), Math.cos(offset));
+        const margin = (SURFACE_THICKNESS / 2 + tolerance) / data.radius;
+        return Math.abs(wrapped) <= degToRad(data.sweep) / 2 + margin;
+    }
+
+    if (shape === 'polygon') {
+        const points = getPolygonPoints(data, pose);
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+            if (pointNearLine(point.x, point.y, a.x, a.y, b.x, b.y, tolerance)) return true;
+        }
+        return inside;
+    }
+
+    const angle = degToRad(pose.angle);
+    const hx = Math.cos(angle) * data.width / 2;
+    const hy = Math.sin(angle) * data.width / 2;
+    return pointNearLine(point.x, point.y, pose.x - hx, pose.y - hy, pose.x + hx, pose.y + hy, SURFACE_THICKNESS / 2 + tolerance);
+}
@@ -0,0 +1,115 @@
+/**
+ * Unit tests for arc, polygon and circle surface shapes
+ */
+
+import { describe, it, expect } from 'vitest';
+import Matter from 'matter-js';
+import {
+    validateShape, createShapeBody, getBodyPose, getContactSurfaceAngle, shapeContainsPoint
+} from './surfaceShapes.js';
+
+const TRIANGLE = [{ x: -40, y: 30 }, { x: 40, y: 30 }, { x: 0, y: -40 }];
+
+describe('validateShape', () => {
+    it('should default to a line needing a width', () => {
+        expect(validateShape({ width: 100 })).toBe('line');
+        expect(() => validateShape({})).toThrow();
+    });
+
+    it('should reject bad shape fields', () => {
+        expect(() => validateShape({ shape: 'star' })).toThrow();
+        expect(() => validateShape({ shape: 'arc', radius: 100 })).toThrow();
+        expect(() => validateShape({ shape: 'circle', radius: 0 })).toThrow();
+        expect(() => validateShape({ shape: 'polygon', vertices: TRIANGLE.slice(0, 2) })).toThrow();
+        expect(validateShape({ shape: 'arc', radius: 100, sweep: 90 })).toBe('arc');
+    });
+});
+
+describe('shapeContainsPoint', () => {
+    it('should hit-test along an arc but not its centre', () => {
+        // Bowl: a half circle below the centre
+        const arc = { shape: 'arc', radius: 100, sweep: 180 };
+        const pose = { x: 400, y: 300, angle: 90 };
+        expect(shapeContainsPoint(arc, pose, { x: 400, y: 400 })).toBe(true);
+        expect(shapeContainsPoint(arc, pose, { x: 329, y: 371 })).toBe(true);
+        expect(shapeContainsPoint(arc, pose, { x: 400, y: 300 })).toBe(false);
+        expect(shapeContainsPoint(arc, pose, { x: 400, y: 200 })).toBe(false); // Open side
+    });
+
+    it('should hit-test inside a turned polygon', () => {
+        const polygon = { shape: 'polygon', vertices: TRIANGLE };
+        expect(shapeContainsPoint(polygon, { x: 400, y: 300, angle: 0 }, { x: 400, y: 320 })).toBe(true);
+        expect(shapeContainsPoint(polygon, { x: 400, y: 300, angle: 180 }, { x: 400, y: 330 })).toBe(true);
+        expect(shapeContainsPoint(polygon, { x: 400, y: 300, angle: 180 }, { x: 400, y: 345 })).toBe(false);
+        expect(shapeContainsPoint(polygon, { x: 400, y: 300, angle: 180 }, { x: 400, y: 345 }, 10)).toBe(true);
+    });
+
+    it('should hit-test circles and lines', () => {
+        const pose = { x: 400, y: 300, angle: 0 };
+        expect(shapeContainsPoint({ shape: 'circle', radius: 30 }, pose, { x: 425, y: 300 })).toBe(true);
+        expect(shapeContainsPoint({ shape: 'circle', radius: 30 }, pose, { x: 435, y: 300 })).toBe(false);
+        expect(shapeContainsPoint({ width: 200 }, pose, { x: 490, y: 305 })).toBe(true);
+        expect(shapeContainsPoint({ width: 200 }, pose, { x: 400, y: 320 })).toBe(false);
+    });
+});
+
+describe('createShapeBody', () => {
+    it('should build arcs as compound bodies', () => {
+        const body = createShapeBody({ shape: 'arc', radius: 100, sweep: 90 }, { x: 400, y: 300, angle: 90 });
+        expect(body.parts.length).toBeGreaterThan(2);
+        expect(body.isStatic).toBe(true);
+        expect(body.parts[1].parent).toBe(body);
+    });
+
+    it('should keep polygon vertices where the level put them', () => {
+        const body = createShapeBody({ shape: 'polygon', vertices: TRIANGLE }, { x: 400, y: 300, angle: 0 });
+        const xs = body.vertices.map(v => v.x);
+        const ys = body.vertices.map(v => v.y);
+        expect(Math.min(...xs)).toBeCloseTo(360);
+        expect(Math.max(...xs)).toBeCloseTo(440);
+        expect(Math.min(...ys)).toBeCloseTo(260);
+        expect(Math.max(...ys)).toBeCloseTo(330);
+    });
+
+    it('should move to a new pose with getBodyPose', () => {
+        const data = { shape: 'polygon', vertices: TRIANGLE };
+        const moved = createShapeBody(data, { x: 400, y: 300, angle: 0 });
+        const target = getBodyPose(moved, { x: 200, y: 100, angle: 180 });
+        Matter.Body.setAngle(moved, Math.PI);
+        Matter.Body.setPosition(moved, target);
+
+        const built = createShapeBody(data, { x: 200, y: 100, angle: 180 });
+        expect(moved.position.x).toBeCloseTo(built.position.x);
+        expect(moved.position.y).toBeCloseTo(built.position.y);
+    });
+});
+
+describe('getContactSurfaceAngle', () => {
+    it('should use the bar angle for lines and the tangent for curves', () => {
+        const line = createShapeBody({ width: 200 }, { x: 400, y: 300, angle: 20 });
+        expect(getContactSurfaceAngle(line, { x: 0, y: 1 })).toBeCloseTo(20);
+
+        const circle = createShapeBody({ shape: 'circle', radius: 30 }, { x: 400, y: 300, angle: 0 });
+        expect(getContactSurfaceAngle(circle, { x: 0, y: 1 })).toBeCloseTo(0);
+        expect(getContactSurfaceAngle(circle, { x: 1, y: 0 })).toBeCloseTo(-90);
+    });
+});
+
+describe('arc in a physics world', () => {
+    it('should catch a ball in a bowl', () => {
+        const engine = Matter.Engine.create();
+        engine.gravity.y = 1;
+        const bowl = createShapeBody({ shape: 'arc', radius: 120, sweep: 180 }, { x: 400, y: 300, angle: 90 });
+        const ball = Matter.Bodies.circle(340, 300, 15, { restitution: 0.3 });
+        Matter.Composite.add(engine.world, [bowl, ball]);
+
+        for (let i = 0; i < 300; i++) {
+            Matter.Engine.update(engine, 1000 / 60);
+        }
+
+        // Rolled down the side and settled near the bottom, inside the bar
+        expect(Math.abs(ball.position.x - 400)).toBeLessThan(30);
+        expect(ball.position.y).toBeGreaterThan(380);
+        expect(ball.position.y).toBeLessThan(410);
+    });
+});
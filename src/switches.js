@@ -0,0 +1,157 @@
+/**
+ * Switches and triggerable level logic for BounceFlow
+ *
+ * A level's `switches` fire a list of actions when a ball hits them:
+ * switches: [
+ *     { type: 'button', x: 600, y: 520, angle: 0, actions: [{ type: 'open', surface: 2 }] },
+ *     { type: 'pressure', x: 300, y: 200, once: false, actions: [{ type: 'toggle', surface: 1 }] }
+ * ]
+ * - button: a solid plate the ball bounces off
+ * - pressure: a ring the ball passes through (a sensor)
+ * `once` (default true) fires only on the first hit; once: false fires on every hit.
+ *
+ * Actions (indices into the level's `surfaces` / `targets`):
+ * - { type: 'open', surface }   remove a surface (a gate opening)
+ * - { type: 'close', surface }  put a surface back
+ * - { type: 'toggle', surface } flip a surface between there and gone
+ * - { type: 'start', surface }  start a surface's motion (surface has waitForSwitch: true)
+ * - { type: 'reveal', target }  reveal a hidden star (target has hidden: true)
+ *
+ * The live game and the solver keep their own switch state but share the
+ * Switch press rules, createSwitchBody() and runSwitchActions().
+ */
+
+import Matter from 'matter-js';
+import { degToRad } from './utils.js';
+
+export const SWITCH_TYPES = ['button', 'pressure'];
+export const SWITCH_ACTIONS = {
+    open: 'surface',
+    close: 'surface',
+    toggle: 'surface',
+    start: 'surface',
+    reveal: 'target'
+};
+
+const BUTTON_WIDTH = 50;
+const BUTTON_HEIGHT = 12;
+const PRESSURE_RADIUS = 22;
+
+export class Switch {
+    constructor({ type, x, y, angle = 0, once = true, actions = [] }) {
+        if (!SWITCH_TYPES.includes(type)) {
+            throw new Error(`Unknown switch type: ${type}`);
+        }
+        actions.forEach(action => {
+            const field = SWITCH_ACTIONS[action.type];
+            if (!field) {
+                throw new Error(`Unknown switch action: ${action.type}`);
+            }
+            if (!Number.isInteger(action[field])) {
+                throw new Error(`Switch action '${action.type}' needs a ${field} index`);
+            }
+        });
+
+        this.type = type;
+        this.x = x;
+        this.y = y;
+        this.angle = angle;
+        this.once = once;
+        this.actions = actions;
+        this.body = null; // Set by whoever adds the switch to a world
+        this.reset();
+    }
+
+    reset() {
+        this.pressCount = 0;
+        this.on = false;
+    }
+
+    /**
+     * Register a hit. Returns true if the switch fires its actions.
+     */
+    press() {
+        if (this.once && this.pressCount > 0) return false;
+        this.pressCount++;
+        this.on = !this.on;
+        return true;
+    }
+
+    render(ctx) {
+        const pressed = this.pressCount > 0;
+        const color = this.on ? '#76FF03' : '#FF6B6B';
+
+        ctx.save();
+        ctx.translate(this.x, this.y);
+        ctx.rotate(degToRad(this.angle));
+
+        if (this.type === 'button') {
+            // Base plate with a cap that sinks in once pressed
+            const capHeight = pressed && this.once ? 3 : 6;
+            ctx.fillStyle = '#3A3A3A';
+            ctx.fillRect(-BUTTON_WIDTH / 2, 0, BUTTON_WIDTH, BUTTON_HEIGHT / 2);
+            ctx.fillStyle = color;
+            ctx.fillRect(-BUTTON_WIDTH / 2 + 6, -capHeight, BUTTON_WIDTH - 12, capHeight);
+        } else {
+            // Target rings
+            ctx.lineWidth = 4;
+            ctx.strokeStyle = color;
+            ctx.globalAlpha = pressed && this.once ? 0.4 : 0.9;
+            ctx.beginPath();
+            ctx.arc(0, 0, PRESSURE_RADIUS, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(0, 0, PRESSURE_RADIUS * 0.5, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+}
+
+/**
+ * Build a switch from a level definition
+ */
+export function createSwitch(definition) {
+    if (definition instanceof Switch) return definition;
+    return new Switch(definition);
+}
+
+/**
+ * Static Matter body for a switch (pressure switches are sensors)
+ */
+export function createSwitchBody(sw) {
+    const options = { isStatic: true, angle: degToRad(sw.angle), label: 'switch' };
+    if (sw.type === 'pressure') {
+        return Matter.Bodies.circle(sw.x, sw.y, PRESSURE_RADIUS, { ...options, isSensor: true });
+    }
+    return Matter.Bodies.rectangle(sw.x, sw.y, BUTTON_WIDTH, BUTTON_HEIGHT, options);
+}
+
+/**
+ * Run a switch's actions against a level. `level` provides:
+ * setSurfacePresent(index, present), isSurfacePresent(index),
+ * startSurfaceMotion(index) and revealTarget(index).
+ */
+export function runSwitchActions(actions, level) {
+    actions.forEach(action => {
+        switch (action.type) {
+            case 'open':
+                level.setSurfacePresent(action.surface, false);
+                break;
+            case 'close':
+                level.setSurfacePresent(action.surface, true);
+                break;
+            case 'toggle':
+                level.setSurfacePresent(action.surface, !level.isSurfacePresent(action.surface));
+                break;
+            case 'start':
+                level.startSurfaceMotion(action.surface);
+                break;
+            case 'reveal':
+                level.revealTarget(action.target);
+                break;
+        }
+    });
+}
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for switches and their actions
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createSwitch, createSwitchBody, runSwitchActions } from './switches.js';
+
+// Records what the actions did to a fake level
+function createLevel(surfaceCount = 3) {
+    const level = {
+        present: new Array(surfaceCount).fill(true),
+        started: [],
+        revealed: [],
+        setSurfacePresent: (index, present) => { level.present[index] = present; },
+        isSurfacePresent: index => level.present[index],
+        startSurfaceMotion: index => level.started.push(index),
+        revealTarget: index => level.revealed.push(index)
+    };
+    return level;
+}
+
+describe('Switch', () => {
+    it('should reject unknown types and actions', () => {
+        expect(() => createSwitch({ type: 'lever', x: 0, y: 0 })).toThrow();
+        expect(() => createSwitch({ type: 'button', x: 0, y: 0, actions: [{ type: 'explode', surface: 0 }] })).toThrow();
+        expect(() => createSwitch({ type: 'button', x: 0, y: 0, actions: [{ type: 'reveal', surface: 0 }] })).toThrow();
+    });
+
+    it('should fire once by default', () => {
+        const sw = createSwitch({ type: 'button', x: 0, y: 0 });
+        expect(sw.press()).toBe(true);
+        expect(sw.press()).toBe(false);
+        expect(sw.pressCount).toBe(1);
+    });
+
+    it('should fire on every hit when once is false', () => {
+        const sw = createSwitch({ type: 'pressure', x: 0, y: 0, once: false });
+        expect(sw.press()).toBe(true);
+        expect(sw.press()).toBe(true);
+        expect(sw.on).toBe(false); // Toggled twice
+    });
+
+    it('should forget presses on reset', () => {
+        const sw = createSwitch({ type: 'button', x: 0, y: 0 });
+        sw.press();
+        sw.reset();
+        expect(sw.pressCount).toBe(0);
+        expect(sw.press()).toBe(true);
+    });
+
+    it('should make pressure switches passable sensors', () => {
+        expect(createSwitchBody(createSwitch({ type: 'pressure', x: 0, y: 0 })).isSensor).toBe(true);
+        expect(createSwitchBody(createSwitch({ type: 'button', x: 0, y: 0 })).isSensor).toBe(false);
+    });
+});
+
+describe('runSwitchActions', () => {
+    it('should open, close and toggle surfaces', () => {
+        const level = createLevel();
+        runSwitchActions([
+            { type: 'open', surface: 0 },
+            { type: 'toggle', surface: 1 },
+            { type: 'close', surface: 2 }
+        ], level);
+        expect(level.present).toEqual([false, false, true]);
+
+        runSwitchActions([{ type: 'toggle', surface: 1 }], level);
+        expect(level.present[1]).toBe(true);
+    });
+
+    it('should start motion and reveal stars', () => {
+        const level = createLevel();
+        runSwitchActions([{ type: 'start', surface: 2 }, { type: 'reveal', target: 1 }], level);
+        expect(level.started).toEqual([2]);
+        expect(level.revealed).toEqual([1]);
+    });
+});
@@ -3,10 +3,16 @@
  */
 
 export class Target {
-    constructor(x, y, radius = 25) {
+    constructor(x, y, radius = 25, options = {}) {
         this.x = x;
         this.y = y;
         this.radius = radius;
+        // Ball-specific star: only the ball with this index can collect it
+        this.ballIndex = options.ballIndex ?? null;
+        this.ballColor = options.ballColor || null;
+        // Hidden stars can't be collected until a switch reveals them
+        this.startsHidden = !!options.hidden;
+        this.hidden = this.startsHidden;
         this.collected = false;
         this.pulseAnimation = 0;
         this.particles = [];
@@ -28,8 +34,25 @@ export class Target {
         }
     }
 
+    reveal() {
+        this.hidden = false;
+    }
+
+    /**
+     * Hide a revealed star again if it wasn't collected (next drop)
+     */
+    resetHidden() {
+        if (!this.collected) {
+            this.hidden = this.startsHidden;
+        }
+    }
+
+    canBeCollectedBy(ball) {
+        return this.ballIndex === null || ball.index === this.ballIndex;
+    }
+
     checkCollection(ball) {
-        if (this.collected) return false;
+        if (this.collected || this.hidden || !this.canBeCollectedBy(ball)) return false;
 
         const dx = ball.body.position.x - this.x;
         const dy = ball.body.position.y - this.y;
@@ -66,7 +89,17 @@ export class Target {
     }
 
     render(ctx) {
-        if (!this.collected) {
+        if (this.hidden) {
+            // Faint dashed outline hints that something is waiting here
+            ctx.save();
+            ctx.translate(this.x, this.y);
+            this.drawStar(ctx, 0, 0, 5, this.radius, this.radius * 0.5);
+            ctx.strokeStyle = 'rgba(255, 230, 109, 0.35)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 4]);
+            ctx.stroke();
+            ctx.restore();
+        } else if (!this.collected) {
             // Draw pulsing star
             const pulse = Math.sin(this.pulseAnimation) * 0.2 + 1;
             const size = this.radius * pulse;
@@ -85,8 +118,8 @@ export class Target {
             this.drawStar(ctx, 0, 0, 5, size, size * 0.5);
             ctx.fillStyle = '#FFE66D';
             ctx.fill();
-            ctx.strokeStyle = '#FFD700';
-            ctx.lineWidth = 2;
+            ctx.strokeStyle = this.ballColor || '#FFD700';
+            ctx.lineWidth = this.ballColor ? 4 : 2;
             ctx.stroke();
 
             ctx.restore();
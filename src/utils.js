@@ -95,3 +95,18 @@ export function degToRad(degrees) {
 export function radToDeg(radians) {
     return radians * 180 / Math.PI;
 }
+
+/**
+ * Seeded random number generator (mulberry32) - a drop-in for Math.random
+ * where a search has to give the same results every run
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
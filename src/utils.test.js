@@ -11,7 +11,8 @@ import {
     pointInCircle,
     pointNearLine,
     degToRad,
-    radToDeg
+    radToDeg,
+    createRandom
 } from './utils.js';
 
 describe('lerp', () => {
@@ -127,3 +128,22 @@ describe('radToDeg', () => {
         expect(radToDeg(-Math.PI / 2)).toBeCloseTo(-90);
     });
 });
+
+describe('createRandom', () => {
+    it('should repeat the same sequence for the same seed', () => {
+        const a = createRandom(42);
+        const b = createRandom(42);
+        const sequence = Array.from({ length: 5 }, a);
+        expect(Array.from({ length: 5 }, b)).toEqual(sequence);
+        expect(Array.from({ length: 5 }, createRandom(43))).not.toEqual(sequence);
+    });
+
+    it('should stay within [0, 1)', () => {
+        const random = createRandom(7);
+        for (let i = 0; i < 1000; i++) {
+            const value = random();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+});
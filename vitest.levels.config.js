@@ -0,0 +1,11 @@
+import { defineConfig, mergeConfig } from 'vitest/config';
+import viteConfig from './vite.config.js';
+
+// Level solvability check (src/levels.solvable.js) - searches every level for
+// a solution, so it runs on its own: `npm run test:levels`
+export default mergeConfig(viteConfig, defineConfig({
+  test: {
+    include: ['src/levels.solvable.js'],
+    testTimeout: 300000,
+  },
+}));